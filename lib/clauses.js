@@ -0,0 +1,272 @@
+/**
+ * Clause Segmentation
+ * Parses contract headings and numbering into a section tree so findings can cite their clause
+ */
+
+// Heading forms, tried in order at the start of each line
+const ARTICLE_HEADING = /^[ \t]*(?:ARTICLE|Article)\s+([IVXLC]+|\d{1,3})\b[ \t]*[.:\-–—]?[ \t]*(.*)$/;
+const SECTION_HEADING = /^[ \t]*(?:SECTION|Section|§)\s*(\d{1,3}(?:\.\d{1,3})*)((?:\([a-zA-Z0-9]{1,4}\))*)(?=[ \t.:\-–—]|$)[ \t]*[.:\-–—]?[ \t]*(.*)$/;
+const NUMBERED_HEADING = /^[ \t]*(\d{1,3}(?:\.\d{1,3})*)(\.?)(?=[ \t]|$)[ \t]*(.*)$/;
+const LETTERED_HEADING = /^[ \t]*(?:\(([a-zA-Z]{1,4})\)|([a-zA-Z])\))(?=[ \t])[ \t]*(.*)$/;
+
+// Lettered markers made only of these characters may be roman numerals
+const ROMAN_CHARACTERS = /^[ivxl]+$/i;
+
+// A cross-reference that happens to start a line ("Section 4 of this Agreement",
+// "10.5 million") continues in lowercase; a heading does not
+const RUNNING_TEXT = /^[a-z%$]/;
+
+// Headings longer than this are the first sentence of the clause, not a title
+const MAX_HEADING_WORDS = 10;
+
+/**
+ * Title of a heading line: a short title-case caption, either the whole line
+ * ("2. Payment") or the run-in text before the first full stop
+ * ("2.1 Invoices. Vendor shall..."). Lettered clauses only have run-in captions.
+ */
+function readHeading(rest, runInOnly) {
+  const text = rest.trim();
+  if (!text) return null;
+
+  const runIn = text.match(/^([^.;:]+?)[.:][ \t]+\S/);
+  const caption = runIn ? runIn[1] : (!runInOnly && !/[.;,]$/.test(text) ? text : null);
+  if (!caption) return null;
+
+  // Words of four or more letters are capitalized in a caption, not in a sentence
+  const words = caption.trim().split(/\s+/);
+  if (words.length > MAX_HEADING_WORDS) return null;
+  if (words.some(word => /^[a-z]{4,}/.test(word))) return null;
+  return caption.trim().replace(/^[-–—\s]+/, '');
+}
+
+/**
+ * Whether a one-letter marker continues a lettered list rather than starting a
+ * roman one: (i) after (h), (v) after (u), (x) after (w)
+ */
+function continuesLetters(marker, previous) {
+  if (!previous || previous.kind !== 'letter') return false;
+  const last = previous.number.toLowerCase();
+  return marker.length === 1 && last.length === 1 && marker.toLowerCase().charCodeAt(0) === last.charCodeAt(0) + 1;
+}
+
+/**
+ * Parse one line into a heading candidate, or null
+ * `rest` is the text after the number, used for the caption
+ */
+function parseHeadingLine(line) {
+  let match = line.match(ARTICLE_HEADING);
+  if (match && RUNNING_TEXT.test(match[2])) return null;
+  if (match) {
+    return { kind: 'article', label: `Article ${match[1]}`, number: match[1], rest: match[2] };
+  }
+
+  match = line.match(SECTION_HEADING);
+  if (match && RUNNING_TEXT.test(match[3])) return null;
+  if (match) {
+    const letters = (match[2].match(/[a-zA-Z0-9]{1,4}/g) || []).map(letter => letter.toLowerCase());
+    return {
+      kind: 'numbered',
+      label: `Section ${match[1]}${match[2]}`,
+      number: match[1],
+      suffix: match[2],
+      components: [...match[1].split('.'), ...letters],
+      rest: match[3]
+    };
+  }
+
+  match = line.match(NUMBERED_HEADING);
+  if (match) {
+    const components = match[1].split('.');
+    // "1" alone needs a full stop to be a heading; "1.1" does not
+    if (components.length === 1 && !match[2]) return null;
+    if (RUNNING_TEXT.test(match[3])) return null;
+    return { kind: 'numbered', label: match[1], number: match[1], suffix: '', components, rest: match[3] };
+  }
+
+  match = line.match(LETTERED_HEADING);
+  if (match) {
+    const marker = match[1] || match[2];
+    return { kind: 'lettered', marker, label: `(${marker})`, rest: match[3] };
+  }
+
+  return null;
+}
+
+/**
+ * Whether a number continues an open clause's numbering (2.1 and 2.1.3 under 2)
+ */
+function extendsNumber(components, parent) {
+  return parent.components.length < components.length &&
+    parent.components.every((component, i) => component === components[i]);
+}
+
+/**
+ * Citation for a clause: the article, then the deepest number with the
+ * lettered markers under it ("Article IV, 4.2(b)(iii)")
+ */
+function citationFor(chain) {
+  let article = null;
+  let number = '';
+  for (const node of chain) {
+    if (node.kind === 'article') {
+      article = node.label;
+      number = '';
+    } else if (node.kind === 'numbered') {
+      number = node.number + (node.suffix || '');
+    } else {
+      number += node.label;
+    }
+  }
+  return [article, number].filter(Boolean).join(', ');
+}
+
+/**
+ * Split a contract into a clause tree
+ *
+ * Recognizes "ARTICLE IV", "Section 4(b)", "1." / "1.1" / "1.1.1" and lettered
+ * sub-clauses "(a)", "a)" and roman "(iii)" at the start of a line. Each clause
+ * runs until the next heading at its own level or above.
+ *
+ * Returns { clauses, flat }: the root clauses with nested children, and every
+ * clause in document order. Clauses refer to their parent by flat index.
+ */
+export function segmentClauses(text) {
+  if (!text || typeof text !== 'string') return { clauses: [], flat: [] };
+
+  const flat = [];
+  const stack = [];
+  let offset = 0;
+
+  for (const line of text.split('\n')) {
+    const start = offset;
+    offset += line.length + 1;
+
+    const heading = parseHeadingLine(line);
+    if (!heading) continue;
+
+    // Articles sit at the top; numbers nest under the clause they extend
+    // (or the article); letters and romans nest under whatever clause is open
+    let rank;
+    let kind = heading.kind;
+    if (kind === 'article') {
+      rank = 0;
+    } else if (kind === 'numbered') {
+      rank = heading.components.length;
+    } else {
+      const top = stack[stack.length - 1];
+      const roman = ROMAN_CHARACTERS.test(heading.marker) && !continuesLetters(heading.marker, top);
+      kind = roman ? 'roman' : 'letter';
+      const parent = [...stack].reverse().find(node =>
+        (kind === 'letter' ? node.kind !== 'letter' && node.kind !== 'roman' : node.kind !== 'roman')
+      );
+      rank = parent ? parent.rank + 1 : 1;
+    }
+
+    const closes = open => (kind === 'numbered'
+      ? open.kind !== 'article' && !(open.kind === 'numbered' && extendsNumber(heading.components, open))
+      : open.rank >= rank);
+    while (stack.length > 0 && closes(stack[stack.length - 1])) {
+      stack.pop().end = start;
+    }
+
+    const parent = stack[stack.length - 1];
+    const node = {
+      index: flat.length,
+      kind,
+      label: heading.label,
+      number: heading.number || heading.marker,
+      suffix: heading.suffix || '',
+      heading: readHeading(heading.rest || '', kind === 'letter' || kind === 'roman'),
+      rank,
+      components: heading.components || null,
+      parent: parent ? parent.index : null,
+      start: start + line.search(/\S/),
+      end: text.length,
+      children: []
+    };
+    node.citation = citationFor([...stack, node]);
+
+    if (parent) parent.children.push(node);
+    flat.push(node);
+    stack.push(node);
+  }
+
+  // Unclosed clauses run to the end of the text
+  for (const node of stack) node.end = text.length;
+
+  return {
+    clauses: flat.filter(node => node.parent === null),
+    flat
+  };
+}
+
+/**
+ * Deepest clause containing a character position, or null before the first heading
+ */
+export function findClause(segmentation, position) {
+  const { flat } = segmentation;
+
+  // Last clause starting at or before the position
+  let low = 0;
+  let high = flat.length - 1;
+  let found = -1;
+  while (low <= high) {
+    const mid = (low + high) >> 1;
+    if (flat[mid].start <= position) {
+      found = mid;
+      low = mid + 1;
+    } else {
+      high = mid - 1;
+    }
+  }
+
+  let node = found >= 0 ? flat[found] : null;
+  while (node && position >= node.end) {
+    node = node.parent === null ? null : flat[node.parent];
+  }
+  return node;
+}
+
+/**
+ * Clause annotation for a finding: citation path, the labels leading to it and
+ * the nearest heading (a lettered clause usually has none of its own)
+ */
+export function clauseAt(segmentation, position) {
+  const node = findClause(segmentation, position);
+  if (!node) return null;
+
+  const chain = [];
+  for (let current = node; current; current = current.parent === null ? null : segmentation.flat[current.parent]) {
+    chain.unshift(current);
+  }
+  const titled = [...chain].reverse().find(current => current.heading);
+
+  return {
+    path: node.citation,
+    labels: chain.map(current => current.label),
+    heading: titled ? titled.heading : null
+  };
+}
+
+/**
+ * Section tree for API responses: label, citation, heading, offsets and children of each clause
+ */
+export function outlineClauses(segmentation) {
+  const outline = node => ({
+    label: node.label,
+    citation: node.citation,
+    heading: node.heading,
+    start: node.start,
+    end: node.end,
+    children: node.children.map(outline)
+  });
+  return segmentation.clauses.map(outline);
+}
+
+/**
+ * One-line form of a clause annotation for reports: "2.2(a) (Payment)"
+ */
+export function formatClause(clause) {
+  if (!clause) return '';
+  return clause.heading ? `${clause.path} (${clause.heading})` : clause.path;
+}
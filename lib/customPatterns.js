@@ -0,0 +1,270 @@
+/**
+ * Custom Pattern Safety
+ * Compiles user-supplied redaction rules, rejecting ones that are invalid or could hang the server
+ */
+
+import vm from 'vm';
+import { addCustomPattern, passesLuhn, passesMod97 } from './redact';
+
+// Flags a rule may ask for; 'g' is always added and sticky matching would skip text
+const ALLOWED_FLAGS = ['g', 'i', 'm', 's', 'u'];
+
+// Rules without flags keep the original case-insensitive behaviour
+const DEFAULT_FLAGS = 'i';
+
+const MAX_PATTERN_LENGTH = 500;
+
+// Milliseconds one rule may spend scanning the document
+export const DEFAULT_TIME_BUDGET_MS = 250;
+
+export const VALIDATOR_TYPES = ['luhn', 'length', 'checksum'];
+
+export const CHECKSUM_ALGORITHMS = ['mod11', 'mod97'];
+
+/**
+ * ISO 7064 MOD 11-2 style weighted check: weights 2, 3, 4... from the right, 'X' for 10
+ */
+function passesMod11(value) {
+  if (!/^\d+[\dX]$/.test(value)) return false;
+  const body = value.slice(0, -1);
+  let sum = 0;
+  for (let i = 0; i < body.length; i++) {
+    sum += Number(body[body.length - 1 - i]) * (i + 2);
+  }
+  const check = (11 - (sum % 11)) % 11;
+  return value.slice(-1) === (check === 10 ? 'X' : String(check));
+}
+
+/**
+ * Build the validator function for a rule; returns { validator, name } or { error }
+ *
+ * Validators see the match with separators stripped, so "4111-1111-1111-1111"
+ * and "4111 1111 1111 1111" are checked the same way; Luhn reads only the digits.
+ */
+function compileValidator(config) {
+  if (config === undefined || config === null || config === '') return { validator: undefined };
+
+  const spec = typeof config === 'string' ? { type: config } : config;
+  if (typeof spec !== 'object' || !VALIDATOR_TYPES.includes(spec.type)) {
+    const name = typeof spec === 'object' ? spec.type : spec;
+    return { error: `Unknown validator "${name}"; use one of ${VALIDATOR_TYPES.join(', ')}` };
+  }
+
+  const clean = match => match.toUpperCase().replace(/[^A-Z0-9]/g, '');
+
+  if (spec.type === 'luhn') {
+    const digits = match => match.replace(/\D/g, '');
+    return { validator: match => digits(match).length >= 2 && passesLuhn(digits(match)), name: 'luhn' };
+  }
+
+  if (spec.type === 'length') {
+    const min = spec.min ?? 0;
+    const max = spec.max ?? Infinity;
+    if (!Number.isInteger(min) || (max !== Infinity && !Number.isInteger(max)) || min < 0 || min > max) {
+      return { error: 'Length validator needs whole-number min/max with min <= max' };
+    }
+    if (spec.min === undefined && spec.max === undefined) {
+      return { error: 'Length validator needs a min or a max' };
+    }
+    return {
+      validator: match => clean(match).length >= min && clean(match).length <= max,
+      name: `length(${min}-${max === Infinity ? '' : max})`
+    };
+  }
+
+  if (!CHECKSUM_ALGORITHMS.includes(spec.algorithm)) {
+    return { error: `Unknown checksum algorithm "${spec.algorithm}"; use one of ${CHECKSUM_ALGORITHMS.join(', ')}` };
+  }
+  const check = spec.algorithm === 'mod11' ? passesMod11 : passesMod97;
+  return { validator: match => check(clean(match)), name: `checksum(${spec.algorithm})` };
+}
+
+/**
+ * Read a quantifier at position i; returns { min, max, length } or null
+ */
+function readQuantifier(source, i) {
+  const char = source[i];
+  if (char === '*') return { min: 0, max: Infinity, length: 1 };
+  if (char === '+') return { min: 1, max: Infinity, length: 1 };
+  if (char === '?') return { min: 0, max: 1, length: 1 };
+
+  const braces = char === '{' && source.slice(i).match(/^\{(\d+)(,(\d*))?\}/);
+  if (!braces) return null;
+  const min = Number(braces[1]);
+  const max = braces[2] === undefined ? min : braces[3] === '' ? Infinity : Number(braces[3]);
+  return { min, max, length: braces[0].length };
+}
+
+/**
+ * Find a repeated group whose body also repeats without bound, e.g. (a+)+ or
+ * (\w+\s?)*. Such a group can split the same text in exponentially many ways
+ * before failing. Returns the offending fragment, or null.
+ */
+export function findNestedQuantifier(source) {
+  const groups = [{ start: 0, unbounded: false }];
+  let lastGroup = null;
+  let i = 0;
+
+  while (i < source.length) {
+    const char = source[i];
+
+    if (char === '\\') {
+      i += 2;
+      lastGroup = null;
+      continue;
+    }
+
+    if (char === '[') {
+      // Skip the class body; a ']' right after '[' or '[^' is literal
+      i += source[i + 1] === '^' ? 2 : 1;
+      if (source[i] === ']') i++;
+      while (i < source.length && source[i] !== ']') i += source[i] === '\\' ? 2 : 1;
+      i++;
+      lastGroup = null;
+      continue;
+    }
+
+    if (char === '(') {
+      groups.push({ start: i, unbounded: false });
+      // Step over the '?' of (?:, (?= and (?<name> so it is not read as a quantifier
+      i += source[i + 1] === '?' ? 2 : 1;
+      lastGroup = null;
+      continue;
+    }
+
+    if (char === ')' && groups.length > 1) {
+      lastGroup = groups.pop();
+      lastGroup.end = i + 1;
+      // A repeat anywhere inside makes the enclosing group repeat too
+      groups[groups.length - 1].unbounded ||= lastGroup.unbounded;
+      i++;
+      continue;
+    }
+
+    const quantifier = readQuantifier(source, i);
+    if (quantifier) {
+      if (lastGroup && quantifier.max > 1 && lastGroup.unbounded) {
+        return source.slice(lastGroup.start, i + quantifier.length);
+      }
+      if (quantifier.max === Infinity) groups[groups.length - 1].unbounded = true;
+      i += quantifier.length;
+      // Lazy quantifiers backtrack the same way
+      if (source[i] === '?') i++;
+      lastGroup = null;
+      continue;
+    }
+
+    lastGroup = null;
+    i++;
+  }
+
+  return null;
+}
+
+/**
+ * Scan the document with a rule inside a sandbox that is stopped after the budget
+ * Returns false when the rule ran out of time
+ */
+function runsWithinBudget(regex, text, timeBudget) {
+  try {
+    vm.runInNewContext(
+      'regex.lastIndex = 0; let m; while ((m = regex.exec(text)) !== null) { if (m[0] === "") regex.lastIndex++; }',
+      { regex, text },
+      { timeout: timeBudget }
+    );
+    return true;
+  } catch (error) {
+    if (error.code === 'ERR_SCRIPT_EXECUTION_TIMEOUT') return false;
+    throw error;
+  } finally {
+    regex.lastIndex = 0;
+  }
+}
+
+/**
+ * Why a user-supplied regex is unsafe to run, or null: a nested quantifier, or
+ * a scan of options.text that overruns the time budget
+ */
+export function checkRegexSafety(source, regex, { text, timeBudget = DEFAULT_TIME_BUDGET_MS } = {}) {
+  const nested = findNestedQuantifier(source);
+  if (nested) {
+    return `Nested quantifier "${nested}" can backtrack catastrophically; make the inner repeat bounded`;
+  }
+  if (text && !runsWithinBudget(regex, text, timeBudget)) {
+    return `Pattern took longer than ${timeBudget}ms to scan this document`;
+  }
+  return null;
+}
+
+/**
+ * Compile one rule; returns { pattern } or { error }
+ */
+function compileRule(rule, { text, timeBudget, index }) {
+  if (!rule || typeof rule !== 'object') return { error: 'Rule must be an object with type and regex' };
+  if (typeof rule.type !== 'string' || !rule.type.trim()) return { error: 'Rule type is required' };
+  if (typeof rule.regex !== 'string' || !rule.regex) return { error: 'Rule regex is required' };
+  if (rule.regex.length > MAX_PATTERN_LENGTH) {
+    return { error: `Pattern is longer than ${MAX_PATTERN_LENGTH} characters` };
+  }
+
+  const flags = rule.flags ?? DEFAULT_FLAGS;
+  const unsupported = [...String(flags)].filter(flag => !ALLOWED_FLAGS.includes(flag));
+  if (unsupported.length > 0) {
+    return { error: `Unsupported flag${unsupported.length > 1 ? 's' : ''} "${unsupported.join('')}"; use any of ${ALLOWED_FLAGS.join(', ')}` };
+  }
+
+  let regex;
+  try {
+    regex = new RegExp(rule.regex, [...new Set(flags + 'g')].join(''));
+  } catch (error) {
+    return { error: error.message };
+  }
+
+  const { validator, name: validatorName, error: validatorError } = compileValidator(rule.validator);
+  if (validatorError) return { error: validatorError };
+
+  const unsafe = checkRegexSafety(rule.regex, regex, { text, timeBudget });
+  if (unsafe) return { error: unsafe };
+
+  return {
+    pattern: addCustomPattern(rule.type.trim(), regex, {
+      priority: rule.priority || 5,
+      confidence: rule.confidence || 'medium',
+      categories: rule.categories,
+      validator,
+      validatorName,
+      id: `custom/${index + 1}`
+    })
+  };
+}
+
+/**
+ * Compile user-supplied custom patterns
+ *
+ * Each rule is { type, regex, flags?, validator?, priority?, confidence?, categories? },
+ * where validator is 'luhn', { type: 'length', min, max } or
+ * { type: 'checksum', algorithm: 'mod11' | 'mod97' }. Passing the document as
+ * options.text also dry-runs every rule against it under options.timeBudget.
+ * Returns { patterns, errors }, with one { index, type, message } per rejected rule.
+ */
+export function compileCustomPatterns(rules = [], options = {}) {
+  const { text, timeBudget = DEFAULT_TIME_BUDGET_MS } = options;
+
+  if (!Array.isArray(rules)) {
+    return { patterns: [], errors: [{ index: null, type: null, message: 'customPatterns must be an array' }] };
+  }
+
+  const patterns = [];
+  const errors = [];
+
+  rules.forEach((rule, index) => {
+    const { pattern, error } = compileRule(rule, { text, timeBudget, index });
+    if (error) {
+      errors.push({ index, type: rule?.type ?? null, message: error });
+    } else {
+      patterns.push(pattern);
+    }
+  });
+
+  return { patterns, errors };
+}
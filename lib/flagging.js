@@ -3,6 +3,11 @@
  * Detects attorney-client privilege, PHI, and confidentiality clauses
  */
 
+import { segmentClauses, clauseAt } from './clauses';
+import { findQualifier, sentenceBounds } from './qualifiers';
+import { findMissingClauses } from './missingClauses';
+import { TERM_KINDS, extractNumericTerms, resolveTermPolicy, checkTermPolicy } from './numericTerms';
+
 // Flag patterns with severity levels
 const FLAG_PATTERNS = {
     PRIVILEGE: {
@@ -94,6 +99,171 @@ const FLAG_PATTERNS = {
     }
   };
   
+  // Renewal notice windows this short are easy to miss
+  const SHORT_NOTICE_DAYS = 30;
+  
+  /**
+   * Risky clause library
+   *
+   * Each entry flags one kind of one-sided term with a severity, an explanation
+   * of the risk and the fallback position to propose in negotiation.
+   */
+  export const RISKY_CLAUSES = [
+    {
+      id: 'UNLIMITED_LIABILITY',
+      type: 'RISKY_CLAUSE',
+      regex: /unlimited\s+liability/gi,
+      severity: 'HIGH',
+      reason: 'Unlimited liability clause detected',
+      explanation: 'Exposure is not bounded by the contract value or any insurance, so a single claim can exceed the deal many times over.',
+      fallback: 'Cap aggregate liability at the fees paid or payable in the 12 months before the claim.'
+    },
+    {
+      id: 'RIGHTS_WAIVER',
+      type: 'RISKY_CLAUSE',
+      regex: /\bwaive(?:s|r\s+of)?\s+(?:any\s+and\s+)?all\s+(?:of\s+(?:its|their)\s+)?rights\b|\bwaiver\s+of\s+(?:any\s+and\s+all\s+|all\s+|any\s+)?rights\b/gi,
+      severity: 'HIGH',
+      reason: 'Rights waiver clause detected',
+      explanation: 'A blanket waiver can give up remedies, including statutory ones, that were never negotiated.',
+      fallback: 'Limit the waiver to named rights, or make waivers effective only in a signed writing.'
+    },
+    {
+      id: 'NO_WARRANTY',
+      type: 'RISKY_CLAUSE',
+      regex: /no\s+warrant(?:y|ies)/gi,
+      severity: 'MEDIUM',
+      reason: 'No warranty clause detected',
+      explanation: 'Without a warranty there is no contractual remedy when the deliverable does not work as described.',
+      fallback: 'Ask for a warranty of conformance to the documentation for at least 90 days, with repair, replace or refund.'
+    },
+    {
+      id: 'AS_IS',
+      type: 'RISKY_CLAUSE',
+      regex: /as\s+is\s+basis/gi,
+      severity: 'MEDIUM',
+      reason: '"As is" basis clause detected',
+      explanation: 'Accepting goods or services "as is" disclaims implied warranties of merchantability and fitness for purpose.',
+      fallback: 'Keep the disclaimer but carve out express warranties and the documented specifications.'
+    },
+    {
+      id: 'INDEMNIFICATION',
+      type: 'INDEMNIFICATION',
+      regex: /indemnif(y|ication)/gi,
+      severity: 'MEDIUM',
+      reason: 'Indemnification clause detected',
+      explanation: 'Indemnities shift third-party losses between the parties and often survive termination.',
+      fallback: 'Make indemnities mutual, limited to third-party claims caused by the indemnifying party, and subject to the liability cap.'
+    },
+    {
+      id: 'UNCAPPED_INDEMNITY',
+      type: 'RISKY_CLAUSE',
+      regex: /\bindemnif[^.]{0,120}?\b(?:without\s+(?:any\s+)?(?:limit|limitation|cap)\b|(?:is\s+|are\s+|shall\s+)?not\s+(?:be\s+)?subject\s+to\s+(?:any\s+|the\s+)?(?:limitation|cap|limit)|uncapped|unlimited)|\b(?:uncapped|unlimited)\s+indemni|\blimitations?\s+(?:of|on)\s+liability[^.]{0,60}?\bshall\s+not\s+apply\s+to\s+[^.]{0,60}?indemni/gi,
+      severity: 'HIGH',
+      reason: 'Uncapped indemnity detected',
+      explanation: 'Indemnity outside the liability cap leaves the indemnifying party with unlimited exposure for third-party claims.',
+      fallback: 'Bring indemnities under the cap, or agree a separate super-cap (for example 2-3x annual fees) for them.'
+    },
+    {
+      id: 'AUTO_RENEWAL',
+      type: 'RISKY_CLAUSE',
+      regex: /\b(?:automatically|auto-?)\s*renew(?:s|ed|al)?\b|\bevergreen\s+(?:clause|term|renewal|provision)\b/gi,
+      severity: 'MEDIUM',
+      reason: 'Automatic renewal clause detected',
+      explanation: 'The contract renews unless someone cancels in time, locking in another term at the same or escalated price.',
+      fallback: 'Require a renewal reminder 30-60 days before the deadline, or renewal only by mutual written agreement.',
+      check: sentence => {
+        const notice = sentence.match(/\b(\d{1,3})\)?\s*(?:calendar\s+|business\s+)?days?\b/i);
+        if (notice && /notice|notify|cancel|terminat/i.test(sentence) && Number(notice[1]) <= SHORT_NOTICE_DAYS) {
+          return { severity: 'HIGH', reason: `Automatic renewal with a ${notice[1]}-day notice window` };
+        }
+        return null;
+      }
+    },
+    {
+      id: 'UNILATERAL_AMENDMENT',
+      type: 'RISKY_CLAUSE',
+      regex: /\b(?:may|can|reserves?\s+the\s+right\s+to)\s+(?:at\s+any\s+time\s+)?(?:unilaterally\s+)?(?:amend|modify|change|update|revise)\s+(?:this\s+agreement|these\s+terms|the\s+terms|its\s+terms|any\s+(?:of\s+the\s+)?terms|the\s+(?:fees|pricing|prices|rates))|\bunilaterally\s+(?:amend|modify|change)/gi,
+      severity: 'HIGH',
+      reason: 'Unilateral amendment right detected',
+      explanation: 'One party can change the deal, including price and scope, without the other agreeing.',
+      fallback: 'Amendments only in a writing signed by both parties; any permitted change needs advance notice and a right to terminate without penalty.'
+    },
+    {
+      id: 'EXCLUSIVITY',
+      type: 'RISKY_CLAUSE',
+      regex: /\bexclusive\s+(?:supplier|provider|vendor|dealer|distributor|reseller|relationship|arrangement)\b|\bon\s+an\s+exclusive\s+basis\b|\bshall\s+not\s+(?:purchase|procure|obtain|source)\b[^.]{0,60}?\bfrom\s+any\s+(?:other|third)\b/gi,
+      severity: 'MEDIUM',
+      reason: 'Exclusivity obligation detected',
+      explanation: 'Exclusivity rules out competing suppliers or customers for the whole term, even if the other party underperforms.',
+      fallback: 'Tie exclusivity to minimum performance or volume commitments, limit it by territory and product, and end it on breach.'
+    },
+    {
+      id: 'NON_COMPETE',
+      type: 'RISKY_CLAUSE',
+      regex: /\bnon-?compet(?:e|ition)\b|\bcovenant\s+not\s+to\s+compete\b|\bshall\s+not\s+(?:directly\s+or\s+indirectly\s+)?(?:compete|engage\s+in\s+(?:any\s+)?(?:business|activity)\s+(?:that\s+)?(?:competes|competitive))/gi,
+      severity: 'HIGH',
+      reason: 'Non-compete restriction detected',
+      explanation: 'A non-compete restricts future business or employment and may be unenforceable or overbroad in some jurisdictions.',
+      fallback: 'Narrow it to named competitors and the services actually provided, for no more than 12 months, or replace it with a non-solicitation covenant.'
+    },
+    {
+      id: 'LIQUIDATED_DAMAGES',
+      type: 'RISKY_CLAUSE',
+      regex: /\bliquidated\s+damages\b|\b(?:as\s+a|by\s+way\s+of)\s+penalty\b/gi,
+      severity: 'MEDIUM',
+      reason: 'Liquidated damages clause detected',
+      explanation: 'A fixed payment is due on breach regardless of the actual loss, and penalties out of proportion to the harm are contestable.',
+      fallback: 'Set the amount as a genuine pre-estimate of loss, cap it, and make it the sole remedy for that breach.'
+    },
+    {
+      id: 'ASSIGNMENT_WITHOUT_CONSENT',
+      type: 'RISKY_CLAUSE',
+      regex: /(?<!\b(?:neither|no)\s+party\s+)\b(?:may|can)\s+(?:freely\s+)?assign\b[^.]{0,80}?\bwithout\s+(?:[^.]{0,40}?\s)?(?:consent|approval)|\bfreely\s+assign(?:able)?\b/gi,
+      severity: 'HIGH',
+      reason: 'Assignment without consent detected',
+      explanation: 'The contract can be transferred to a party you did not choose, such as a competitor or an acquirer.',
+      fallback: 'Assignment only with prior written consent, not unreasonably withheld, except to an affiliate or a successor to the whole business.'
+    },
+    {
+      id: 'GOVERNING_LAW',
+      type: 'RISKY_CLAUSE',
+      regex: /\bgoverned\s+by\s+(?:and\s+construed\s+in\s+accordance\s+with\s+)?the\s+laws?\s+of\s+(?:the\s+)?(?:State\s+of\s+|Commonwealth\s+of\s+|Province\s+of\s+)?([A-Z][A-Za-z]+(?:\s+[A-Z][A-Za-z]+){0,3})/g,
+      severity: 'MEDIUM',
+      reason: 'Governing law',
+      jurisdiction: true,
+      explanation: 'The chosen law decides how every other clause is read; an unfamiliar one adds cost and uncertainty.',
+      fallback: 'Propose your home jurisdiction, or a neutral, well-developed commercial law such as New York, Delaware or England and Wales.'
+    },
+    {
+      id: 'VENUE',
+      type: 'RISKY_CLAUSE',
+      regex: /\b(?:exclusive\s+(?:jurisdiction|venue)\s+(?:of|in)|submits?\s+to\s+the\s+(?:exclusive\s+)?jurisdiction\s+of)\s+(?:the\s+)?(?:state\s+(?:and|or)\s+federal\s+)?courts?\s+(?:located\s+)?(?:of|in)\s+(?:the\s+)?(?:State\s+of\s+)?([A-Z][A-Za-z]+(?:\s+[A-Z][A-Za-z]+){0,3})/g,
+      severity: 'MEDIUM',
+      reason: 'Exclusive venue',
+      jurisdiction: true,
+      explanation: 'Disputes must be brought in the named courts, which can mean litigating far from home under local procedure.',
+      fallback: 'Ask for the defendant\'s home courts, or non-exclusive jurisdiction so claims can be brought where you operate.'
+    },
+    {
+      id: 'JURY_WAIVER',
+      type: 'RISKY_CLAUSE',
+      regex: /\bwaives?\b[^.]{0,80}?\b(?:trial\s+by\s+jury|jury\s+trial)\b|\bjury\s+(?:trial\s+)?waiver\b/gi,
+      severity: 'MEDIUM',
+      reason: 'Jury trial waiver detected',
+      explanation: 'Disputes are decided by a judge alone, giving up a right that usually has to be waived knowingly.',
+      fallback: 'Make the waiver mutual and conspicuous, or strike it where claims would favour a jury.'
+    },
+    {
+      id: 'MANDATORY_ARBITRATION',
+      type: 'RISKY_CLAUSE',
+      regex: /\b(?:shall|will|must)\s+be\s+(?:finally\s+)?(?:resolved|settled|determined)\s+(?:exclusively\s+)?by\s+(?:final\s+and\s+)?(?:binding\s+)?arbitration\b|\b(?:binding|mandatory)\s+arbitration\b|\bclass\s+action\s+waiver\b/gi,
+      severity: 'MEDIUM',
+      reason: 'Mandatory arbitration detected',
+      explanation: 'Arbitration replaces the courts with limited discovery, little appeal and fees that can be significant.',
+      fallback: 'Carve out injunctive relief and small claims, agree the seat, rules and fee split, and keep claims below a threshold in court.'
+    }
+  ];
+  
   /**
    * Check if words are within proximity distance
    */
@@ -198,53 +368,67 @@ const FLAG_PATTERNS = {
   }
   
   /**
-   * Detect risky clauses using heuristics
+   * Sentence around a match, for checks that read the rest of the clause
    */
-  function detectRiskyClauses(text) {
-    const riskyPatterns = [
-      {
-        regex: /unlimited\s+liability/gi,
-        type: 'RISKY_CLAUSE',
-        reason: 'Unlimited liability clause detected',
-        severity: 'HIGH'
-      },
-      {
-        regex: /waive\s+all\s+rights/gi,
-        type: 'RISKY_CLAUSE',
-        reason: 'Rights waiver clause detected',
-        severity: 'HIGH'
-      },
-      {
-        regex: /no\s+warranty/gi,
-        type: 'RISKY_CLAUSE',
-        reason: 'No warranty clause detected',
-        severity: 'MEDIUM'
-      },
-      {
-        regex: /as\s+is\s+basis/gi,
-        type: 'RISKY_CLAUSE',
-        reason: '"As is" basis clause detected',
-        severity: 'MEDIUM'
-      },
-      {
-        regex: /indemnif(y|ication)/gi,
-        type: 'INDEMNIFICATION',
-        reason: 'Indemnification clause detected',
-        severity: 'MEDIUM'
-      }
-    ];
-    
+  function sentenceAround(text, start, end) {
+    const bounds = sentenceBounds(text, start, end);
+    return text.slice(bounds.start, bounds.end);
+  }
+  
+  /**
+   * Whether a jurisdiction named in a governing-law or venue clause is one the
+   * reviewer accepts; "New York" matches "the State of New York"
+   */
+  function isPreferredJurisdiction(jurisdiction, preferred) {
+    const name = jurisdiction.toLowerCase();
+    return preferred.some(entry => name.includes(entry.toLowerCase()) || entry.toLowerCase().includes(name));
+  }
+  
+  /**
+   * Detect risky clauses from the library
+   *
+   * An entry's `check` reads the match's sentence and may change the severity
+   * and reason or, by returning false, drop the match. Governing-law and venue
+   * clauses name a jurisdiction; with options.preferredJurisdictions they are only
+   * flagged outside that list, otherwise they are listed at LOW for confirmation.
+   */
+  function detectRiskyClauses(text, options = {}) {
+    const { preferredJurisdictions = [] } = options;
     const matches = [];
     
-    for (const pattern of riskyPatterns) {
+    for (const entry of RISKY_CLAUSES) {
+      const regex = new RegExp(entry.regex.source, entry.regex.flags);
       let match;
-      while ((match = pattern.regex.exec(text)) !== null) {
+      while ((match = regex.exec(text)) !== null) {
+        let { severity, reason } = entry;
+        
+        if (entry.jurisdiction) {
+          const jurisdiction = match[1].trim();
+          if (preferredJurisdictions.length === 0) {
+            severity = 'LOW';
+            reason = `${reason}: ${jurisdiction}; confirm it is acceptable`;
+          } else if (isPreferredJurisdiction(jurisdiction, preferredJurisdictions)) {
+            continue;
+          } else {
+            reason = `${reason}: ${jurisdiction} is outside the preferred jurisdictions`;
+          }
+        }
+        
+        if (entry.check) {
+          const result = entry.check(sentenceAround(text, match.index, match.index + match[0].length));
+          if (result === false) continue;
+          if (result) ({ severity = severity, reason = reason } = result);
+        }
+        
         matches.push({
-          type: pattern.type,
+          type: entry.type,
+          category: entry.id,
           position: match.index,
           matchedText: match[0],
-          reason: pattern.reason,
-          severity: pattern.severity,
+          reason,
+          severity,
+          explanation: entry.explanation,
+          fallback: entry.fallback,
           excerpt: extractExcerpt(text, match.index, 80)
         });
       }
@@ -253,6 +437,107 @@ const FLAG_PATTERNS = {
     return matches;
   }
   
+  // One step down for a flag whose term is limited or carved out
+  const DOWNGRADED_SEVERITY = { HIGH: 'MEDIUM', MEDIUM: 'LOW', LOW: 'LOW' };
+  
+  // Flags a cap or carve-out can soften; patient data in a liability-cap
+  // sentence is just as sensitive
+  const DOWNGRADABLE_TYPES = new Set(['RISKY_CLAUSE', 'INDEMNIFICATION']);
+  
+  /**
+   * Apply negation, limitation and exception scopes to raw flags
+   *
+   * A negated term ("does not include any patient information") is suppressed;
+   * a limited or carved-out risky clause or indemnity is downgraded one severity
+   * level. Either way the flag records the qualifier and its cue. Returns
+   * { kept, suppressed }.
+   */
+  function applyQualifiers(text, flags) {
+    const kept = [];
+    const suppressed = [];
+    
+    for (const flag of flags) {
+      const qualifier = findQualifier(text, flag.position, flag.position + flag.matchedText.length);
+      if (!qualifier || (qualifier.scope !== 'negation' && !DOWNGRADABLE_TYPES.has(flag.type))) {
+        kept.push(flag);
+      } else if (qualifier.scope === 'negation') {
+        suppressed.push({
+          ...flag,
+          qualifier: { ...qualifier, action: 'suppressed' },
+          reason: `${flag.reason}; suppressed: negated by "${qualifier.cue}"`
+        });
+      } else {
+        kept.push({
+          ...flag,
+          severity: DOWNGRADED_SEVERITY[flag.severity] || flag.severity,
+          qualifier: { ...qualifier, action: 'downgraded', originalSeverity: flag.severity },
+          reason: `${flag.reason}; downgraded: ${qualifier.scope} "${qualifier.cue}"`
+        });
+      }
+    }
+    
+    return { kept, suppressed };
+  }
+  
+  /**
+   * Flag quantified terms outside the team policy, and "thirty (45)" pairs whose
+   * written and numeric values disagree
+   */
+  function detectTermFlags(text, terms, policy) {
+    const matches = [];
+    
+    for (const violation of checkTermPolicy(terms, policy)) {
+      const { term } = violation;
+      matches.push({
+        type: 'OUT_OF_POLICY',
+        category: term.kind,
+        position: term.start,
+        matchedText: term.text,
+        reason: violation.reason,
+        severity: violation.severity,
+        explanation: TERM_KINDS[term.kind].explanation,
+        fallback: violation.fallback,
+        term,
+        policy: violation.limit,
+        excerpt: extractExcerpt(text, term.start, 80)
+      });
+    }
+    
+    for (const term of terms.filter(t => t.mismatch)) {
+      matches.push({
+        type: 'NUMBER_MISMATCH',
+        position: term.start,
+        matchedText: term.text,
+        reason: `Written and numeric values disagree: ${term.written} in words, ${term.stated.value} in figures`,
+        severity: 'MEDIUM',
+        term,
+        excerpt: extractExcerpt(text, term.start, 80)
+      });
+    }
+    
+    return matches;
+  }
+  
+  /**
+   * Format a flag for output; each flag cites the clause it falls in
+   */
+  function formatFlag(flag, id, segmentation) {
+    return {
+      id,
+      type: flag.type,
+      excerpt: flag.excerpt,
+      start: flag.position,
+      end: flag.position + flag.matchedText.length,
+      reason: flag.reason,
+      severity: flag.severity,
+      ...(flag.category && { category: flag.category, explanation: flag.explanation, fallback: flag.fallback }),
+      ...(flag.qualifier && { qualifier: flag.qualifier }),
+      ...(flag.term && { term: flag.term }),
+      ...(flag.policy && { policy: flag.policy }),
+      clause: clauseAt(segmentation, flag.position)
+    };
+  }
+  
   /**
    * Merge duplicate flags at similar positions
    */
@@ -271,6 +556,7 @@ const FLAG_PATTERNS = {
       
       if (
         next.type === current.type &&
+        next.category === current.category &&
         Math.abs(next.position - current.position) <= mergeDistance
       ) {
         // Merge - combine reasons
@@ -289,11 +575,27 @@ const FLAG_PATTERNS = {
   
   /**
    * Main flagging function
+   *
+   * Risky-clause flags also carry the library entry's `category`, `explanation`
+   * and suggested `fallback`. options.preferredJurisdictions lists the governing
+   * laws and venues the reviewer accepts (e.g. ['New York', 'Delaware']).
+   * options.detectQualifiers (default true) suppresses negated terms into
+   * `suppressed` and downgrades limited or carved-out ones, recording a `qualifier`.
+   * options.contractType ('auto' by default, a contract type id, or false to
+   * skip) adds a MISSING_CLAUSE flag with a recommended clause for each standard
+   * protection that type should have but the text lacks; these have no position.
+   * Quantified terms (notice periods, payment days, caps, interest, renewal and
+   * non-compete durations) are returned normalized as `terms`; options.termPolicy
+   * overrides DEFAULT_TERM_POLICY per kind (e.g. { PAYMENT_TERMS: { max: 60 } },
+   * false to skip) and each term outside it gets an OUT_OF_POLICY flag.
    */
   export function flagSensitiveContent(text, options = {}) {
     if (!text || typeof text !== 'string') {
       return {
         flags: [],
+        suppressed: [],
+        contractType: null,
+        terms: [],
         summary: {}
       };
     }
@@ -302,7 +604,10 @@ const FLAG_PATTERNS = {
       flagPrivilege = true,
       flagPHI = true,
       flagConfidentiality = true,
-      flagRiskyTerms = true
+      flagRiskyTerms = true,
+      detectQualifiers = true,
+      contractType = 'auto',
+      termPolicy = {}
     } = options;
     
     let allFlags = [];
@@ -325,23 +630,50 @@ const FLAG_PATTERNS = {
     
     // Detect risky clauses
     if (flagRiskyTerms) {
-      const riskyFlags = detectRiskyClauses(text);
+      const riskyFlags = detectRiskyClauses(text, options);
       allFlags = allFlags.concat(riskyFlags);
     }
     
+    // Protective language ("neither party shall have unlimited liability") is not a finding
+    let suppressedFlags = [];
+    if (detectQualifiers) {
+      const qualified = applyQualifiers(text, allFlags);
+      allFlags = qualified.kept;
+      suppressedFlags = qualified.suppressed.sort((a, b) => a.position - b.position);
+    }
+    
+    // Payment days, caps and durations checked against the team's thresholds; a cap is
+    // worded as "shall not exceed", so these skip the qualifier pass
+    const terms = extractNumericTerms(text);
+    if (termPolicy !== false) {
+      allFlags = allFlags.concat(detectTermFlags(text, terms, resolveTermPolicy(termPolicy)));
+    }
+    
     // Merge duplicates
     const mergedFlags = mergeDuplicateFlags(allFlags);
     
     // Generate IDs and format
-    const flags = mergedFlags.map((flag, index) => ({
-      id: `F${index + 1}`,
-      type: flag.type,
-      excerpt: flag.excerpt,
-      start: flag.position,
-      end: flag.position + flag.matchedText.length,
-      reason: flag.reason,
-      severity: flag.severity
-    }));
+    const segmentation = segmentClauses(text);
+    const flags = mergedFlags.map((flag, index) => formatFlag(flag, `F${index + 1}`, segmentation));
+    const suppressed = suppressedFlags.map((flag, index) => formatFlag(flag, `S${index + 1}`, segmentation));
+    
+    // Standard protections the contract type calls for but the text lacks
+    const missingClauses = contractType ? findMissingClauses(text, { contractType }) : { contractType: null, missing: [] };
+    for (const missing of missingClauses.missing) {
+      flags.push({
+        id: `F${flags.length + 1}`,
+        type: 'MISSING_CLAUSE',
+        excerpt: null,
+        start: null,
+        end: null,
+        reason: `No ${missing.label.toLowerCase()} clause found in this ${missingClauses.contractType.label.toLowerCase()}`,
+        severity: missing.severity,
+        category: missing.clause,
+        explanation: missing.explanation,
+        recommendation: missing.recommendation,
+        clause: null
+      });
+    }
     
     // Generate summary
     const summary = {};
@@ -349,6 +681,7 @@ const FLAG_PATTERNS = {
       summary[flag.type] = (summary[flag.type] || 0) + 1;
     }
     summary.total = flags.length;
+    summary.suppressed = suppressed.length;
     
     // Calculate risk metrics
     const highSeverityCount = flags.filter(f => f.severity === 'HIGH').length;
@@ -358,6 +691,9 @@ const FLAG_PATTERNS = {
     
     return {
       flags,
+      suppressed,
+      contractType: missingClauses.contractType,
+      terms,
       summary
     };
   }
\ No newline at end of file
@@ -3,24 +3,26 @@
  * Generates detailed compliance reports for healthcare documents
  */
 
+import { formatClause } from './clauses';
+
 // HIPAA PHI Categories (18 identifiers)
 const HIPAA_PHI_CATEGORIES = {
   NAMES: {
     label: 'Names',
     description: 'Patient names, relatives, employers',
-    redactionTypes: ['TITLE_NAME'],
+    redactionTypes: ['PERSON_NAME'],
     severity: 'HIGH'
   },
   GEOGRAPHIC: {
     label: 'Geographic Data',
     description: 'Addresses, city, state, zip codes smaller than state',
-    redactionTypes: ['ADDRESS'],
+    redactionTypes: ['ADDRESS', 'ZIP_CODE'],
     severity: 'HIGH'
   },
   DATES: {
     label: 'Dates',
     description: 'Birth date, admission date, discharge date, death date, ages over 89',
-    redactionTypes: ['DATE'],
+    redactionTypes: ['DATE', 'AGE'],
     severity: 'HIGH'
   },
   PHONE: {
@@ -68,19 +70,25 @@ const HIPAA_PHI_CATEGORIES = {
   LICENSE: {
     label: 'Certificate/License Numbers',
     description: 'Certificate/license numbers',
-    redactionTypes: ['DEA_NUMBER', 'NPI'],
+    redactionTypes: ['DEA_NUMBER', 'NPI', 'LICENSE_NUMBER'],
     severity: 'HIGH'
   },
+  VEHICLE: {
+    label: 'Vehicle Identifiers',
+    description: 'Vehicle identifiers and serial numbers, including license plate numbers',
+    redactionTypes: ['VEHICLE_ID'],
+    severity: 'MEDIUM'
+  },
   DEVICE: {
     label: 'Device Identifiers',
     description: 'Device identifiers and serial numbers',
-    redactionTypes: [],
+    redactionTypes: ['DEVICE_ID'],
     severity: 'MEDIUM'
   },
   URL: {
     label: 'Web URLs',
     description: 'Web Universal Resource Locators',
-    redactionTypes: [],
+    redactionTypes: ['URL'],
     severity: 'MEDIUM'
   },
   IP: {
@@ -92,19 +100,22 @@ const HIPAA_PHI_CATEGORIES = {
   BIOMETRIC: {
     label: 'Biometric Identifiers',
     description: 'Biometric identifiers including fingerprints and voiceprints',
-    redactionTypes: [],
+    redactionTypes: ['BIOMETRIC_ID'],
     severity: 'CRITICAL'
   },
   PHOTO: {
     label: 'Full Face Photos',
     description: 'Full face photographic images',
-    redactionTypes: [],
+    redactionTypes: ['PHOTO_FILE'],
     severity: 'HIGH'
   },
   OTHER: {
     label: 'Other Unique Identifiers',
     description: 'Any other unique identifying number, characteristic, or code',
-    redactionTypes: ['CREDIT_CARD', 'IBAN', 'ROUTING_NUMBER'],
+    redactionTypes: [
+      'CREDIT_CARD', 'IBAN', 'ROUTING_NUMBER',
+      'AADHAAR', 'PAN', 'GSTIN', 'UK_NINO', 'CANADIAN_SIN', 'EU_VAT'
+    ],
     severity: 'HIGH'
   }
 };
@@ -137,6 +148,27 @@ const SECURITY_REQUIREMENTS = [
   }
 ];
 
+// How each transform strategy satisfies the Safe Harbor method (45 CFR 164.514(b)(2))
+const STRATEGY_CITATIONS = {
+  mask: 'Identifier removed',
+  generalize: 'Generalized as permitted by 45 CFR 164.514(b)(2)(i) (year of dates, ages over 89 as 90+)',
+  truncate: 'Truncated to initial three ZIP digits per 45 CFR 164.514(b)(2)(i)(B)',
+  hash: 'Replaced with a keyed one-way code per 45 CFR 164.514(c)',
+  pseudonymize: 'Replaced with a re-identification code per 45 CFR 164.514(c)'
+};
+
+/**
+ * Count redactions per transform strategy
+ */
+function countTransforms(redactions) {
+  const counts = {};
+  for (const r of redactions) {
+    const strategy = r.strategy || 'mask';
+    counts[strategy] = (counts[strategy] || 0) + 1;
+  }
+  return counts;
+}
+
 /**
  * Map redaction types to HIPAA categories
  */
@@ -152,10 +184,13 @@ function mapRedactionsToHIPAA(redactions) {
       hipaaFindings[category] = {
         ...config,
         count: matchingRedactions.length,
+        transforms: countTransforms(matchingRedactions),
         instances: matchingRedactions.map(r => ({
           id: r.id,
           type: r.type,
-          confidence: r.confidence
+          confidence: r.confidence,
+          strategy: r.strategy || 'mask',
+          clause: r.clause || null
         }))
       };
     }
@@ -164,6 +199,9 @@ function mapRedactionsToHIPAA(redactions) {
   return hipaaFindings;
 }
 
+// Missing clauses that HIPAA itself requires of a business associate contract
+const HIPAA_MISSING_CLAUSES = ['BUSINESS_ASSOCIATE', 'BREACH_NOTIFICATION'];
+
 /**
  * Map flags to HIPAA concerns
  */
@@ -177,16 +215,29 @@ function mapFlagsToHIPAA(flags) {
         severity: 'HIGH',
         description: `PHI-related content detected: ${flag.reason}`,
         excerpt: flag.excerpt,
+        clause: flag.clause || null,
         recommendation: 'Review and redact or remove PHI content'
       });
     }
 
+    if (flag.type === 'MISSING_CLAUSE' && HIPAA_MISSING_CLAUSES.includes(flag.category)) {
+      concerns.push({
+        type: 'MISSING_SAFEGUARD',
+        severity: 'HIGH',
+        description: flag.reason,
+        excerpt: null,
+        clause: null,
+        recommendation: flag.recommendation
+      });
+    }
+
     if (flag.type === 'PRIVILEGE') {
       concerns.push({
         type: 'PRIVILEGED_HEALTH_INFO',
         severity: 'MEDIUM',
         description: `Potentially privileged health information: ${flag.reason}`,
         excerpt: flag.excerpt,
+        clause: flag.clause || null,
         recommendation: 'Verify authorization before sharing'
       });
     }
@@ -332,6 +383,7 @@ export function generateHIPAAReport(text, redactions, flags, options = {}) {
     highFindings: Object.values(hipaaFindings).filter(f => f.severity === 'HIGH').length,
     mediumFindings: Object.values(hipaaFindings).filter(f => f.severity === 'MEDIUM').length,
     flaggedSections: flags.length,
+    transformsApplied: countTransforms(redactions),
     complianceScore: complianceScore.score,
     complianceGrade: complianceScore.grade
   };
@@ -375,14 +427,18 @@ export function generateHIPAAReport(text, redactions, flags, options = {}) {
         type: r.type,
         hipaaCategory: Object.entries(HIPAA_PHI_CATEGORIES)
           .find(([_, config]) => config.redactionTypes.includes(r.type))?.[0] || 'OTHER',
-        confidence: r.confidence
+        confidence: r.confidence,
+        strategy: r.strategy || 'mask',
+        citation: STRATEGY_CITATIONS[r.strategy || 'mask'],
+        clause: r.clause || null
       })),
       flaggedContent: flags.map(f => ({
         id: f.id,
         type: f.type,
         severity: f.severity,
         excerpt: f.excerpt,
-        reason: f.reason
+        reason: f.reason,
+        clause: f.clause || null
       }))
     };
   }
@@ -431,6 +487,12 @@ export function generateHIPAAReportText(report) {
       lines.push(`  [${finding.severity}] ${finding.label}`);
       lines.push(`    Description: ${finding.description}`);
       lines.push(`    Instances Found: ${finding.count}`);
+      const transforms = Object.entries(finding.transforms || {})
+        .map(([strategy, count]) => `${strategy} (${count})`)
+        .join(', ');
+      if (transforms) lines.push(`    Transforms: ${transforms}`);
+      const clauses = [...new Set(finding.instances.map(instance => formatClause(instance.clause)).filter(Boolean))];
+      if (clauses.length > 0) lines.push(`    Clauses: ${clauses.join('; ')}`);
       lines.push('');
     }
   }
@@ -444,6 +506,7 @@ export function generateHIPAAReportText(report) {
     for (const concern of report.concerns) {
       lines.push(`  [${concern.severity}] ${concern.type}`);
       lines.push(`    ${concern.description}`);
+      if (concern.clause) lines.push(`    Clause: ${formatClause(concern.clause)}`);
       lines.push(`    Recommendation: ${concern.recommendation}`);
       lines.push('');
     }
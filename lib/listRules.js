@@ -0,0 +1,128 @@
+/**
+ * Allow-List and Deny-List Rules
+ * Known public values that are never redacted, and literal terms that always are
+ */
+
+import { checkRegexSafety } from './customPatterns';
+
+// Priority above every built-in pattern so a denied term wins any overlap
+const DENY_PRIORITY = 11;
+
+function escapeRegex(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Regex for a literal term: whitespace-flexible, and bounded by non-word
+ * characters wherever the term itself starts or ends with a word character
+ */
+function literalRegex(term, flags) {
+  const body = term.trim().split(/\s+/).map(escapeRegex).join('\\s+');
+  const before = /^\w/.test(term.trim()) ? '(?<![A-Za-z0-9])' : '';
+  const after = /\w$/.test(term.trim()) ? '(?![A-Za-z0-9])' : '';
+  return new RegExp(`${before}${body}${after}`, flags);
+}
+
+/**
+ * Compile allow-list entries
+ *
+ * Entries are exact strings, RegExp objects, or { regex, flags } objects (the
+ * JSON form used by the API). Regexes must match a whole value to allow it.
+ * API regexes get the same safety checks as custom patterns; passing the
+ * document as options.text also dry-runs them against it under a time budget.
+ */
+export function compileAllowList(entries = [], options = {}) {
+  const { text } = options;
+
+  return entries.map(entry => {
+    if (entry instanceof RegExp) {
+      return { kind: 'regex', rule: entry.toString(), regex: new RegExp(entry.source, entry.flags.replace(/[gy]/g, '') + 'g') };
+    }
+
+    if (entry && typeof entry === 'object' && typeof entry.regex === 'string') {
+      let regex;
+      try {
+        regex = new RegExp(entry.regex, (entry.flags || '').replace(/[gy]/g, '') + 'g');
+      } catch (error) {
+        throw new Error(`Invalid allow-list pattern "${entry.regex}": ${error.message}`);
+      }
+      const unsafe = checkRegexSafety(entry.regex, regex, { text });
+      if (unsafe) {
+        throw new Error(`Invalid allow-list pattern "${entry.regex}": ${unsafe}`);
+      }
+      return { kind: 'regex', rule: `/${entry.regex}/${entry.flags || ''}`, regex };
+    }
+
+    if (typeof entry === 'string' && entry.trim()) {
+      return { kind: 'value', rule: entry, value: entry.trim(), regex: literalRegex(entry, 'g') };
+    }
+
+    throw new Error('Allow-list entries must be strings, regular expressions or { regex, flags } objects');
+  });
+}
+
+/**
+ * Spans of text covered by allow-list entries
+ */
+export function findAllowedRanges(text, allowRules) {
+  const ranges = [];
+
+  for (const rule of allowRules) {
+    rule.regex.lastIndex = 0;
+    let match;
+    while ((match = rule.regex.exec(text)) !== null) {
+      if (match[0].length === 0) {
+        rule.regex.lastIndex++;
+        continue;
+      }
+      ranges.push({ start: match.index, end: match.index + match[0].length, rule: rule.rule });
+    }
+  }
+
+  return ranges;
+}
+
+/**
+ * Find the allow-list rule that covers a match, if any
+ *
+ * A match is allowed when it lies inside an allowed span, or when an exact
+ * entry normalizes to the same value (so "+1 (415) 555-0100" allows "415-555-0100").
+ */
+export function findAllowRule(match, value, allowRules, allowedRanges, normalize) {
+  const range = allowedRanges.find(r => match.start >= r.start && match.end <= r.end);
+  if (range) return range.rule;
+
+  const normalized = normalize(match.type, value);
+  const rule = allowRules.find(r => r.kind === 'value' && normalize(match.type, r.value) === normalized);
+  return rule ? rule.rule : null;
+}
+
+/**
+ * Matches for deny-list terms (literal, case-insensitive), shaped like pattern matches
+ */
+export function findDeniedTerms(text, terms = []) {
+  const matches = [];
+
+  for (const term of terms) {
+    if (typeof term !== 'string' || !term.trim()) continue;
+
+    const regex = literalRegex(term, 'gi');
+    let match;
+    while ((match = regex.exec(text)) !== null) {
+      matches.push({
+        type: 'DENIED_TERM',
+        original: match[0],
+        start: match.index,
+        end: match.index + match[0].length,
+        valueOffset: 0,
+        valueLength: match[0].length,
+        confidence: 'high',
+        priority: DENY_PRIORITY,
+        list: 'deny',
+        listRule: term
+      });
+    }
+  }
+
+  return matches;
+}
@@ -0,0 +1,237 @@
+/**
+ * Missing Clause Detection
+ * Checklists of standard protections per contract type, flagging the ones a contract lacks
+ */
+
+// Standard clauses and the wording that shows a contract has one
+export const CLAUSE_CHECKS = {
+  LIMITATION_OF_LIABILITY: {
+    label: 'Limitation of liability',
+    evidence: /\blimitations?\s+(?:of|on)\s+liability\b|\b(?:aggregate|total|maximum|cumulative)\s+liability\b[^.]{0,100}?\b(?:exceed|limited\s+to|capped)|\bin\s+no\s+event\s+shall\b[^.]{0,100}?\bliable\b/i,
+    explanation: 'Without a cap, each party is exposed to the full amount of any claim, including indirect and consequential losses.',
+    recommendation: "Except for breach of confidentiality or a party's indemnity obligations, neither party's aggregate liability under this Agreement shall exceed the fees paid or payable in the twelve (12) months preceding the claim, and neither party shall be liable for indirect, incidental or consequential damages."
+  },
+  TERMINATION_FOR_CONVENIENCE: {
+    label: 'Termination for convenience',
+    evidence: /\bterminat\w*\s+(?:this\s+agreement\s+)?for\s+(?:its\s+)?convenience\b|\bterminate\s+(?:this\s+agreement\s+)?(?:at\s+any\s+time\s+)?(?:for\s+any\s+reason|without\s+cause)\b/i,
+    explanation: 'Without it the customer is locked in for the full term even if the relationship stops working.',
+    recommendation: 'Either party may terminate this Agreement for convenience on thirty (30) days prior written notice; Customer shall pay for Services performed through the effective date of termination.'
+  },
+  TERMINATION: {
+    label: 'Termination',
+    evidence: /\bterminat(?:e|ed|es|ion|ing)\b/i,
+    explanation: 'The contract does not say how either party can end it or what happens when it ends.',
+    recommendation: 'Either party may terminate this Agreement on thirty (30) days written notice, or immediately if the other party materially breaches this Agreement and fails to cure within fifteen (15) days of notice.'
+  },
+  CONFIDENTIALITY: {
+    label: 'Confidentiality',
+    evidence: /\bconfidential\s+information\b|\bconfidentiality\b|\bnon-?disclosure\b/i,
+    explanation: 'Business, pricing and customer information exchanged under the contract is not protected from disclosure.',
+    recommendation: "Each party shall hold the other's Confidential Information in confidence, use it only to perform this Agreement, and disclose it only to personnel and advisors bound by equivalent obligations."
+  },
+  INDEMNIFICATION: {
+    label: 'Indemnification',
+    evidence: /\bindemnif/i,
+    explanation: 'Third-party claims caused by the other party, such as IP infringement, stay with whoever is sued.',
+    recommendation: 'Each party shall defend and indemnify the other against third-party claims arising from its breach of this Agreement, its negligence or wilful misconduct, or infringement of intellectual property rights by its deliverables.'
+  },
+  INTELLECTUAL_PROPERTY: {
+    label: 'Intellectual property ownership',
+    evidence: /\bintellectual\s+property\b|\bwork\s+(?:made\s+)?for\s+hire\b|\bassign\w*\b[^.]{0,80}?\b(?:inventions?|work\s+product|deliverables)\b/i,
+    explanation: 'Ownership of work product and inventions falls back on default law, which often leaves it with whoever created it.',
+    recommendation: 'All deliverables and work product created under this Agreement are works made for hire and, to the extent they are not, are hereby assigned to Customer, excluding pre-existing materials, which are licensed to Customer on a perpetual, royalty-free basis.'
+  },
+  GOVERNING_LAW: {
+    label: 'Governing law',
+    evidence: /\bgoverned\s+by\b|\bgoverning\s+law\b/i,
+    explanation: 'Without a chosen law, a dispute starts with an argument about which law applies.',
+    recommendation: 'This Agreement is governed by the laws of the State of [State], without regard to its conflict-of-laws rules, and the courts located in [County], [State] have exclusive jurisdiction.'
+  },
+  BUSINESS_ASSOCIATE: {
+    label: 'Business associate (BAA) terms',
+    evidence: /\bbusiness\s+associate\b|\bBAA\b|\b45\s+C\.?F\.?R\.?\s+(?:§\s*)?164\.(?:314|504)/i,
+    explanation: 'A vendor handling protected health information for a covered entity must sign business associate terms under HIPAA (45 CFR 164.504(e)).',
+    recommendation: "The parties shall enter into the Business Associate Agreement attached as Exhibit [X], which governs Vendor's use and disclosure of Protected Health Information and prevails over this Agreement for PHI."
+  },
+  BREACH_NOTIFICATION: {
+    label: 'Data breach notification',
+    evidence: /\b(?:security|data|privacy)\s+(?:breach|incident)\b[^.]{0,150}?\bnotif|\bnotif\w*\b[^.]{0,150}?\b(?:security|data|privacy)\s+(?:breach|incident)\b|\bbreach\s+of\s+unsecured\s+protected\s+health\s+information\b/i,
+    explanation: 'Without a notice duty and deadline, you may learn of a breach of your data too late to meet your own legal obligations.',
+    recommendation: 'Vendor shall notify Customer in writing without undue delay, and in any event within seventy-two (72) hours, of discovering any Security Incident affecting Customer Data, and shall cooperate in the investigation and remediation.'
+  },
+  DATA_PROTECTION: {
+    label: 'Data protection',
+    evidence: /\bdata\s+protection\b|\bpersonal\s+(?:data|information)\b|\bprivacy\s+laws?\b|\bsecurity\s+(?:measures|safeguards|controls)\b/i,
+    explanation: 'Nothing requires the vendor to secure your data or comply with privacy law when processing it.',
+    recommendation: 'Vendor shall process Customer Data only on documented instructions, comply with applicable data protection laws, and maintain administrative, physical and technical safeguards no less protective than industry standards such as SOC 2 or ISO 27001.'
+  },
+  RETURN_OF_INFORMATION: {
+    label: 'Return or destruction of information',
+    evidence: /\breturn\s+or\s+destr|\bdestroy\b[^.]{0,40}?\b(?:confidential|such|all)\b|\breturn\s+(?:all\s+)?(?:confidential|such)\s+(?:information|materials)\b/i,
+    explanation: 'The recipient can keep copies of your information after the relationship ends.',
+    recommendation: "On request or termination, the Receiving Party shall promptly return or destroy all Confidential Information and certify the destruction in writing."
+  },
+  TERM_AND_SURVIVAL: {
+    label: 'Term and survival of obligations',
+    evidence: /\bsurviv\w*\b|\bfor\s+a\s+period\s+of\s+\S+\s+(?:\(\d+\)\s+)?(?:years?|months?)\b/i,
+    explanation: 'It is unclear how long the confidentiality obligations last.',
+    recommendation: 'The obligations in this Agreement continue for three (3) years after the last disclosure, and for trade secrets for as long as they remain trade secrets.'
+  }
+};
+
+/**
+ * Contract types: the title wording that identifies each, and the clauses it should contain
+ *
+ * A type with `requires` applies only on top of one of those types, e.g. a
+ * services agreement that also mentions patients or PHI.
+ */
+export const CONTRACT_TYPES = {
+  'healthcare-services': {
+    id: 'healthcare-services',
+    label: 'Healthcare services agreement',
+    requires: ['services', 'saas'],
+    detect: /\bprotected\s+health\s+information\b|\bPHI\b|\bpatients?\b|\bHIPAA\b|\bcovered\s+entity\b|\bmedical\s+records?\b/i,
+    checklist: {
+      BUSINESS_ASSOCIATE: 'HIGH',
+      BREACH_NOTIFICATION: 'HIGH',
+      LIMITATION_OF_LIABILITY: 'HIGH',
+      CONFIDENTIALITY: 'HIGH',
+      DATA_PROTECTION: 'MEDIUM',
+      TERMINATION_FOR_CONVENIENCE: 'MEDIUM',
+      INDEMNIFICATION: 'MEDIUM',
+      GOVERNING_LAW: 'LOW'
+    }
+  },
+  services: {
+    id: 'services',
+    label: 'Services agreement',
+    detect: /\b(?:(?:master|professional|consulting)\s+)?services?\s+(?:agreement|contract)\b|\bstatement\s+of\s+work\b|\bconsulting\s+agreement\b/i,
+    checklist: {
+      LIMITATION_OF_LIABILITY: 'HIGH',
+      CONFIDENTIALITY: 'HIGH',
+      TERMINATION_FOR_CONVENIENCE: 'MEDIUM',
+      INDEMNIFICATION: 'MEDIUM',
+      INTELLECTUAL_PROPERTY: 'MEDIUM',
+      BREACH_NOTIFICATION: 'MEDIUM',
+      GOVERNING_LAW: 'LOW'
+    }
+  },
+  saas: {
+    id: 'saas',
+    label: 'SaaS / subscription agreement',
+    detect: /\bsoftware[- ]as[- ]a[- ]service\b|\bSaaS\b|\bsubscription\s+agreement\b|\bcloud\s+services\s+agreement\b|\bterms\s+of\s+service\b/i,
+    checklist: {
+      LIMITATION_OF_LIABILITY: 'HIGH',
+      DATA_PROTECTION: 'HIGH',
+      BREACH_NOTIFICATION: 'HIGH',
+      CONFIDENTIALITY: 'MEDIUM',
+      TERMINATION_FOR_CONVENIENCE: 'LOW',
+      GOVERNING_LAW: 'LOW'
+    }
+  },
+  nda: {
+    id: 'nda',
+    label: 'Non-disclosure agreement',
+    detect: /\b(?:mutual\s+)?(?:non-?disclosure|confidentiality)\s+agreement\b|\bNDA\b/i,
+    checklist: {
+      CONFIDENTIALITY: 'HIGH',
+      RETURN_OF_INFORMATION: 'MEDIUM',
+      TERM_AND_SURVIVAL: 'MEDIUM',
+      GOVERNING_LAW: 'LOW'
+    }
+  },
+  employment: {
+    id: 'employment',
+    label: 'Employment agreement',
+    detect: /\bemployment\s+(?:agreement|contract)\b|\boffer\s+letter\b/i,
+    checklist: {
+      INTELLECTUAL_PROPERTY: 'HIGH',
+      CONFIDENTIALITY: 'MEDIUM',
+      TERMINATION: 'MEDIUM',
+      GOVERNING_LAW: 'LOW'
+    }
+  }
+};
+
+// The title and recitals, where a contract names what it is
+const TITLE_WINDOW = 2000;
+
+// Shorter texts are excerpts; a missing clause there says nothing about the contract
+const MIN_CONTRACT_LENGTH = 800;
+
+/**
+ * Contract type summaries for option pickers
+ */
+export function listContractTypes() {
+  return Object.values(CONTRACT_TYPES).map(({ id, label }) => ({ id, label }));
+}
+
+/**
+ * Guess the contract type from its title, or null
+ *
+ * The type named earliest in the opening text wins; a services or SaaS
+ * agreement that mentions patients or PHI anywhere is a healthcare one.
+ */
+export function detectContractType(text) {
+  if (!text || typeof text !== 'string' || text.length < MIN_CONTRACT_LENGTH) return null;
+
+  const head = text.slice(0, TITLE_WINDOW);
+  let best = null;
+  for (const type of Object.values(CONTRACT_TYPES)) {
+    if (type.requires) continue;
+    const match = head.match(type.detect);
+    if (match && (!best || match.index < best.index)) best = { id: type.id, index: match.index };
+  }
+  if (!best) return null;
+
+  const specialized = Object.values(CONTRACT_TYPES).find(type =>
+    type.requires && type.requires.includes(best.id) && type.detect.test(text)
+  );
+  return specialized ? specialized.id : best.id;
+}
+
+/**
+ * Look up a contract type by id; 'auto' and empty values have none
+ */
+export function getContractType(id) {
+  if (!id || id === 'auto') return null;
+
+  const type = CONTRACT_TYPES[id];
+  if (!type) {
+    throw new Error(`Unknown contract type "${id}"`);
+  }
+  return type;
+}
+
+/**
+ * Check a contract against its type's checklist
+ *
+ * options.contractType: a CONTRACT_TYPES id, or 'auto' (default) to detect it.
+ * Returns { contractType, missing } where contractType is { id, label, detected }
+ * or null when the type is unknown, and missing lists { clause, label, severity,
+ * explanation, recommendation } for every checklist clause with no evidence in the text.
+ */
+export function findMissingClauses(text, options = {}) {
+  const { contractType = 'auto' } = options;
+  if (!text || typeof text !== 'string') return { contractType: null, missing: [] };
+
+  const detected = contractType === 'auto';
+  const id = detected ? detectContractType(text) : contractType;
+  if (!id) return { contractType: null, missing: [] };
+
+  const type = getContractType(id);
+  const missing = [];
+  for (const [clause, severity] of Object.entries(type.checklist)) {
+    const check = CLAUSE_CHECKS[clause];
+    if (check.evidence.test(text)) continue;
+    missing.push({
+      clause,
+      label: check.label,
+      severity,
+      explanation: check.explanation,
+      recommendation: check.recommendation
+    });
+  }
+
+  return { contractType: { id: type.id, label: type.label, detected }, missing };
+}
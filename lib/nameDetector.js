@@ -0,0 +1,285 @@
+/**
+ * Offline Person and Organization Name Detector
+ * Combines a bundled gazetteer with contract-structure cues; never calls the AI service
+ */
+
+import {
+  FIRST_NAMES,
+  SURNAMES,
+  LEGAL_ENTITY_SUFFIXES,
+  ORGANIZATION_SUFFIXES,
+  NON_NAME_WORDS
+} from './nameGazetteer';
+
+// One capitalized token: a word, an initial, or an all-caps abbreviation
+const NAME_TOKEN = "[A-Z](?:[A-Za-z'’&-]*[A-Za-z])?\\.?";
+
+// Capitalized phrase on a single line (single-space separated, so table
+// columns stay apart), with an optional ", Inc." style tail that must end
+// at a word boundary (", Columbus" is not ", Co")
+const PHRASE_SOURCE =
+  `(?:(?:Mr|Ms|Mrs|Dr|Prof|Shri|Smt)\\.?[ \\t])?${NAME_TOKEN}(?:[ \\t]${NAME_TOKEN}){0,5}` +
+  '(?:,[ \\t]?(?:Inc|LLC|LLP|Ltd|Corp|Co|PLC|GmbH)(?![A-Za-z])\\.?)?';
+
+const TITLE_PREFIX = /^(?:Mr|Ms|Mrs|Dr|Prof|Shri|Smt)\.?\s+/;
+
+// Suffixes written as abbreviations, whose period belongs to the name ("Acme Co.")
+const ABBREVIATED_SUFFIXES = new Set(['inc', 'co', 'corp', 'ltd', 'pvt', 'bv', 'nv', 'sa', 'ag']);
+
+// Structural cues that introduce a party or signatory name
+const NAME_CUES = [
+  { cue: 'name field', regex: /\b(?:(?:full|printed|print|legal|employee|patient|client|contact)\s+)?name\s*:[ \t]*/gi },
+  { cue: 'attention line', regex: /\b(?:attn|attention)\s*[:.][ \t]*/gi },
+  { cue: 'signature block', regex: /\bby\s*:[ \t]*(?:\/s\/[ \t]*)?(?:_+[ \t]*)?/gi },
+  { cue: 'witness line', regex: /\bwitness(?:ed\s+by)?\s*:[ \t]*/gi },
+  { cue: 'witness line', regex: /\bin\s+the\s+presence\s+of[ \t]*:?[ \t]*/gi }
+];
+
+const RECITAL_CUE = /\b(?:by\s+and\s+)?between\s+/gi;
+
+// How far past the first party to look for the ", and <second party>" recital
+const RECITAL_LOOKAHEAD = 300;
+
+const PRIORITY = {
+  cue: 6,
+  gazetteer: 5,
+  organization: 4
+};
+
+function bareWord(token) {
+  return token.replace(/[.,'’]+$/g, '').toLowerCase();
+}
+
+/**
+ * Drop a sentence-ending period from a name ("John Smith." -> "John Smith"),
+ * but keep it after an initial ("John Q.")
+ */
+function stripSentencePeriod(name) {
+  return /[a-z]{2}\.$/.test(name) ? name.slice(0, -1) : name;
+}
+
+/**
+ * Decide whether a capitalized phrase is a person, an organization, or neither
+ *
+ * Descriptive endings like "Services" only count as organizations when a cue
+ * introduced the phrase, or it has a coined (CamelCase) or multi-word name before them
+ */
+function classifyPhrase(phrase, { fromCue = false } = {}) {
+  const tokens = phrase.replace(/,/g, ' ').split(/\s+/).filter(Boolean);
+  const words = tokens.map(bareWord);
+
+  const suffixIndex = words.findIndex((word, i) => i > 0 && ORGANIZATION_SUFFIXES.has(word));
+  if (suffixIndex > 0) {
+    let lastSuffix = suffixIndex;
+    while (lastSuffix + 1 < words.length && ORGANIZATION_SUFFIXES.has(words[lastSuffix + 1])) lastSuffix++;
+
+    // Leading connectives ("For Acme Corp", "The Acme Company") are not part of the name
+    let first = 0;
+    while (first < suffixIndex && NON_NAME_WORDS.has(words[first])) first++;
+
+    const nameTokens = tokens.slice(first, suffixIndex);
+    const distinctive = words.slice(first, suffixIndex).filter(w => !ORGANIZATION_SUFFIXES.has(w));
+    if (distinctive.length === 0) return null;
+
+    const hasLegalSuffix = words.slice(suffixIndex, lastSuffix + 1).some(w => LEGAL_ENTITY_SUFFIXES.has(w));
+    const isHeading = phrase === phrase.toUpperCase();
+    const coined = nameTokens.some(t => /[a-z][A-Z]/.test(t));
+    if (!hasLegalSuffix && !fromCue && (isHeading || (nameTokens.length < 2 && !coined))) return null;
+
+    const start = phrase.indexOf(tokens[first]);
+    let text = trimToToken(phrase, tokens[lastSuffix]).slice(start);
+    if (!ABBREVIATED_SUFFIXES.has(words[lastSuffix])) {
+      text = stripSentencePeriod(text);
+    }
+
+    return {
+      type: 'ORGANIZATION',
+      text,
+      offset: start,
+      gazetteer: false
+    };
+  }
+
+  const personText = phrase.replace(TITLE_PREFIX, '');
+  const personWords = personText.split(/\s+/).map(bareWord);
+  if (personWords.length < 2 || personWords.length > 4) return null;
+  if (personWords.some(word => NON_NAME_WORDS.has(word) || ORGANIZATION_SUFFIXES.has(word))) return null;
+
+  return {
+    type: 'PERSON_NAME',
+    text: stripSentencePeriod(phrase.trim()),
+    offset: 0,
+    gazetteer: FIRST_NAMES.has(personWords[0]) || SURNAMES.has(personWords[personWords.length - 1])
+  };
+}
+
+/**
+ * Whether a labelled value reads as a person's name; with requireGazetteer a
+ * known first name or surname must appear too ("Patient: Refer To Attached" is not one)
+ */
+export function isPersonName(value, { requireGazetteer = false } = {}) {
+  const classified = classifyPhrase(value, { fromCue: true });
+  return Boolean(classified && classified.type === 'PERSON_NAME' && (classified.gazetteer || !requireGazetteer));
+}
+
+/**
+ * Cut a phrase right after the given token (keeps its trailing period)
+ */
+function trimToToken(phrase, token) {
+  const index = phrase.lastIndexOf(token);
+  return index === -1 ? phrase.trim() : phrase.slice(0, index + token.length).trim();
+}
+
+/**
+ * Read a capitalized phrase starting exactly at position
+ */
+function readPhraseAt(text, position) {
+  const phraseRegex = new RegExp(PHRASE_SOURCE, 'y');
+  phraseRegex.lastIndex = position;
+  const match = phraseRegex.exec(text);
+  return match ? match[0] : null;
+}
+
+function toMatch(classified, phraseStart, confidence, priority, cue) {
+  const start = phraseStart + (classified.offset || 0);
+  return {
+    type: classified.type,
+    original: classified.text,
+    start,
+    end: start + classified.text.length,
+    valueOffset: 0,
+    valueLength: classified.text.length,
+    confidence,
+    priority,
+    cue
+  };
+}
+
+/**
+ * Names introduced by "Name:", "Attn:", "By:" and witness lines
+ */
+function findCueNames(text) {
+  const matches = [];
+
+  for (const { cue, regex } of NAME_CUES) {
+    regex.lastIndex = 0;
+    let match;
+    while ((match = regex.exec(text)) !== null) {
+      const start = match.index + match[0].length;
+      const phrase = readPhraseAt(text, start);
+      const classified = phrase && classifyPhrase(phrase, { fromCue: true });
+      if (!classified) continue;
+
+      const confidence = classified.type === 'ORGANIZATION' || classified.gazetteer ? 'high' : 'medium';
+      const priority = classified.type === 'ORGANIZATION' ? PRIORITY.organization : PRIORITY.cue;
+      matches.push(toMatch(classified, start, confidence, priority, cue));
+    }
+  }
+
+  return matches;
+}
+
+/**
+ * Parties named in "by and between X ... and Y" recitals
+ */
+function findRecitalNames(text) {
+  const matches = [];
+  RECITAL_CUE.lastIndex = 0;
+  let match;
+
+  while ((match = RECITAL_CUE.exec(text)) !== null) {
+    const firstStart = match.index + match[0].length;
+    const firstPhrase = readPhraseAt(text, firstStart);
+    const first = firstPhrase && classifyPhrase(firstPhrase, { fromCue: true });
+    if (!first) continue;
+
+    matches.push(toMatch(first, firstStart, first.type === 'PERSON_NAME' && !first.gazetteer ? 'medium' : 'high',
+      first.type === 'ORGANIZATION' ? PRIORITY.organization : PRIORITY.cue, 'party recital'));
+
+    // The second party follows the first "and" that introduces a name
+    const firstEnd = firstStart + first.offset + first.text.length;
+    const tail = text.slice(firstEnd, firstEnd + RECITAL_LOOKAHEAD);
+    const andRegex = /\band\s+/g;
+    let andMatch;
+    while ((andMatch = andRegex.exec(tail)) !== null) {
+      const secondStart = firstEnd + andMatch.index + andMatch[0].length;
+      const secondPhrase = readPhraseAt(text, secondStart);
+      const second = secondPhrase && classifyPhrase(secondPhrase, { fromCue: true });
+      if (!second) continue;
+
+      matches.push(toMatch(second, secondStart, second.type === 'PERSON_NAME' && !second.gazetteer ? 'medium' : 'high',
+        second.type === 'ORGANIZATION' ? PRIORITY.organization : PRIORITY.cue, 'party recital'));
+      break;
+    }
+  }
+
+  return matches;
+}
+
+/**
+ * Free-text names: a known first name followed by capitalized words,
+ * or a capitalized phrase ending in a corporate suffix. Names without a
+ * known surname or initial are marked review: true.
+ */
+function findGazetteerNames(text) {
+  const matches = [];
+  const phraseRegex = new RegExp(PHRASE_SOURCE, 'g');
+  let match;
+
+  while ((match = phraseRegex.exec(text)) !== null) {
+    const phrase = match[0];
+
+    const classified = classifyPhrase(phrase);
+    if (classified && classified.type === 'ORGANIZATION') {
+      matches.push(toMatch(classified, match.index, 'medium', PRIORITY.organization, 'organization suffix'));
+      continue;
+    }
+
+    // Tokens with their offsets inside the phrase
+    const tokens = Array.from(phrase.matchAll(/[^\s,]+/g), t => ({ text: t[0], offset: t.index, word: bareWord(t[0]) }));
+
+    // A known first name followed by one or two more name tokens
+    for (let i = 0; i < tokens.length - 1; i++) {
+      if (!FIRST_NAMES.has(tokens[i].word)) continue;
+
+      let end = i + 1;
+      while (end < tokens.length && end - i < 3 && !NON_NAME_WORDS.has(tokens[end].word) && !ORGANIZATION_SUFFIXES.has(tokens[end].word)) {
+        end++;
+      }
+      if (end - i < 2) continue;
+
+      const last = tokens[end - 1];
+      const nameText = stripSentencePeriod(phrase.slice(tokens[i].offset, last.offset + last.text.length));
+      const hasSurname = tokens.slice(i + 1, end).some(t => SURNAMES.has(t.word)) || /^[A-Z]\.$/.test(tokens[i + 1].text);
+
+      // A first name alone is not enough ("Grace Period", "Virginia Law"):
+      // without a known surname or an initial the match waits for a reviewer
+      const nameMatch = toMatch(
+        { type: 'PERSON_NAME', text: nameText },
+        match.index + tokens[i].offset,
+        hasSurname ? 'medium' : 'low',
+        PRIORITY.gazetteer,
+        'gazetteer'
+      );
+      if (!hasSurname) nameMatch.review = true;
+      matches.push(nameMatch);
+      break;
+    }
+  }
+
+  return matches;
+}
+
+/**
+ * Detect PERSON_NAME and ORGANIZATION candidates in text
+ * Returned matches share the shape used by the redaction engine
+ */
+export function detectNames(text) {
+  if (!text || typeof text !== 'string') return [];
+
+  return [
+    ...findCueNames(text),
+    ...findRecitalNames(text),
+    ...findGazetteerNames(text)
+  ];
+}
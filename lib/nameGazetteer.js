@@ -0,0 +1,87 @@
+/**
+ * Name Gazetteer
+ * Bundled first-name and surname lists for offline person-name detection
+ */
+
+// Common given names across US, UK and Indian contracts (lowercase)
+export const FIRST_NAMES = new Set([
+  // English
+  'aaron', 'adam', 'alan', 'albert', 'alex', 'alexander', 'alice', 'alicia', 'allison', 'amanda',
+  'amy', 'andrea', 'andrew', 'angela', 'ann', 'anna', 'anne', 'anthony', 'arthur', 'ashley',
+  'barbara', 'benjamin', 'betty', 'beverly', 'bob', 'brandon', 'brenda', 'brian', 'bruce', 'carl',
+  'carol', 'caroline', 'catherine', 'charles', 'charlotte', 'cheryl', 'chris', 'christina', 'christine', 'christopher',
+  'cynthia', 'daniel', 'david', 'deborah', 'debra', 'dennis', 'diana', 'diane', 'donald', 'donna',
+  'dorothy', 'douglas', 'edward', 'elizabeth', 'emily', 'emma', 'eric', 'eugene', 'evelyn', 'frances',
+  'frank', 'gary', 'george', 'gerald', 'gloria', 'grace', 'gregory', 'hannah', 'harold', 'heather',
+  'helen', 'henry', 'jack', 'jacob', 'james', 'jane', 'janet', 'janice', 'jason', 'jean',
+  'jeffrey', 'jennifer', 'jeremy', 'jerry', 'jessica', 'joan', 'joe', 'john', 'jonathan', 'jose',
+  'joseph', 'joshua', 'joyce', 'juan', 'judith', 'judy', 'julia', 'julie', 'justin', 'karen',
+  'katherine', 'kathleen', 'kathryn', 'keith', 'kelly', 'kenneth', 'kevin', 'kimberly', 'larry', 'laura',
+  'lauren', 'lawrence', 'linda', 'lisa', 'lori', 'louis', 'margaret', 'maria', 'marie', 'marilyn',
+  'mark', 'martha', 'mary', 'matthew', 'megan', 'melissa', 'michael', 'michelle', 'nancy', 'natalie',
+  'nicholas', 'nicole', 'olivia', 'pamela', 'patricia', 'patrick', 'paul', 'peter', 'philip', 'rachel',
+  'ralph', 'raymond', 'rebecca', 'richard', 'robert', 'roger', 'ronald', 'rose', 'roy', 'russell',
+  'ruth', 'ryan', 'samantha', 'samuel', 'sandra', 'sara', 'sarah', 'scott', 'sean', 'sharon',
+  'shirley', 'sophia', 'stephanie', 'stephen', 'steven', 'susan', 'teresa', 'terry', 'thomas', 'timothy',
+  'tyler', 'victoria', 'virginia', 'walter', 'wayne', 'william', 'willie', 'zachary',
+  // Indian
+  'aarav', 'abhishek', 'aditi', 'aditya', 'ajay', 'akash', 'amit', 'amitabh', 'ananya', 'anil',
+  'anita', 'anjali', 'ankit', 'anuj', 'arjun', 'arun', 'deepa', 'deepak', 'divya', 'gaurav',
+  'geeta', 'harish', 'ishaan', 'kavita', 'kiran', 'krishna', 'lakshmi', 'manish', 'meera', 'mohan',
+  'neha', 'nikhil', 'pooja', 'prakash', 'priya', 'rahul', 'raj', 'rajesh', 'rakesh', 'ramesh',
+  'ravi', 'rohit', 'sachin', 'sanjay', 'sandeep', 'sanjana', 'shreya', 'sneha', 'sunil', 'sunita',
+  'suresh', 'swati', 'vijay', 'vikram', 'vinod', 'vivek'
+]);
+
+// Common surnames (lowercase)
+export const SURNAMES = new Set([
+  // English
+  'adams', 'allen', 'anderson', 'bailey', 'baker', 'barnes', 'bell', 'bennett', 'brooks', 'brown',
+  'bryant', 'butler', 'campbell', 'carter', 'clark', 'collins', 'cook', 'cooper', 'cox', 'cruz',
+  'davis', 'diaz', 'doe', 'edwards', 'evans', 'fisher', 'flores', 'foster', 'garcia', 'gomez',
+  'gonzalez', 'gray', 'green', 'griffin', 'hall', 'harris', 'hayes', 'henderson', 'hernandez', 'hill',
+  'howard', 'hughes', 'jackson', 'james', 'jenkins', 'johnson', 'jones', 'kelly', 'king', 'lee',
+  'lewis', 'long', 'lopez', 'martin', 'martinez', 'miller', 'mitchell', 'moore', 'morgan', 'morris',
+  'murphy', 'myers', 'nelson', 'nguyen', 'parker', 'patterson', 'perez', 'perry', 'peterson', 'phillips',
+  'powell', 'price', 'ramirez', 'reed', 'reyes', 'richardson', 'rivera', 'roberts', 'robinson', 'rodriguez',
+  'rogers', 'ross', 'russell', 'sanchez', 'sanders', 'scott', 'smith', 'stewart', 'sullivan', 'taylor',
+  'thomas', 'thompson', 'torres', 'turner', 'walker', 'ward', 'washington', 'watson', 'white', 'williams',
+  'wilson', 'wood', 'wright', 'young',
+  // Indian
+  'agarwal', 'banerjee', 'bhat', 'bose', 'chatterjee', 'chopra', 'das', 'desai', 'dutta', 'gandhi',
+  'ghosh', 'gupta', 'iyer', 'jain', 'joshi', 'kapoor', 'khan', 'kulkarni', 'kumar', 'malhotra',
+  'mehta', 'menon', 'mishra', 'mukherjee', 'nair', 'pandey', 'patel', 'pillai', 'rao', 'reddy',
+  'saxena', 'shah', 'sharma', 'singh', 'sinha', 'srivastava', 'verma', 'yadav'
+]);
+
+// Legal-form suffixes that always mark a capitalized phrase as an organization
+export const LEGAL_ENTITY_SUFFIXES = new Set([
+  'inc', 'incorporated', 'llc', 'llp', 'lp', 'ltd', 'limited', 'corp', 'corporation', 'co',
+  'company', 'plc', 'gmbh', 'ag', 'sa', 'bv', 'nv', 'pvt'
+]);
+
+// Descriptive trailing words that suggest an organization but also end ordinary phrases
+// ("Transportation Services"), so they need more evidence before they count
+export const DESCRIPTIVE_ORGANIZATION_WORDS = new Set([
+  'holdings', 'group', 'partners', 'associates', 'foundation', 'trust', 'bank', 'university',
+  'hospital', 'clinic', 'technologies', 'solutions', 'systems', 'services', 'enterprises',
+  'industries', 'labs', 'healthcare'
+]);
+
+export const ORGANIZATION_SUFFIXES = new Set([...LEGAL_ENTITY_SUFFIXES, ...DESCRIPTIVE_ORGANIZATION_WORDS]);
+
+// Capitalized words that appear in contracts but are never part of a person's name
+export const NON_NAME_WORDS = new Set([
+  'agreement', 'party', 'parties', 'section', 'article', 'clause', 'schedule', 'exhibit', 'annex',
+  'appendix', 'effective', 'date', 'term', 'client', 'customer', 'vendor', 'supplier', 'provider',
+  'contractor', 'consultant', 'employee', 'employer', 'licensor', 'licensee', 'buyer', 'seller',
+  'company', 'the', 'this', 'that', 'these', 'and', 'or', 'of', 'by', 'for', 'between', 'whereas',
+  'now', 'therefore', 'in', 'witness', 'whereof', 'name', 'title', 'signature', 'signed', 'dated',
+  'address', 'state', 'county', 'city', 'street', 'avenue', 'road', 'suite', 'confidential',
+  'information', 'services', 'product', 'products', 'software', 'data', 'notice', 'attn', 'attention',
+  'president', 'director', 'officer', 'manager', 'ceo', 'cfo', 'coo', 'cto', 'vp', 'general',
+  'counsel', 'secretary', 'chairman', 'authorized', 'signatory', 'representative', 'hipaa', 'nda',
+  'january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october',
+  'november', 'december', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday',
+  'united', 'states', 'america', 'india', 'kingdom', 'california', 'delaware', 'new', 'york', 'texas'
+]);
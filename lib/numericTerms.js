@@ -0,0 +1,344 @@
+/**
+ * Numeric Term Extraction
+ * Reads notice periods, payment terms, liability caps, interest, renewal and non-compete
+ * durations as structured values and checks them against a team policy
+ */
+
+import { sentenceBounds } from './qualifiers';
+
+const UNITS = ['one', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight', 'nine'];
+const TEENS = ['ten', 'eleven', 'twelve', 'thirteen', 'fourteen', 'fifteen', 'sixteen', 'seventeen', 'eighteen', 'nineteen'];
+const TENS = ['twenty', 'thirty', 'forty', 'fifty', 'sixty', 'seventy', 'eighty', 'ninety'];
+
+const WORD_VALUES = Object.fromEntries([
+  ...UNITS.map((word, i) => [word, i + 1]),
+  ...TEENS.map((word, i) => [word, i + 10]),
+  ...TENS.map((word, i) => [word, (i + 2) * 10])
+]);
+
+// "ninety", "forty-five", "one hundred twenty"; tens before units so "sixty" is not read as "six"
+const TENS_AND_UNITS = `(?:${TENS.join('|')})(?:[- ](?:${UNITS.join('|')}))?|${TEENS.join('|')}|${UNITS.join('|')}`;
+const WORD_NUMBER = `\\b(?:(?:${UNITS.join('|')})\\s+hundred(?:\\s+(?:and\\s+)?(?:${TENS_AND_UNITS}))?|${TENS_AND_UNITS})\\b`;
+
+// "thirty (30)", "30" or "thirty"; the source has no capturing groups of its own
+const NUMBER = `(?:${WORD_NUMBER}\\s*\\(\\s*\\d[\\d,]*(?:\\.\\d+)?\\s*\\)|\\d[\\d,]*(?:\\.\\d+)?|${WORD_NUMBER})`;
+
+const DURATION_UNIT = '(?:calendar\\s+|business\\s+|working\\s+)?(?:days?|weeks?|months?|years?)';
+
+const DAYS_PER_UNIT = { day: 1, week: 7, month: 30, year: 365 };
+const MONTHS_PER_UNIT = { day: 1 / 30, week: 7 / 30, month: 1, year: 12 };
+
+/**
+ * Value of a written number ("forty-five", "one hundred twenty"), or null
+ */
+export function wordsToNumber(words) {
+  let total = 0;
+  let seen = false;
+  for (const word of words.toLowerCase().split(/[\s-]+/)) {
+    if (word === 'and' || !word) continue;
+    if (word === 'hundred') {
+      total = (total || 1) * 100;
+    } else if (WORD_VALUES[word] !== undefined) {
+      total += WORD_VALUES[word];
+    } else {
+      return null;
+    }
+    seen = true;
+  }
+  return seen ? total : null;
+}
+
+/**
+ * Read a number written as digits, words, or both ("thirty (30)")
+ * Returns { value, written } where written is the worded value of a pair, or null
+ */
+export function readNumber(chunk) {
+  const paired = chunk.match(/^(.*?)\s*\(\s*([\d,]+(?:\.\d+)?)\s*%?\s*\)$/);
+  if (paired) {
+    return { value: Number(paired[2].replace(/,/g, '')), written: wordsToNumber(paired[1]) };
+  }
+  if (/^\d/.test(chunk)) return { value: Number(chunk.replace(/,/g, '')), written: null };
+  return { value: wordsToNumber(chunk), written: null };
+}
+
+/**
+ * Singular base unit of "business days", "Months" or "year"
+ */
+function baseUnit(unit) {
+  return unit.toLowerCase().replace(/^(?:calendar|business|working)\s+/, '').replace(/s$/, '');
+}
+
+const round = value => Math.round(value * 100) / 100;
+
+/**
+ * Duration in days or months, keeping what the contract stated
+ */
+function duration(chunk, unit, into) {
+  const { value, written } = readNumber(chunk);
+  const base = baseUnit(unit);
+  const factor = into === 'days' ? DAYS_PER_UNIT[base] : MONTHS_PER_UNIT[base];
+  return { value: round(value * factor), unit: into, stated: { value, unit: base }, written };
+}
+
+// Cues a sentence must contain for a bare duration to count as that kind of term
+const RENEWAL_CUE = /\brenew(?:s|ed|al|als)?\b|\bautomatically\s+extend/i;
+const NON_COMPETE_CUE = /\bnon-?compet\w*|\bnot\s+(?:directly\s+or\s+indirectly\s+)?(?:compete|engage\s+in\s+(?:any\s+)?competi)|\bcovenant\s+not\s+to\s+compete\b|\bcompetitive\s+(?:business|activit)/i;
+const NOTICE_CUE = /\bnotice\b/i;
+
+/**
+ * Quantified terms and the wording that states them
+ *
+ * Each pattern's `read` turns a match into { value, unit, stated, written }.
+ * A pattern with `requires` only counts inside a sentence matching that cue.
+ */
+export const TERM_KINDS = {
+  NOTICE_PERIOD: {
+    label: 'Notice period',
+    explanation: 'A short notice period leaves little time to react to termination, non-renewal or changes.',
+    patterns: [
+      {
+        regex: new RegExp(`(${NUMBER})\\s*[- ]?\\s*(${DURATION_UNIT})['’]?\\s+(?:prior\\s+|advance\\s+)?(?:written\\s+)?notice\\b`, 'gi'),
+        read: m => duration(m[1], m[2], 'days')
+      },
+      {
+        regex: new RegExp(`\\bnotice\\b[^.;\\n]{0,40}?\\b(?:at\\s+least|not\\s+less\\s+than|no\\s+less\\s+than|of)\\s+(${NUMBER})\\s*[- ]?\\s*(${DURATION_UNIT})\\b`, 'gi'),
+        read: m => duration(m[1], m[2], 'days')
+      },
+      {
+        regex: new RegExp(`\\bat\\s+least\\s+(${NUMBER})\\s*[- ]?\\s*(${DURATION_UNIT})\\s+(?:prior\\s+to|before|in\\s+advance)\\b`, 'gi'),
+        read: m => duration(m[1], m[2], 'days'),
+        requires: NOTICE_CUE
+      }
+    ]
+  },
+  PAYMENT_TERMS: {
+    label: 'Payment terms',
+    explanation: 'Long payment terms delay cash and extend credit risk on every invoice.',
+    patterns: [
+      {
+        regex: /\bnet\s*[- ]?\s*(\d{1,3})\b/gi,
+        read: m => duration(m[1], 'days', 'days')
+      },
+      {
+        regex: new RegExp(`\\b(?:pay(?:able)?|paid|due|remit\\w*|payments?)\\b[^.;\\n]{0,60}?\\bwithin\\s+(${NUMBER})\\s*[- ]?\\s*(${DURATION_UNIT})\\b`, 'gi'),
+        read: m => duration(m[1], m[2], 'days')
+      },
+      {
+        regex: new RegExp(`(${NUMBER})\\s*[- ]?\\s*(${DURATION_UNIT})\\s+(?:after|of|from|following)\\s+(?:the\\s+)?(?:(?:receipt|date)\\s+of\\s+(?:an?\\s+|the\\s+|each\\s+)?)?invoice`, 'gi'),
+        read: m => duration(m[1], m[2], 'days')
+      }
+    ]
+  },
+  LIABILITY_CAP: {
+    label: 'Liability cap',
+    explanation: 'A low cap leaves most of the loss from a serious failure with the customer.',
+    patterns: [
+      {
+        regex: new RegExp(`\\b(?:liability|damages)\\b[^.;\\n]{0,150}?\\b(?:shall\\s+not|will\\s+not|not\\s+to|in\\s+no\\s+event)\\s+exceed\\b[^.;\\n]{0,100}?\\b(${NUMBER})\\s*[- ]?\\s*(months?|years?)\\b`, 'gi'),
+        read: m => ({ ...duration(m[1], m[2], 'months'), unit: 'months-of-fees' }),
+        requires: /\b(?:fees|charges|amounts?\s+paid)\b/i
+      },
+      {
+        // The cue can come first: "In no event shall either party's liability exceed..."
+        regex: new RegExp(`\\bin\\s+no\\s+event\\s+shall\\b[^.;\\n]{0,100}?\\b(?:liability|damages)\\b[^.;\\n]{0,60}?\\bexceed\\b[^.;\\n]{0,100}?\\b(${NUMBER})\\s*[- ]?\\s*(months?|years?)\\b`, 'gi'),
+        read: m => ({ ...duration(m[1], m[2], 'months'), unit: 'months-of-fees' }),
+        requires: /\b(?:fees|charges|amounts?\s+paid)\b/i
+      },
+      {
+        regex: new RegExp(`\\b(?:liability|damages)\\b[^.;\\n]{0,150}?\\b(?:(?:limited|capped)\\s+(?:to|at))\\b[^.;\\n]{0,100}?\\b(${NUMBER})\\s*[- ]?\\s*(months?|years?)\\b`, 'gi'),
+        read: m => ({ ...duration(m[1], m[2], 'months'), unit: 'months-of-fees' }),
+        requires: /\b(?:fees|charges|amounts?\s+paid)\b/i
+      },
+      {
+        regex: /\b(?:liability|damages)\b[^.;\n]{0,150}?\b(?:exceed|(?:limited|capped)\s+(?:to|at))\s+(?:the\s+(?:greater|lesser)\s+of\s+)?(?:(?:US)?([$€£])\s?(\d[\d,]*(?:\.\d+)?)(?:\s*(million|thousand))?)/gi,
+        read: m => {
+          const amount = Number(m[2].replace(/,/g, '')) * ({ million: 1e6, thousand: 1e3 }[(m[3] || '').toLowerCase()] || 1);
+          const currency = { $: 'USD', '€': 'EUR', '£': 'GBP' }[m[1]];
+          return { value: amount, unit: currency, stated: null, written: null };
+        }
+      }
+    ]
+  },
+  LATE_INTEREST: {
+    label: 'Late-payment interest',
+    explanation: 'High late charges compound quickly on disputed or delayed invoices.',
+    patterns: [
+      {
+        regex: new RegExp(`\\b(?:interest|late\\s+(?:payment\\s+)?(?:fees?|charges?)|finance\\s+charges?)\\b[^.;\\n]{0,80}?(?:${WORD_NUMBER}[^()%.;\\n]{0,30}?percent\\s*\\(\\s*(\\d+(?:\\.\\d+)?)\\s*%?\\s*\\)|(\\d+(?:\\.\\d+)?)\\s*(?:%|percent))(?:\\s*(?:per|a|each|every)\\s+(month|annum|year)|\\s*(monthly|annually))?`, 'gi'),
+        read: m => {
+          const rate = Number(m[1] || m[2]);
+          const period = (m[3] || m[4] || 'year').toLowerCase();
+          const monthly = period === 'month' || period === 'monthly';
+          return {
+            value: round(monthly ? rate * 12 : rate),
+            unit: 'percent-per-year',
+            stated: { value: rate, unit: monthly ? 'percent-per-month' : 'percent-per-year' },
+            written: null
+          };
+        }
+      }
+    ]
+  },
+  RENEWAL_TERM: {
+    label: 'Renewal term',
+    explanation: 'Long automatic renewal terms commit you for another full period if the deadline is missed.',
+    patterns: [
+      {
+        regex: new RegExp(`(${NUMBER})\\s*[- ]?\\s*(months?|years?)(?:\\s+renewal)?\\s+(?:terms?|periods?)\\b`, 'gi'),
+        read: m => duration(m[1], m[2], 'months'),
+        requires: RENEWAL_CUE
+      },
+      {
+        regex: new RegExp(`\\b(?:periods?|terms?)\\s+of\\s+(${NUMBER})\\s*[- ]?\\s*(months?|years?)\\b`, 'gi'),
+        read: m => duration(m[1], m[2], 'months'),
+        requires: RENEWAL_CUE
+      }
+    ]
+  },
+  NON_COMPETE_DURATION: {
+    label: 'Non-compete duration',
+    explanation: 'Long restrictive covenants limit future business and are more likely to be struck down.',
+    patterns: [
+      {
+        regex: new RegExp(`\\b(?:for|during)\\s+(?:a\\s+period\\s+of\\s+|the\\s+)?(${NUMBER})\\s*[- ]?\\s*(months?|years?)\\b`, 'gi'),
+        read: m => duration(m[1], m[2], 'months'),
+        requires: NON_COMPETE_CUE
+      }
+    ]
+  }
+};
+
+/**
+ * Default team policy: limits in each kind's normalized unit
+ * (days, months, % per year, or months of fees for a liability cap)
+ */
+export const DEFAULT_TERM_POLICY = {
+  PAYMENT_TERMS: { max: 45, severity: 'MEDIUM' },
+  NOTICE_PERIOD: { min: 30, severity: 'MEDIUM' },
+  LIABILITY_CAP: { min: 12, severity: 'HIGH' },
+  LATE_INTEREST: { max: 18, severity: 'MEDIUM' },
+  RENEWAL_TERM: { max: 12, severity: 'LOW' },
+  NON_COMPETE_DURATION: { max: 12, severity: 'HIGH' }
+};
+
+/**
+ * Extract every quantified term, in document order
+ *
+ * Returns { kind, value, unit, text, start, end, stated, written } where value
+ * is normalized (days for notice and payment, months for renewal and non-compete,
+ * % per year for interest, months of fees or a currency amount for a cap).
+ * `written` is the worded half of a "thirty (30)" pair, and `mismatch` marks a
+ * pair whose two halves disagree.
+ */
+export function extractNumericTerms(text) {
+  if (!text || typeof text !== 'string') return [];
+
+  const terms = [];
+  for (const [kind, config] of Object.entries(TERM_KINDS)) {
+    const found = [];
+    for (const pattern of config.patterns) {
+      const regex = new RegExp(pattern.regex.source, pattern.regex.flags);
+      let match;
+      while ((match = regex.exec(text)) !== null) {
+        const start = match.index;
+        const end = start + match[0].length;
+        if (found.some(term => term.start < end && term.end > start)) continue;
+        if (pattern.requires) {
+          const bounds = sentenceBounds(text, start, end);
+          if (!pattern.requires.test(text.slice(bounds.start, bounds.end))) continue;
+        }
+
+        const reading = pattern.read(match);
+        if (reading.value === null || Number.isNaN(reading.value)) continue;
+        found.push({
+          kind,
+          ...reading,
+          text: match[0],
+          start,
+          end,
+          ...(reading.written !== null && reading.stated && reading.written !== reading.stated.value && { mismatch: true })
+        });
+      }
+    }
+    terms.push(...found);
+  }
+
+  return terms.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Plain-language value of a term or limit: "60 days", "6 months' fees", "18% per year"
+ */
+export function describeTermValue(value, unit) {
+  switch (unit) {
+    case 'days': return `${value} day${value === 1 ? '' : 's'}`;
+    case 'months': return `${value} month${value === 1 ? '' : 's'}`;
+    case 'months-of-fees': return `${value} month${value === 1 ? "'s" : "s'"} fees`;
+    case 'percent-per-year': return `${value}% per year`;
+    default: return `${unit} ${value.toLocaleString('en-US')}`;
+  }
+}
+
+/**
+ * Team policy with overrides applied per kind; false or null turns a kind off
+ */
+export function resolveTermPolicy(overrides = {}) {
+  const policy = { ...DEFAULT_TERM_POLICY };
+  for (const [kind, rule] of Object.entries(overrides || {})) {
+    if (!TERM_KINDS[kind]) {
+      throw new Error(`Unknown term kind "${kind}"`);
+    }
+    if (rule === false || rule === null) {
+      delete policy[kind];
+    } else if (typeof rule !== 'object') {
+      throw new Error(`Invalid term policy for "${kind}"`);
+    } else {
+      policy[kind] = { ...policy[kind], ...rule };
+    }
+  }
+  return policy;
+}
+
+/**
+ * Terms outside the policy, as { term, limit, severity, reason, fallback }
+ *
+ * Limits apply in the term's normalized unit; a liability cap stated as an
+ * amount is only checked against `minAmount`.
+ */
+export function checkTermPolicy(terms, policy) {
+  const violations = [];
+
+  for (const term of terms) {
+    const rule = policy[term.kind];
+    if (!rule) continue;
+
+    const label = TERM_KINDS[term.kind].label;
+    const actual = describeTermValue(term.value, term.unit);
+    const amount = term.unit !== 'days' && term.unit !== 'months' && term.unit !== 'months-of-fees' && term.unit !== 'percent-per-year';
+    const min = amount ? rule.minAmount : rule.min;
+    const max = amount ? rule.maxAmount : rule.max;
+
+    let limit = null;
+    if (max !== undefined && term.value > max) {
+      limit = { max };
+      violations.push({
+        term,
+        limit,
+        severity: rule.severity || 'MEDIUM',
+        reason: `${label}: ${actual}, above the policy maximum of ${describeTermValue(max, term.unit)}`,
+        fallback: `Propose no more than ${describeTermValue(max, term.unit)}.`
+      });
+    } else if (min !== undefined && term.value < min) {
+      limit = { min };
+      violations.push({
+        term,
+        limit,
+        severity: rule.severity || 'MEDIUM',
+        reason: `${label}: ${actual}, below the policy minimum of ${describeTermValue(min, term.unit)}`,
+        fallback: `Propose at least ${describeTermValue(min, term.unit)}.`
+      });
+    }
+  }
+
+  return violations;
+}
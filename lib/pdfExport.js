@@ -4,6 +4,7 @@
  */
 
 import PDFDocument from 'pdfkit';
+import { formatClause } from './clauses';
 
 /**
  * Generate a redacted PDF document
@@ -68,18 +69,21 @@ export function generateRedactedPDF(options = {}) {
           .text(`Total Redactions: ${redactions.length}`)
           .text(`Flagged Sections: ${flags.length}`);
 
-        // Redaction summary
+        // Redaction summary (with any non-default transform, e.g. partial masks)
         const redactionSummary = {};
         redactions.forEach(r => {
-          redactionSummary[r.type] = (redactionSummary[r.type] || 0) + 1;
+          const entry = redactionSummary[r.type] || (redactionSummary[r.type] = { count: 0, strategies: new Set() });
+          entry.count++;
+          if (r.strategy && r.strategy !== 'mask') entry.strategies.add(r.strategy);
         });
 
         doc.moveDown();
         doc.font('Helvetica-Bold').text('Redaction Summary:');
         doc.font('Helvetica');
 
-        for (const [type, count] of Object.entries(redactionSummary)) {
-          doc.text(`  • ${type}: ${count} instance(s)`);
+        for (const [type, { count, strategies }] of Object.entries(redactionSummary)) {
+          const transforms = strategies.size > 0 ? ` (${Array.from(strategies).join(', ')})` : '';
+          doc.text(`  • ${type}: ${count} instance(s)${transforms}`);
         }
 
         doc.moveDown(2);
@@ -142,8 +146,11 @@ export function generateRedactedPDF(options = {}) {
           doc
             .font('Helvetica')
             .fillColor('#000000')
-            .text(`Reason: ${flag.reason}`)
-            .text(`Excerpt: "${flag.excerpt}"`, { indent: 20 });
+            .text(`Reason: ${flag.reason}`);
+          if (flag.clause) doc.text(`Clause: ${formatClause(flag.clause)}`);
+          if (flag.fallback) doc.text(`Fallback: ${flag.fallback}`);
+          if (flag.recommendation) doc.text(`Recommended clause: ${flag.recommendation}`, { indent: 20 });
+          if (flag.excerpt) doc.text(`Excerpt: "${flag.excerpt}"`, { indent: 20 });
 
           doc.moveDown();
         }
@@ -369,6 +376,9 @@ export function generateHIPAAReportPDF(report) {
             .text(`${finding.description}`)
             .text(`Instances Found: ${finding.count}`);
 
+          const clauses = [...new Set((finding.instances || []).map(instance => formatClause(instance.clause)).filter(Boolean))];
+          if (clauses.length > 0) doc.text(`Clauses: ${clauses.join('; ')}`);
+
           doc.moveDown();
         }
       }
@@ -85,6 +85,11 @@ export async function extractText(buffer, filename) {
     case 'txt':
       return extractFromTXT(buffer);
     
+    // Spreadsheet exports stay delimited so table detection sees the columns
+    case 'csv':
+    case 'tsv':
+      return extractFromTXT(buffer);
+    
     default:
       // Try as text first
       try {
@@ -138,15 +143,68 @@ export function validateExtractedText(text) {
   };
 }
 
+// Longest cell a space-aligned table row may have; prose runs longer
+const MAX_TABLE_CELL_LENGTH = 40;
+
+// How far, in characters, a column may drift between rows of one table
+const COLUMN_TOLERANCE = 3;
+
+/**
+ * Cells of a line split at wide gaps, with the column each one starts at,
+ * or null when the line has no gaps or a cell too long for a table
+ */
+function tableCells(line) {
+  const cells = [];
+  const cellPattern = /\S+(?: \S+)*/g;
+  let match;
+  while ((match = cellPattern.exec(line)) !== null) {
+    if (match[0].length > MAX_TABLE_CELL_LENGTH) return null;
+    cells.push(match.index);
+  }
+  return cells.length >= 2 ? cells : null;
+}
+
+/**
+ * Whether two rows have the same columns at (nearly) the same positions
+ */
+function columnsAlign(a, b) {
+  return a.length === b.length && a.every((start, index) => Math.abs(start - b[index]) <= COLUMN_TOLERANCE);
+}
+
+/**
+ * Turn space-aligned table columns into tabs
+ *
+ * PDF tables come out as rows padded with runs of spaces. Two or more
+ * consecutive lines of short cells whose columns start at the same positions
+ * are taken as a table, and their gaps become tabs so collapsing spaces keeps
+ * the columns apart. Prose with two spaces after a full stop is left alone.
+ */
+function preserveColumnGaps(text) {
+  const lines = text.split('\n');
+  const rows = lines.map(tableCells);
+  
+  let i = 0;
+  while (i < lines.length) {
+    let j = i;
+    while (j < lines.length && rows[j] && (j === i || columnsAlign(rows[j - 1], rows[j]))) j++;
+    if (j - i >= 2) {
+      for (let k = i; k < j; k++) {
+        lines[k] = lines[k].trim().replace(/ {2,}/g, '\t');
+      }
+    }
+    i = Math.max(j, i + 1);
+  }
+  
+  return lines.join('\n');
+}
+
 /**
  * Clean extracted text (remove excessive whitespace, etc.)
  */
 export function cleanExtractedText(text) {
   if (!text) return '';
   
-  return text
-    // Normalize line endings
-    .replace(/\r\n/g, '\n')
+  return preserveColumnGaps(text.replace(/\r\n/g, '\n'))
     // Remove excessive blank lines (more than 2)
     .replace(/\n{3,}/g, '\n\n')
     // Remove excessive spaces
@@ -0,0 +1,83 @@
+/**
+ * Redaction Profiles
+ * Named presets deciding which detectors run, how each type is transformed, and the confidence threshold
+ */
+
+// Detector types per profile; null runs every detector
+export const REDACTION_PROFILES = {
+  hipaa: {
+    id: 'hipaa',
+    label: 'HIPAA Safe Harbor',
+    description: 'The 18 Safe Harbor identifiers, with year-only dates, ZIP3 and ages over 89 as 90+',
+    types: [
+      'PERSON_NAME', 'ADDRESS', 'ZIP_CODE', 'DATE', 'AGE', 'PHONE', 'EMAIL', 'SSN',
+      'MRN', 'HEALTH_INSURANCE_ID', 'MEDICARE_ID', 'BANK_ACCOUNT', 'CREDIT_CARD', 'IBAN',
+      'DEA_NUMBER', 'NPI', 'LICENSE_NUMBER', 'VEHICLE_ID', 'DEVICE_ID', 'URL', 'IP_ADDRESS',
+      'BIOMETRIC_ID', 'PHOTO_FILE', 'DOCUMENT_ID'
+    ],
+    strategies: { DATE: 'generalize', ZIP_CODE: 'truncate', AGE: 'generalize' },
+    minConfidence: 'low'
+  },
+  gdpr: {
+    id: 'gdpr',
+    label: 'GDPR Personal Data',
+    description: 'Data identifying a natural person, including national IDs and health data',
+    types: [
+      'PERSON_NAME', 'EMAIL', 'PHONE', 'ADDRESS', 'ZIP_CODE', 'DATE', 'AGE', 'IP_ADDRESS',
+      'SSN', 'UK_NINO', 'AADHAAR', 'PAN', 'CANADIAN_SIN', 'EU_VAT', 'IBAN', 'BANK_ACCOUNT', 'CREDIT_CARD',
+      'SALARY', 'MRN', 'HEALTH_INSURANCE_ID', 'MEDICARE_ID'
+    ],
+    strategies: {},
+    minConfidence: 'medium'
+  },
+  pci: {
+    id: 'pci',
+    label: 'PCI-DSS',
+    description: 'Card and bank data only; card numbers keep their last four digits',
+    types: ['CREDIT_CARD', 'BANK_ACCOUNT', 'ROUTING_NUMBER', 'IBAN'],
+    strategies: { CREDIT_CARD: 'partial', BANK_ACCOUNT: 'partial', IBAN: 'partial' },
+    minConfidence: 'medium'
+  },
+  litigation: {
+    id: 'litigation',
+    label: 'Litigation Production',
+    description: 'Court-filing privacy redactions (FRCP 5.2): tax IDs and accounts to last four, dates to year',
+    types: [
+      'SSN', 'UK_NINO', 'CANADIAN_SIN', 'AADHAAR', 'PAN', 'CREDIT_CARD', 'BANK_ACCOUNT', 'IBAN',
+      'ROUTING_NUMBER', 'DATE'
+    ],
+    strategies: {
+      SSN: 'partial',
+      UK_NINO: 'partial',
+      CANADIAN_SIN: 'partial',
+      AADHAAR: 'partial',
+      PAN: 'partial',
+      CREDIT_CARD: 'partial',
+      BANK_ACCOUNT: 'partial',
+      IBAN: 'partial',
+      DATE: 'generalize'
+    },
+    minConfidence: 'medium'
+  }
+};
+
+/**
+ * Profile summaries for option pickers
+ */
+export function listProfiles() {
+  return Object.values(REDACTION_PROFILES).map(({ id, label, description }) => ({ id, label, description }));
+}
+
+/**
+ * Look up a profile by id; a profile object is passed through unchanged
+ */
+export function getProfile(profile) {
+  if (!profile) return null;
+  if (typeof profile === 'object') return profile;
+
+  const found = REDACTION_PROFILES[String(profile).toLowerCase()];
+  if (!found) {
+    throw new Error(`Unknown redaction profile "${profile}"`);
+  }
+  return found;
+}
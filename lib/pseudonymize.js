@@ -0,0 +1,290 @@
+/**
+ * Pseudonymization Engine
+ * Replaces sensitive values with consistent, realistic fakes and re-identifies them later
+ */
+
+import crypto from 'crypto';
+
+// Fake values used when a type needs words rather than digits
+const FAKE_FIRST_NAMES = [
+  'Alex', 'Jordan', 'Taylor', 'Morgan', 'Casey', 'Riley', 'Avery', 'Quinn',
+  'Parker', 'Reese', 'Harper', 'Rowan', 'Emerson', 'Finley', 'Hayden', 'Sawyer'
+];
+
+const FAKE_LAST_NAMES = [
+  'Ashford', 'Bramley', 'Calloway', 'Dunmore', 'Ellery', 'Fairbanks', 'Garrick', 'Holloway',
+  'Kingsley', 'Lockwood', 'Merriweather', 'Northcott', 'Pemberton', 'Radcliffe', 'Stanton', 'Whitlock'
+];
+
+const FAKE_PLACE_NAMES = [
+  'Maple', 'Cedar', 'Willow', 'Juniper', 'Linden', 'Birch', 'Hawthorn', 'Aspen',
+  'Fairview', 'Brookside', 'Riverton', 'Lakewood', 'Glenwood', 'Oakridge', 'Pinecrest', 'Springdale'
+];
+
+const FAKE_COMPANY_NAMES = [
+  'Northwind Traders', 'Contoso Holdings', 'Fabrikam Industries', 'Tailspin Partners',
+  'Litware Systems', 'Adatum Group', 'Proseware Limited', 'Wingtip Enterprises'
+];
+
+// Words inside an address match that describe structure rather than identify a place
+const ADDRESS_KEYWORDS = new Set([
+  'STREET', 'ST', 'AVENUE', 'AVE', 'ROAD', 'RD', 'BOULEVARD', 'BLVD', 'LANE', 'LN',
+  'DRIVE', 'DR', 'COURT', 'CT', 'WAY', 'PLACE', 'PL', 'SUITE', 'STE', 'APT', 'UNIT', 'INDIA'
+]);
+
+// Types whose captured value is an alphanumeric identifier (letters are scrambled too)
+const ALPHANUMERIC_TYPES = new Set([
+  'MRN', 'HEALTH_INSURANCE_ID', 'MEDICARE_ID', 'DEA_NUMBER', 'DOCUMENT_ID',
+  'LICENSE_NUMBER', 'VEHICLE_ID', 'DEVICE_ID', 'BIOMETRIC_ID'
+]);
+
+const LETTERS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+
+const MONTH_NAMES = [
+  'January', 'February', 'March', 'April', 'May', 'June',
+  'July', 'August', 'September', 'October', 'November', 'December'
+];
+
+/**
+ * Deterministic byte source seeded by the matter key and the value being replaced
+ */
+function createByteStream(key, seed) {
+  let block = 0;
+  let buffer = Buffer.alloc(0);
+  let offset = 0;
+
+  return function nextByte() {
+    if (offset >= buffer.length) {
+      buffer = crypto.createHmac('sha256', key).update(`${seed}:${block++}`).digest();
+      offset = 0;
+    }
+    return buffer[offset++];
+  };
+}
+
+function pick(list, nextByte) {
+  return list[((nextByte() << 8) | nextByte()) % list.length];
+}
+
+/**
+ * Replace every digit (and optionally letter) while keeping separators and case
+ */
+function substituteCharacters(value, nextByte, includeLetters) {
+  let result = '';
+
+  for (const char of value) {
+    if (/\d/.test(char)) {
+      result += String(nextByte() % 10);
+    } else if (includeLetters && /[A-Za-z]/.test(char)) {
+      const letter = LETTERS[nextByte() % 26];
+      result += char === char.toUpperCase() ? letter : letter.toLowerCase();
+    } else {
+      result += char;
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Replace capitalized words with fake ones, leaving structural keywords intact
+ */
+function substituteWords(value, list, nextByte) {
+  return value.replace(/\b[A-Z][A-Za-z]+\b/g, word =>
+    ADDRESS_KEYWORDS.has(word.toUpperCase()) ? word : pick(list, nextByte)
+  );
+}
+
+/**
+ * Luhn check digit for the given digits (without check digit)
+ */
+function luhnCheckDigit(digits) {
+  let sum = 0;
+  let double = true;
+
+  for (let i = digits.length - 1; i >= 0; i--) {
+    let digit = parseInt(digits[i], 10);
+    if (double) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+    double = !double;
+  }
+
+  return (10 - (sum % 10)) % 10;
+}
+
+function ordinalSuffix(day) {
+  if (day >= 11 && day <= 13) return 'th';
+  return { 1: 'st', 2: 'nd', 3: 'rd' }[day % 10] || 'th';
+}
+
+/**
+ * Build a fake value of the same type and shape as the original
+ */
+function generateFake(type, value, nextByte) {
+  switch (type) {
+    case 'SSN':
+      // Area numbers 900-999 are never issued, so the fake cannot collide with a real SSN
+      return '9' + substituteCharacters(value.slice(1), nextByte, false);
+
+    case 'CREDIT_CARD': {
+      const fake = substituteCharacters(value, nextByte, false);
+      const digits = fake.replace(/\D/g, '');
+      const checkDigit = luhnCheckDigit(digits.slice(0, -1));
+      return fake.replace(/\d(?=\D*$)/, String(checkDigit));
+    }
+
+    case 'EMAIL': {
+      const first = pick(FAKE_FIRST_NAMES, nextByte).toLowerCase();
+      const last = pick(FAKE_LAST_NAMES, nextByte).toLowerCase();
+      return `${first}.${last}${nextByte() % 100}@example.com`;
+    }
+
+    case 'DATE': {
+      // Keep the year so the draft stays readable, randomize month and day
+      const month = 1 + (nextByte() % 12);
+      const day = 1 + (nextByte() % 28);
+
+      const iso = value.match(/^(\d{4})-\d{2}-\d{2}$/);
+      if (iso) return `${iso[1]}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+
+      const parts = value.split(/([-/.])/);
+      if (parts.length === 5) {
+        return `${String(month).padStart(parts[0].length, '0')}${parts[1]}` +
+          `${String(day).padStart(parts[2].length, '0')}${parts[3]}${parts[4]}`;
+      }
+
+      // Written dates: swap the month name and the day, keeping any ordinal suffix
+      const written = value
+        .replace(/\b[A-Za-z]{3,}\b/, word => {
+          if (!MONTH_NAMES.some(name => name.toLowerCase().startsWith(word.slice(0, 3).toLowerCase()))) return word;
+          const name = MONTH_NAMES[month - 1];
+          return word.length === 3 || (word.length === 4 && /^sept$/i.test(word)) ? name.slice(0, 3) : name;
+        })
+        .replace(/\b\d{1,2}(st|nd|rd|th)?\b/i, (match, suffix) => (suffix ? day + ordinalSuffix(day) : String(day)));
+      return written === value ? substituteCharacters(value, nextByte, false) : written;
+    }
+
+    case 'PERSON_NAME': {
+      const title = value.match(/^(?:Mr|Ms|Mrs|Dr|Prof|Shri|Smt)\.?\s+/);
+      const fake = `${pick(FAKE_FIRST_NAMES, nextByte)} ${pick(FAKE_LAST_NAMES, nextByte)}`;
+      return title ? title[0] + fake : fake;
+    }
+
+    case 'COMPANY_NAME':
+    case 'ORGANIZATION': {
+      const prefix = value.match(/^M\/s\.?\s+/i);
+      const fake = pick(FAKE_COMPANY_NAMES, nextByte);
+      return prefix ? prefix[0] + fake : fake;
+    }
+
+    case 'ADDRESS':
+      return substituteCharacters(substituteWords(value, FAKE_PLACE_NAMES, nextByte), nextByte, false);
+
+    case 'URL': {
+      // Keep the scheme so the draft still reads as a link; the host and path are replaced
+      const scheme = value.match(/^(?:https?:\/\/)?(?:www\.)?/i)[0];
+      return `${scheme}example${nextByte() % 100}.com/${substituteCharacters('xxxxxxxx', nextByte, true)}`;
+    }
+
+    default:
+      return substituteCharacters(value, nextByte, ALPHANUMERIC_TYPES.has(type));
+  }
+}
+
+/**
+ * Pour a pseudonym's digits into another format of the same value
+ * ("900-11-2222" for "123 45 6789" gives "900 11 2222"), or null when the shapes differ
+ */
+function reshapeDigits(pseudonym, value) {
+  const digits = pseudonym.replace(/\D/g, '');
+  if (/[A-Za-z]/.test(value) || value.replace(/\D/g, '').length !== digits.length) return null;
+
+  let i = 0;
+  return value.replace(/\d/g, () => digits[i++]);
+}
+
+/**
+ * Create a pseudonymizer bound to a matter key
+ *
+ * The same (type, normalized value) pair always draws on the same fake for a
+ * given key, so documents processed with one key stay consistent with each other.
+ * Each exact original keeps its own entry and pseudonym, so format variants
+ * ("415-555-2671", "(415) 555-2671") re-identify to the text they replaced.
+ * Entries from a previously opened vault can be supplied to pin existing mappings.
+ */
+export function createPseudonymizer(options = {}) {
+  const {
+    key = crypto.randomBytes(32).toString('hex'),
+    entries = []
+  } = options;
+
+  const byOriginal = new Map();
+  const byValue = new Map();
+  const byPseudonym = new Map();
+
+  function remember(entry) {
+    byOriginal.set(`${entry.type}:${entry.original}`, entry);
+    const valueKey = `${entry.type}:${entry.normalized}`;
+    if (!byValue.has(valueKey)) byValue.set(valueKey, entry);
+    byPseudonym.set(entry.pseudonym, entry);
+  }
+
+  for (const entry of entries) {
+    remember(entry);
+  }
+
+  function pseudonymFor(type, value, normalized = value) {
+    const existing = byOriginal.get(`${type}:${value}`);
+    if (existing) return existing.pseudonym;
+
+    // A format variant of a known value keeps its fake digits in the variant's own format
+    const lookupKey = `${type}:${normalized}`;
+    const known = byValue.get(lookupKey);
+    let pseudonym = known ? reshapeDigits(known.pseudonym, value) : null;
+    let attempt = 0;
+    while ((!pseudonym || byPseudonym.has(pseudonym) || pseudonym === value) && attempt < 20) {
+      const nextByte = createByteStream(key, `${lookupKey}:${attempt++}`);
+      pseudonym = generateFake(type, value, nextByte);
+    }
+
+    remember({ type, original: value, normalized, pseudonym });
+
+    return pseudonym;
+  }
+
+  function getEntries() {
+    return Array.from(byOriginal.values()).map(entry => ({ ...entry }));
+  }
+
+  return {
+    pseudonymFor,
+    getEntries
+  };
+}
+
+/**
+ * Replace pseudonyms in (possibly edited) text with their original values
+ */
+export function reidentifyText(text, entries) {
+  if (!text || !entries || entries.length === 0) {
+    return { text: text || '', replacements: 0 };
+  }
+
+  const byPseudonym = new Map(entries.map(entry => [entry.pseudonym, entry.original]));
+
+  // Longest first so a pseudonym that contains another is restored as a whole
+  const alternatives = Array.from(byPseudonym.keys())
+    .sort((a, b) => b.length - a.length)
+    .map(p => p.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+
+  let replacements = 0;
+  const restored = text.replace(new RegExp(alternatives.join('|'), 'g'), match => {
+    replacements++;
+    return byPseudonym.get(match);
+  });
+
+  return { text: restored, replacements };
+}
@@ -0,0 +1,101 @@
+/**
+ * Qualifier Scopes
+ * Finds negation, limitation and exception language that changes what a flagged term means
+ */
+
+// Words that open a negation scope: "no patient data", "is not a waiver", "doesn't include"
+const NEGATION_CUE = /\b(?:no|not|neither|nor|never|none|nothing|without)\b|n['’]t\b/gi;
+
+// Words a negation reaches across to the term it negates; any other word
+// (a main verb such as "disclose") ends the scope, so "shall not disclose
+// confidential information" still flags the information
+const TRANSPARENT_WORDS = new Set([
+  'a', 'an', 'any', 'the', 'such', 'all', 'of', 'its', 'their', 'this', 'that', 'there', 'it', 'either', 'other',
+  'be', 'been', 'being', 'is', 'are', 'was', 'were', 'shall', 'will', 'may', 'must', 'does', 'do', 'did',
+  'have', 'has', 'had', 'include', 'includes', 'contain', 'contains', 'constitute', 'constitutes',
+  'involve', 'involves', 'deemed', 'considered', 'construed', 'intended', 'as', 'to', 'in', 'herein', 'hereunder',
+  'party', 'parties', 'agreement', 'obligation', 'obligations', 'duty', 'required', 'obligated'
+]);
+
+// Words a negation may reach across before the term
+const MAX_NEGATION_GAP = 5;
+
+// Caps and limits later in the sentence: "subject to the limitations in Section 9"
+const LIMITATION_CUE = /\bsubject\s+to\s+(?:the\s+|any\s+)?(?:limitations?|caps?|limits?|exclusions?)\b|\blimited\s+to\b|\bcapped\s+at\b|\b(?:not\s+to|shall\s+not|will\s+not)\s+exceed\b|\bup\s+to\s+a\s+maximum\b/gi;
+
+// Carve-outs whose scope runs to the next comma or semicolon: "except for gross negligence"
+const EXCEPTION_CUE = /\b(?:except(?:\s+(?:for|as|to|that))?|other\s+than|excluding|save\s+(?:for|as)|unless)\b/gi;
+
+// Words an exception may reach across before the term
+const MAX_EXCEPTION_GAP = 12;
+
+/**
+ * Start and end of the sentence or clause around a span, split at full stops,
+ * semicolons and line breaks
+ */
+export function sentenceBounds(text, start, end) {
+  const before = text.slice(0, start).search(/[^.;\n]*$/);
+  const after = text.slice(end).search(/[.;\n]/);
+  return { start: before, end: after === -1 ? text.length : end + after };
+}
+
+/**
+ * Last cue of a kind before the term, with the words between them
+ */
+function lastCueBefore(cue, lead) {
+  let last = null;
+  for (const match of lead.matchAll(cue)) last = match;
+  if (!last) return null;
+  const gap = lead.slice(last.index + last[0].length);
+  return { cue: last[0].trim(), gap, words: gap.trim() ? gap.trim().split(/\s+/) : [] };
+}
+
+/**
+ * Negation reaching the term across transparent words only
+ */
+function findNegation(lead) {
+  const found = lastCueBefore(NEGATION_CUE, lead);
+  if (!found || /[,:()]/.test(found.gap) || found.words.length > MAX_NEGATION_GAP) return null;
+  const reaches = found.words.every(word => TRANSPARENT_WORDS.has(word.toLowerCase()));
+  return reaches ? { scope: 'negation', cue: found.cue } : null;
+}
+
+/**
+ * Exception whose scope has not been closed by punctuation before the term
+ */
+function findException(lead) {
+  const found = lastCueBefore(EXCEPTION_CUE, lead);
+  if (!found || /[,:]/.test(found.gap) || found.words.length > MAX_EXCEPTION_GAP) return null;
+  return { scope: 'exception', cue: found.cue };
+}
+
+/**
+ * Limitation after the term in the same sentence, so it governs the term
+ * rather than a cap stated before it; a negated one ("not subject to any
+ * limitation") removes a cap rather than adding one
+ */
+function findLimitation(sentence, termEnd) {
+  for (const match of sentence.matchAll(LIMITATION_CUE)) {
+    if (match.index < termEnd) continue;
+    if (/\b(?:not|without)\s+$/i.test(sentence.slice(0, match.index))) continue;
+    return { scope: 'limitation', cue: match[0].replace(/\s+/g, ' ') };
+  }
+  return null;
+}
+
+/**
+ * Qualifier governing the term at text[start, end), or null
+ *
+ * Returns { scope, cue } where scope is 'negation' (the term is denied, e.g.
+ * "Neither party shall have unlimited liability"), 'exception' (the term sits
+ * in a carve-out) or 'limitation' (a cap follows it in the sentence). Negation wins over the
+ * other two, and an exception over a limitation.
+ */
+export function findQualifier(text, start, end) {
+  const bounds = sentenceBounds(text, start, end);
+  const lead = text.slice(bounds.start, start);
+
+  return findNegation(lead) ||
+    findException(lead) ||
+    findLimitation(text.slice(bounds.start, bounds.end), end - bounds.start);
+}
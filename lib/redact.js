@@ -3,16 +3,72 @@
  * Handles regex-based redaction with position tracking
  */
 
+import crypto from 'crypto';
+import { createPseudonymizer } from './pseudonymize';
+import { resolveStrategies, applyStrategy } from './transforms';
+import { detectNames } from './nameDetector';
+import { detectStructuredFields } from './structuredData';
+import { segmentClauses, clauseAt } from './clauses';
+import { getProfile } from './profiles';
+import { compileAllowList, findAllowedRanges, findAllowRule, findDeniedTerms } from './listRules';
+
+// Words near a bare number that suggest it is a business reference, not personal data
+const REFERENCE_NUMBER_KEYWORDS = [
+  'invoice', 'inv', 'order', 'po', 'p.o.', 'purchase order', 'contract no.', 'contract no',
+  'contract number', 'agreement no.', 'reference', 'ref', 'ref.', 'tracking', 'case no.',
+  'file no.', 'quote', 'sku', 'serial'
+];
+
+// Confidence levels in ascending order; context shifts move along this scale
+const CONFIDENCE_LEVELS = ['low', 'medium', 'high'];
+
+// Characters of surrounding text shown with each match awaiting review
+const REVIEW_CONTEXT_LENGTH = 40;
+
+// Texts longer than this are scanned in windows, so a pattern that runs on over
+// long stretches (e.g. a custom /\w+@/) costs at most one window per attempt
+const SCAN_WINDOW_SIZE = 5000;
+
+// Context each window carries past its own stretch on both sides; matches that
+// start in the margin belong to the neighbouring window
+const SCAN_WINDOW_MARGIN = 250;
+
+// Written month names ("Jan.", "Sept", "March") for long-form dates
+const MONTH_NAME_SOURCE =
+  '(?:Jan(?:uary)?|Feb(?:ruary)?|Mar(?:ch)?|Apr(?:il)?|May|June?|July?|Aug(?:ust)?|' +
+  'Sep(?:t(?:ember)?)?|Oct(?:ober)?|Nov(?:ember)?|Dec(?:ember)?)\\.?';
+
+// USPS state and territory codes, to tell "IL 60601" from any two capitals and five digits
+const US_STATE_CODES =
+  'A[KLRSZ]|C[AOT]|D[CE]|FL|G[AU]|HI|I[ADLN]|K[SY]|LA|M[ADEINOPST]|N[CDEHJMVY]|O[HKR]|P[AR]|RI|S[CD]|T[NX]|UT|V[AIT]|W[AIVY]';
+
+const MONTH_NUMBERS = {
+  jan: 1, feb: 2, mar: 3, apr: 4, may: 5, jun: 6, jul: 7, aug: 8, sep: 9, oct: 10, nov: 11, dec: 12
+};
+
+// Data categories a caller can switch on or off; each pattern carries one or more
+export const REDACTION_CATEGORIES = ['PII', 'PHI', 'Financial', 'Technical'];
+
+// Categories for matches produced outside REDACTION_PATTERNS
+const NAME_CATEGORIES = {
+  PERSON_NAME: ['PII', 'PHI'],
+  ORGANIZATION: ['PII']
+};
+
 // Redaction patterns with priority order (higher priority = processed first)
+// A failed `validator` drops the match; a failed `checksum` on a keyword-prefixed
+// pattern only lowers it to 'low', since the keyword is still evidence of the type
 const REDACTION_PATTERNS = [
     {
       type: 'SSN',
+      categories: ['PII', 'PHI'],
       regex: /\b\d{3}-\d{2}-\d{4}\b/g,
       priority: 10,
       confidence: 'high'
     },
     {
       type: 'CREDIT_CARD',
+      categories: ['Financial'],
       regex: /\b\d{4}[\s-]?\d{4}[\s-]?\d{4}[\s-]?\d{4}\b/g,
       priority: 9,
       confidence: 'high',
@@ -21,105 +77,276 @@ const REDACTION_PATTERNS = [
     // Bank Account & Routing Numbers
     {
       type: 'BANK_ACCOUNT',
+      categories: ['Financial'],
       regex: /\b(?:account\s*(?:number|#|no\.?)?[\s:]*)?(\d{8,17})\b/gi,
       priority: 9,
       confidence: 'medium',
-      validator: validateBankAccount
+      valueGroup: 1,
+      validator: validateBankAccount,
+      context: {
+        window: 40,
+        positive: ['account', 'acct', 'bank', 'wire', 'deposit', 'ach', 'beneficiary', 'checking', 'savings'],
+        negative: [...REFERENCE_NUMBER_KEYWORDS, 'phone', 'tel', 'fax', 'mobile'],
+        penalty: 2
+      }
     },
     {
       type: 'ROUTING_NUMBER',
+      categories: ['Financial'],
       regex: /\b(?:routing\s*(?:number|#|no\.?)?[\s:]*)?(\d{9})\b/gi,
       priority: 9,
       confidence: 'medium',
-      validator: validateRoutingNumber
+      valueGroup: 1,
+      validator: validateRoutingNumber,
+      context: {
+        window: 40,
+        positive: ['routing', 'aba', 'transit', 'wire', 'bank', 'ach'],
+        negative: REFERENCE_NUMBER_KEYWORDS,
+        penalty: 2
+      }
     },
     {
       type: 'IBAN',
-      regex: /\b[A-Z]{2}\d{2}[A-Z0-9]{4}\d{7}([A-Z0-9]?){0,16}\b/g,
+      categories: ['Financial'],
+      // A plain bounded class: the old ([A-Z0-9]?){0,16} backtracked through every split of the tail
+      regex: /\b[A-Z]{2}\d{2}[A-Z0-9]{4}\d{7}[A-Z0-9]{0,16}\b/g,
       priority: 9,
-      confidence: 'high'
+      confidence: 'high',
+      validator: validateIBAN
     },
     // Medical Record Number (MRN) - Multiple formats
     {
       type: 'MRN',
+      categories: ['PHI'],
       regex: /\b(?:MRN|medical\s*record\s*(?:number|#|no\.?)?|patient\s*(?:id|number|#)|health\s*record\s*(?:number|#|no\.?)?)[\s:]*([A-Z0-9-]{6,15})\b/gi,
       priority: 9,
-      confidence: 'high'
+      confidence: 'high',
+      valueGroup: 1
     },
     {
       type: 'MRN',
+      categories: ['PHI'],
       regex: /\b(?:chart\s*(?:number|#|no\.?)|encounter\s*(?:id|number|#)|visit\s*(?:id|number|#))[\s:]*([A-Z0-9-]{6,15})\b/gi,
       priority: 9,
-      confidence: 'high'
+      confidence: 'high',
+      valueGroup: 1
     },
     // Health Insurance IDs
     {
       type: 'HEALTH_INSURANCE_ID',
+      categories: ['PHI'],
       regex: /\b(?:member\s*(?:id|number|#)|subscriber\s*(?:id|number|#)|policy\s*(?:number|#)|group\s*(?:number|#)|insurance\s*(?:id|number|#))[\s:]*([A-Z0-9-]{6,20})\b/gi,
       priority: 9,
-      confidence: 'high'
+      confidence: 'high',
+      valueGroup: 1
     },
     // Medicare/Medicaid IDs (MBI format: 1AA1-AA1-AA11 or without dashes)
     {
       type: 'MEDICARE_ID',
+      categories: ['PHI'],
       regex: /\b(?:medicare\s*(?:id|number|#|beneficiary)?|medicaid\s*(?:id|number|#)|mbi)[\s:]*([A-Z0-9]{1}[A-Z0-9-]{9,14})\b/gi,
       priority: 9,
-      confidence: 'high'
+      confidence: 'high',
+      valueGroup: 1,
+      checksum: validateMBI
     },
     // DEA Number (Drug Enforcement Administration)
     {
       type: 'DEA_NUMBER',
+      categories: ['PHI'],
       regex: /\b(?:DEA\s*(?:number|#|no\.?)?)[\s:]*([A-Z]{2}\d{7})\b/gi,
       priority: 9,
-      confidence: 'high'
+      confidence: 'high',
+      valueGroup: 1,
+      checksum: validateDEA
     },
     // NPI (National Provider Identifier)
     {
       type: 'NPI',
+      categories: ['PHI'],
       regex: /\b(?:NPI|national\s*provider\s*(?:identifier|id|number))[\s:]*(\d{10})\b/gi,
       priority: 9,
-      confidence: 'high'
+      confidence: 'high',
+      valueGroup: 1,
+      checksum: validateNPI
+    },
+    // Indian Aadhaar (12 digits, Verhoeff checksum)
+    {
+      type: 'AADHAAR',
+      categories: ['PII'],
+      regex: /\b[2-9]\d{3}[\s-]?\d{4}[\s-]?\d{4}\b/g,
+      priority: 9,
+      confidence: 'high',
+      validator: validateAadhaar
+    },
+    // Indian PAN (Permanent Account Number)
+    {
+      type: 'PAN',
+      categories: ['PII', 'Financial'],
+      regex: /\b[A-Z]{3}[PCHFATBLJG][A-Z]\d{4}[A-Z]\b/g,
+      priority: 9,
+      confidence: 'high',
+      validator: validatePAN
+    },
+    // Indian GSTIN (state code + PAN + entity code + check character)
+    {
+      type: 'GSTIN',
+      categories: ['Financial'],
+      regex: /\b\d{2}[A-Z]{5}\d{4}[A-Z][1-9A-Z]Z[0-9A-Z]\b/g,
+      priority: 9,
+      confidence: 'high',
+      validator: validateGSTIN
+    },
+    // UK National Insurance number (QQ 12 34 56 C)
+    {
+      type: 'UK_NINO',
+      categories: ['PII'],
+      regex: /\b[A-Z]{2}\s?\d{2}\s?\d{2}\s?\d{2}\s?[A-D]\b/g,
+      priority: 9,
+      confidence: 'high',
+      validator: validateNINO
+    },
+    // Canadian SIN - keyword-prefixed, or grouped 3-3-3 on its own
+    {
+      type: 'CANADIAN_SIN',
+      categories: ['PII'],
+      regex: /\b(?:SIN|social\s*insurance\s*(?:number|no\.?|#)?)[\s:]*(\d{3}[\s-]?\d{3}[\s-]?\d{3})\b|\b\d{3}[\s-]\d{3}[\s-]\d{3}\b/gi,
+      priority: 9,
+      confidence: 'high',
+      valueGroup: 1,
+      validator: validateCanadianSIN
+    },
+    // EU VAT IDs for member states with a published checksum
+    {
+      type: 'EU_VAT',
+      categories: ['Financial'],
+      regex: /\b(?:ATU\d{8}|BE\s?[01]\d{9}|DE\s?\d{9}|FR\s?\d{2}\s?\d{9}|IT\s?\d{11}|NL\s?\d{9}B\d{2}|PL\s?\d{10})\b/g,
+      priority: 9,
+      confidence: 'high',
+      validator: validateEUVAT
     },
     // Salary & Compensation
     {
       type: 'SALARY',
+      categories: ['PII', 'Financial'],
       regex: /\b(?:salary|compensation|annual\s*(?:pay|income|wage)|base\s*(?:pay|salary)|hourly\s*(?:rate|wage)|pay\s*rate)[\s:]*\$?\s*[\d,]+(?:\.\d{2})?\s*(?:per\s*(?:year|annum|hour|month|week))?\b/gi,
       priority: 8,
       confidence: 'high'
     },
     {
       type: 'SALARY',
+      categories: ['PII', 'Financial'],
       regex: /\$\s*[\d,]+(?:\.\d{2})?\s*(?:per\s*(?:year|annum|hour|month|week)|\/\s*(?:yr|hr|mo|wk)|annually|monthly|hourly)\b/gi,
       priority: 8,
       confidence: 'high'
     },
     {
       type: 'SALARY',
+      categories: ['PII', 'Financial'],
       regex: /\b(?:earns?|paid|paying|receives?|making)\s*\$\s*[\d,]+(?:\.\d{2})?\b/gi,
       priority: 8,
       confidence: 'medium'
     },
     {
       type: 'EMAIL',
+      categories: ['PII', 'PHI'],
       regex: /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}\b/g,
       priority: 8,
       confidence: 'high'
     },
     {
       type: 'PHONE',
-      regex: /(?:\+\d{1,3}[\s.-]?)?\(?\d{3}\)?[\s.-]?\d{3}[\s.-]?\d{4}|\+\d{1,3}[\s\d.-]{9,15}/g,
+      categories: ['PII', 'PHI'],
+      // The country code is taken atomically ((?=(...))\1) so it cannot trade digits with the rest
+      regex: /(?:\+\d{1,3}[\s.-]?)?\(?\d{3}\)?[\s.-]?\d{3}[\s.-]?\d{4}|\+(?=(\d{1,3}))\1[\s\d.-]{9,15}/g,
       priority: 7,
       confidence: 'high',
-      validator: validatePhone
+      validator: validatePhone,
+      // Starts a level above BANK_ACCOUNT, so a reference keyword alone has to take it
+      // three levels to drop it; a phone keyword as well only lowers it
+      context: {
+        window: 30,
+        positive: ['phone', 'tel', 'telephone', 'call', 'mobile', 'cell', 'fax', 'contact'],
+        negative: [...REFERENCE_NUMBER_KEYWORDS, 'account', 'acct'],
+        boost: 1,
+        penalty: 3
+      }
     },
+    // Numeric dates: MM/DD/YYYY (slashes, dashes) and DD.MM.YYYY (dots)
     {
       type: 'DATE',
-      regex: /\b(0?[1-9]|1[0-2])[-\/\.](0?[1-9]|[12]\d|3[01])[-\/\.](\d{2,4})\b/g,
+      categories: ['PII', 'PHI'],
+      regex: /\b\d{1,2}[-\/.]\d{1,2}[-\/.](?:\d{4}|\d{2})\b/g,
       priority: 6,
-      confidence: 'medium'
+      confidence: 'medium',
+      validator: validateDate
+    },
+    // ISO 8601: 2024-01-05
+    {
+      type: 'DATE',
+      categories: ['PII', 'PHI'],
+      regex: /\b\d{4}-\d{2}-\d{2}\b/g,
+      priority: 6,
+      confidence: 'high',
+      validator: validateDate
+    },
+    // Written month first: January 5, 2024 / Jan. 5th 2024
+    {
+      type: 'DATE',
+      categories: ['PII', 'PHI'],
+      regex: new RegExp(`\\b${MONTH_NAME_SOURCE}\\s+\\d{1,2}(?:st|nd|rd|th)?,?\\s+\\d{4}\\b`, 'gi'),
+      priority: 6,
+      confidence: 'high',
+      validator: validateDate
+    },
+    // Written day first: 5 January 2024 / 5th day of March, 2023
+    {
+      type: 'DATE',
+      categories: ['PII', 'PHI'],
+      regex: new RegExp(`\\b\\d{1,2}(?:st|nd|rd|th)?\\s+(?:day\\s+of\\s+)?${MONTH_NAME_SOURCE},?\\s+\\d{4}\\b`, 'gi'),
+      priority: 6,
+      confidence: 'high',
+      validator: validateDate
+    },
+    // US ZIP codes after a state code or a ZIP/postal keyword
+    {
+      type: 'ZIP_CODE',
+      categories: ['PII', 'PHI'],
+      regex: new RegExp(`\\b(?:${US_STATE_CODES}),?\\s+(\\d{5}(?:-\\d{4})?)\\b`, 'g'),
+      priority: 5,
+      confidence: 'high',
+      valueGroup: 1
+    },
+    {
+      type: 'ZIP_CODE',
+      categories: ['PII', 'PHI'],
+      regex: /\b(?:zip(?:\s*code)?|postal\s*code)[\s:#]*(\d{5}(?:-\d{4})?)\b/gi,
+      priority: 5,
+      confidence: 'high',
+      valueGroup: 1
+    },
+    // Ages over 89 (younger ages are not HIPAA identifiers)
+    {
+      type: 'AGE',
+      categories: ['PII', 'PHI'],
+      regex: /\b(?:age|aged)[\s:]*(\d{2,3})\b/gi,
+      priority: 5,
+      confidence: 'medium',
+      valueGroup: 1,
+      validator: validateAge
+    },
+    {
+      type: 'AGE',
+      categories: ['PII', 'PHI'],
+      regex: /\b(\d{2,3})[\s-]*(?:years?|yrs?)[\s-]*old\b/gi,
+      priority: 5,
+      confidence: 'high',
+      valueGroup: 1,
+      validator: validateAge
     },
     {
       type: 'IP_ADDRESS',
+      categories: ['Technical', 'PHI'],
       regex: /\b(?:(?:25[0-5]|2[0-4][0-9]|[01]?[0-9][0-9]?)\.){3}(?:25[0-5]|2[0-4][0-9]|[01]?[0-9][0-9]?)\b/g,
       priority: 5,
       confidence: 'high'
@@ -127,13 +354,105 @@ const REDACTION_PATTERNS = [
     // Docusign/Document IDs (UUID format)
     {
       type: 'DOCUMENT_ID',
+      categories: ['Technical'],
       regex: /\b[A-F0-9]{8}-[A-F0-9]{4}-[A-F0-9]{4}-[A-F0-9]{4}-[A-F0-9]{12}\b/gi,
       priority: 8,
       confidence: 'high'
     },
+    // Web URLs; trailing sentence punctuation is not part of the address
+    {
+      type: 'URL',
+      categories: ['Technical', 'PHI'],
+      regex: /\b(?:https?:\/\/|www\.)[^\s<>"'()]*[^\s<>"'().,;:!?]/gi,
+      priority: 8,
+      confidence: 'high'
+    },
+    // Device serial numbers and UDIs after a keyword
+    {
+      type: 'DEVICE_ID',
+      categories: ['Technical', 'PHI'],
+      regex: /\b(?:serial\s*(?:number|no\.?|#)|S\/N|device\s*(?:id|identifier|serial(?:\s*(?:number|no\.?|#))?)|UDI(?:-DI)?|IMEI|implant\s*(?:id|serial))[\s:#]*([A-Z0-9][A-Z0-9-]{4,39})\b/gi,
+      priority: 9,
+      confidence: 'high',
+      valueGroup: 1,
+      validator: containsDigit
+    },
+    // GS1 UDI human-readable form: (01) GTIN followed by production identifiers
+    {
+      type: 'DEVICE_ID',
+      categories: ['Technical', 'PHI'],
+      regex: /\(01\)\d{14}(?:\(\d{2}\)[A-Z0-9-]{1,20}){0,4}/g,
+      priority: 9,
+      confidence: 'high'
+    },
+    // MAC addresses
+    {
+      type: 'DEVICE_ID',
+      categories: ['Technical', 'PHI'],
+      regex: /\b[0-9A-F]{2}(?:[:-][0-9A-F]{2}){5}\b/gi,
+      priority: 5,
+      confidence: 'high'
+    },
+    // Vehicle identification numbers: after a keyword, or bare with a valid check digit
+    {
+      type: 'VEHICLE_ID',
+      categories: ['PII', 'PHI'],
+      regex: /\b(?:VIN|vehicle\s*identification\s*(?:number|no\.?|#)?)[\s:#]*([A-HJ-NPR-Z0-9]{17})\b/gi,
+      priority: 9,
+      confidence: 'high',
+      valueGroup: 1
+    },
+    {
+      type: 'VEHICLE_ID',
+      categories: ['PII', 'PHI'],
+      regex: /\b[A-HJ-NPR-Z0-9]{17}\b/g,
+      priority: 7,
+      confidence: 'medium',
+      validator: validateVIN
+    },
+    // License plates after a keyword (one optional space or hyphen between groups)
+    {
+      type: 'VEHICLE_ID',
+      categories: ['PII', 'PHI'],
+      regex: /\b(?:licen[cs]e\s*plate(?:\s*(?:number|no\.?|#))?|plate\s*(?:number|no\.?|#)|vehicle\s*registration(?:\s*(?:number|no\.?|#))?|tag\s*(?:number|no\.?|#))[\s:#]*([A-Z0-9]{1,4}[ -]?[A-Z0-9]{1,5})\b/gi,
+      priority: 9,
+      confidence: 'high',
+      valueGroup: 1,
+      validator: containsDigit
+    },
+    // Certificate and license numbers other than DEA and NPI
+    {
+      type: 'LICENSE_NUMBER',
+      categories: ['PII', 'PHI'],
+      regex: /\b(?:(?:driver'?s|medical|nursing|professional|state|pharmacy|contractor|business|board)\s+)?(?:licen[cs]e|certificate|certification|permit)\s*(?:number|no\.?|#)[\s:#]*([A-Z0-9][A-Z0-9-]{3,19})\b/gi,
+      priority: 9,
+      confidence: 'high',
+      valueGroup: 1,
+      validator: containsDigit
+    },
+    // Biometric template or enrollment identifiers
+    {
+      type: 'BIOMETRIC_ID',
+      categories: ['PHI'],
+      regex: /\b(?:fingerprint|biometric|voice\s*print|retina(?:l)?\s*scan|iris\s*scan|face\s*(?:print|template))\s*(?:id|identifier|template|hash|record)?\s*(?:number|no\.?|#|id)?[\s:#]*([A-Z0-9][A-Z0-9-]{5,63})\b/gi,
+      priority: 9,
+      confidence: 'high',
+      valueGroup: 1,
+      validator: containsDigit
+    },
+    // Photograph files referenced in the text; the image itself is not in the extracted text
+    {
+      type: 'PHOTO_FILE',
+      categories: ['PHI'],
+      regex: /\b(?:photo(?:graph)?|picture|headshot|portrait|image)s?(?:\s*(?:file|attachment|attached|on\s*file|id))?[\s:#-]*([\w-]+\.(?:jpe?g|png|heic|gif|bmp|tiff?|webp))\b/gi,
+      priority: 5,
+      confidence: 'medium',
+      valueGroup: 1
+    },
     // Simple street address
     {
       type: 'ADDRESS',
+      categories: ['PII', 'PHI'],
       regex: /\b\d{1,6}\s+[A-Z][a-z]+(?:\s+[A-Z][a-z]+)?\s+(?:Street|St|Avenue|Ave|Road|Rd|Boulevard|Blvd|Lane|Ln|Drive|Dr|Court|Ct|Way|Place|Pl)\b/gi,
       priority: 4,
       confidence: 'medium'
@@ -141,6 +460,7 @@ const REDACTION_PATTERNS = [
     // Suite/Unit with number
     {
       type: 'ADDRESS',
+      categories: ['PII', 'PHI'],
       regex: /\b(?:Suite|Ste|Apt|Unit)\s*#?\s*\d+[A-Za-z]?\b/gi,
       priority: 4,
       confidence: 'medium'
@@ -148,6 +468,7 @@ const REDACTION_PATTERNS = [
     // City State ZIP pattern (US)
     {
       type: 'ADDRESS',
+      categories: ['PII', 'PHI'],
       regex: /\b[A-Z][a-z]+\s+[A-Z]{2}\s+\d{5}\b/g,
       priority: 5,
       confidence: 'high'
@@ -155,6 +476,7 @@ const REDACTION_PATTERNS = [
     // Indian PIN codes with city
     {
       type: 'ADDRESS',
+      categories: ['PII', 'PHI'],
       regex: /\b(?:Mumbai|Delhi|Bangalore|Chennai|Kolkata|Hyderabad|Pune|Ahmedabad)[,\s]+(?:India[,\s]+)?[1-9]\d{5}\b/gi,
       priority: 5,
       confidence: 'high'
@@ -162,6 +484,7 @@ const REDACTION_PATTERNS = [
     // Names with title
     {
       type: 'PERSON_NAME',
+      categories: ['PII', 'PHI'],
       regex: /\b(?:Mr|Ms|Mrs|Dr|Prof|Shri|Smt)\.?\s+[A-Z][a-z]+\s+[A-Z][a-z]+\b/g,
       priority: 5,
       confidence: 'high'
@@ -169,11 +492,19 @@ const REDACTION_PATTERNS = [
     // M/s Company names (Indian business format)
     {
       type: 'COMPANY_NAME',
-      regex: /\bM\/s\.?\s+[A-Z][A-Za-z\s]+\b/gi,
+      categories: ['PII'],
+      regex: /\bM\/s\.?\s+[A-Z][A-Za-z\s]{0,80}\b/gi,
       priority: 4,
       confidence: 'medium'
     }
   ];
+  
+  // Rule ids shown in redaction explanations: the type and its order among that type's patterns (DATE/2)
+  const patternsPerType = {};
+  for (const pattern of REDACTION_PATTERNS) {
+    patternsPerType[pattern.type] = (patternsPerType[pattern.type] || 0) + 1;
+    pattern.id = `${pattern.type}/${patternsPerType[pattern.type]}`;
+  }
 
   /**
    * Luhn algorithm for credit card validation
@@ -182,6 +513,13 @@ const REDACTION_PATTERNS = [
     const digits = cardNumber.replace(/\D/g, '');
     if (digits.length < 13 || digits.length > 19) return false;
     
+    return passesLuhn(digits);
+  }
+  
+  /**
+   * Luhn mod-10 checksum over a digit string of any length
+   */
+  export function passesLuhn(digits) {
     let sum = 0;
     let isEven = false;
     
@@ -200,6 +538,70 @@ const REDACTION_PATTERNS = [
     return sum % 10 === 0;
   }
   
+  /**
+   * ISO 7064 MOD 97-10 (IBAN, LEI): letters count as 10-35 and the number is 1 mod 97
+   */
+  export function passesMod97(value) {
+    if (!/^[A-Z0-9]{2,}$/.test(value)) return false;
+    let remainder = 0;
+    for (const char of value) {
+      const digits = /\d/.test(char) ? char : String(char.charCodeAt(0) - 55);
+      for (const digit of digits) {
+        remainder = (remainder * 10 + Number(digit)) % 97;
+      }
+    }
+    return remainder === 1;
+  }
+  
+  /**
+   * Validate IBAN: the country code and check digits move to the end, then mod-97
+   */
+  function validateIBAN(match) {
+    const iban = match.replace(/\s/g, '').toUpperCase();
+    if (iban.length < 15 || iban.length > 34) return false;
+    
+    return passesMod97(iban.slice(4) + iban.slice(0, 4));
+  }
+  
+  /**
+   * Validate NPI: Luhn over the number prefixed with 80840 (the US health industry
+   * issuer prefix); NPIs start with 1 or 2
+   */
+  function validateNPI(match) {
+    const npi = match.replace(/\D/g, '').slice(-10);
+    if (!/^[12]\d{9}$/.test(npi)) return false;
+    
+    return passesLuhn('80840' + npi);
+  }
+  
+  /**
+   * Validate DEA number: registrant letter, then the sum of digits 1, 3, 5 plus
+   * twice the sum of digits 2, 4, 6 ends in the seventh digit
+   */
+  function validateDEA(match) {
+    const dea = match.slice(-9).toUpperCase();
+    if (!/^[ABCDEFGHJKLMPRSTUX][A-Z9]\d{7}$/.test(dea)) return false;
+    
+    const d = dea.slice(2).split('').map(Number);
+    const sum = d[0] + d[2] + d[4] + 2 * (d[1] + d[3] + d[5]);
+    return sum % 10 === d[6];
+  }
+  
+  /**
+   * Validate Medicare Beneficiary Identifier layout (11 characters, dashes optional)
+   * Positions: C A AN N A AN N A A N N, where C is 1-9 and letters exclude S, L, O, I, B, Z.
+   * Medicaid IDs are state-issued with no common layout, so they always pass.
+   */
+  function validateMBI(match) {
+    if (/^medicaid/i.test(match.trim())) return true;
+    
+    const mbi = match.replace(/^(?:medicare\s*(?:id|number|#|beneficiary)?|mbi)[\s:]*/i, '').toUpperCase();
+    if (!/^[A-Z0-9]{4}-?[A-Z0-9]{3}-?[A-Z0-9]{4}$/.test(mbi)) return false;
+    
+    return /^[1-9][AC-HJKMNP-RT-Y][AC-HJKMNP-RT-Y0-9]\d[AC-HJKMNP-RT-Y][AC-HJKMNP-RT-Y0-9]\d[AC-HJKMNP-RT-Y]{2}\d{2}$/
+      .test(mbi.replace(/-/g, ''));
+  }
+  
   /**
    * Validate phone number (simple length check)
    */
@@ -253,74 +655,754 @@ const REDACTION_PATTERNS = [
     return hasContext || checksum === 0;
   }
   
+  // Verhoeff dihedral-group tables (used by Aadhaar)
+  const VERHOEFF_D = [
+    [0, 1, 2, 3, 4, 5, 6, 7, 8, 9],
+    [1, 2, 3, 4, 0, 6, 7, 8, 9, 5],
+    [2, 3, 4, 0, 1, 7, 8, 9, 5, 6],
+    [3, 4, 0, 1, 2, 8, 9, 5, 6, 7],
+    [4, 0, 1, 2, 3, 9, 5, 6, 7, 8],
+    [5, 9, 8, 7, 6, 0, 4, 3, 2, 1],
+    [6, 5, 9, 8, 7, 1, 0, 4, 3, 2],
+    [7, 6, 5, 9, 8, 2, 1, 0, 4, 3],
+    [8, 7, 6, 5, 9, 3, 2, 1, 0, 4],
+    [9, 8, 7, 6, 5, 4, 3, 2, 1, 0]
+  ];
+  const VERHOEFF_P = [
+    [0, 1, 2, 3, 4, 5, 6, 7, 8, 9],
+    [1, 5, 7, 6, 2, 8, 3, 0, 9, 4],
+    [5, 8, 0, 3, 7, 9, 6, 1, 4, 2],
+    [8, 9, 1, 6, 0, 4, 3, 5, 2, 7],
+    [9, 4, 5, 3, 1, 2, 6, 8, 7, 0],
+    [4, 2, 8, 6, 5, 7, 3, 9, 0, 1],
+    [2, 7, 9, 3, 8, 0, 6, 4, 1, 5],
+    [7, 0, 4, 6, 9, 1, 3, 2, 5, 8]
+  ];
+
+  /**
+   * Validate Aadhaar number using the Verhoeff checksum
+   * 12 digits, never starting with 0 or 1
+   */
+  function validateAadhaar(match) {
+    const digits = match.replace(/\D/g, '');
+    if (digits.length !== 12 || /^[01]/.test(digits)) return false;
+
+    let check = 0;
+    const reversed = digits.split('').reverse().map(Number);
+    for (let i = 0; i < reversed.length; i++) {
+      check = VERHOEFF_D[check][VERHOEFF_P[i % 8][reversed[i]]];
+    }
+
+    return check === 0;
+  }
+
+  /**
+   * Validate Indian PAN structure
+   * PAN has no public check digit; the 4th character must be a valid holder type
+   * (P person, C company, H HUF, F firm, A AOP, T trust, B BOI, L local authority,
+   * J artificial juridical person, G government)
+   */
+  function validatePAN(match) {
+    const pan = match.toUpperCase();
+    return /^[A-Z]{3}[PCHFATBLJG][A-Z]\d{4}[A-Z]$/.test(pan);
+  }
+
+  /**
+   * Validate Indian GSTIN (state code + PAN + entity + 'Z' + mod-36 check character)
+   */
+  function validateGSTIN(match) {
+    const gstin = match.toUpperCase();
+    if (!/^\d{2}[A-Z0-9]{10}[1-9A-Z]Z[0-9A-Z]$/.test(gstin)) return false;
+
+    const stateCode = parseInt(gstin.slice(0, 2), 10);
+    if (stateCode < 1 || stateCode > 38) return false;
+    if (!validatePAN(gstin.slice(2, 12))) return false;
+
+    const charset = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+    let sum = 0;
+    for (let i = 0; i < 14; i++) {
+      const product = charset.indexOf(gstin[i]) * (i % 2 === 0 ? 1 : 2);
+      sum += Math.floor(product / 36) + (product % 36);
+    }
+
+    return charset[(36 - (sum % 36)) % 36] === gstin[14];
+  }
+
+  /**
+   * Keyword-prefixed identifiers must carry at least one digit, so
+   * "license number pending" is not taken for a value
+   */
+  function containsDigit(match) {
+    return /\d/.test(match);
+  }
+
+  // VIN transliteration: I, O and Q are never used
+  const VIN_LETTER_VALUES = {
+    A: 1, B: 2, C: 3, D: 4, E: 5, F: 6, G: 7, H: 8, J: 1, K: 2, L: 3, M: 4,
+    N: 5, P: 7, R: 9, S: 2, T: 3, U: 4, V: 5, W: 6, X: 7, Y: 8, Z: 9
+  };
+  const VIN_WEIGHTS = [8, 7, 6, 5, 4, 3, 2, 10, 0, 9, 8, 7, 6, 5, 4, 3, 2];
+  
+  /**
+   * Validate a 17-character VIN by its check digit (position 9)
+   * A remainder of 10 is written X
+   */
+  function validateVIN(match) {
+    const vin = match.toUpperCase();
+    if (!/[A-Z]/.test(vin) || !/\d/.test(vin)) return false;
+    
+    let sum = 0;
+    for (let i = 0; i < 17; i++) {
+      const value = /\d/.test(vin[i]) ? Number(vin[i]) : VIN_LETTER_VALUES[vin[i]];
+      sum += value * VIN_WEIGHTS[i];
+    }
+    
+    const check = sum % 11;
+    return vin[8] === (check === 10 ? 'X' : String(check));
+  }
+
+  /**
+   * Validate UK National Insurance number prefix rules
+   * D, F, I, Q, U, V never appear in the prefix; O is not a second letter;
+   * BG, GB, KN, NK, NT, TN and ZZ are never allocated
+   */
+  function validateNINO(match) {
+    const nino = match.replace(/\s/g, '').toUpperCase();
+    if (!/^[A-CEGHJ-PR-TW-Z][A-CEGHJ-NPR-TW-Z]\d{6}[A-D]$/.test(nino)) return false;
+
+    return !['BG', 'GB', 'KN', 'NK', 'NT', 'TN', 'ZZ'].includes(nino.slice(0, 2));
+  }
+
+  /**
+   * Validate Canadian Social Insurance Number (Luhn, 9 digits)
+   * SINs starting with 0 or 8 are never issued to individuals
+   */
+  function validateCanadianSIN(match) {
+    const digits = match.replace(/\D/g, '').slice(-9);
+    if (digits.length !== 9 || /^[08]/.test(digits)) return false;
+
+    return passesLuhn(digits);
+  }
+
+  // Per-country EU VAT checksum rules, keyed by country prefix
+  const EU_VAT_VALIDATORS = {
+    // ISO 7064 MOD 11,10
+    DE: number => {
+      if (!/^\d{9}$/.test(number)) return false;
+      let product = 10;
+      for (let i = 0; i < 8; i++) {
+        let sum = (parseInt(number[i], 10) + product) % 10;
+        if (sum === 0) sum = 10;
+        product = (2 * sum) % 11;
+      }
+      const check = (11 - product) % 10;
+      return check === parseInt(number[8], 10);
+    },
+    // Two-digit key derived from the SIREN
+    FR: number => {
+      if (!/^\d{2}\d{9}$/.test(number)) return false;
+      const siren = parseInt(number.slice(2), 10);
+      return (12 + 3 * (siren % 97)) % 97 === parseInt(number.slice(0, 2), 10);
+    },
+    IT: number => /^\d{11}$/.test(number) && passesLuhn(number),
+    // Old format uses mod 11 on the fiscal number, post-2020 format uses mod 97
+    NL: number => {
+      if (!/^\d{9}B\d{2}$/.test(number)) return false;
+      let sum = 0;
+      for (let i = 0; i < 8; i++) sum += parseInt(number[i], 10) * (9 - i);
+      if (sum % 11 === parseInt(number[8], 10)) return true;
+      return BigInt('2321' + number.slice(0, 9) + '11' + number.slice(10)) % 97n === 1n;
+    },
+    BE: number => {
+      if (!/^[01]\d{9}$/.test(number)) return false;
+      return 97 - (parseInt(number.slice(0, 8), 10) % 97) === parseInt(number.slice(8), 10);
+    },
+    PL: number => {
+      if (!/^\d{10}$/.test(number)) return false;
+      const weights = [6, 5, 7, 2, 3, 4, 5, 6, 7];
+      const sum = weights.reduce((acc, weight, i) => acc + weight * parseInt(number[i], 10), 0);
+      return sum % 11 === parseInt(number[9], 10);
+    },
+    AT: number => {
+      if (!/^U\d{8}$/.test(number)) return false;
+      let sum = 0;
+      for (let i = 1; i < 8; i++) {
+        const product = parseInt(number[i], 10) * (i % 2 === 0 ? 2 : 1);
+        sum += Math.floor(product / 10) + (product % 10);
+      }
+      return (10 - ((sum + 4) % 10)) % 10 === parseInt(number[8], 10);
+    }
+  };
+
+  /**
+   * Validate EU VAT identification number by country checksum
+   */
+  function validateEUVAT(match) {
+    const vat = match.replace(/[\s.-]/g, '').toUpperCase();
+    const validator = EU_VAT_VALIDATORS[vat.slice(0, 2)];
+    return !!validator && validator(vat.slice(2));
+  }
+
+  function daysInMonth(year, month) {
+    return new Date(Date.UTC(year, month, 0)).getUTCDate();
+  }
+
+  /**
+   * Parse a date in any supported format into { year, month, day }
+   *
+   * Slash and dash dates are read month-first (US), dotted dates day-first
+   * (European); either falls back to the other order when the first is impossible.
+   * Two-digit years pivot at 50 (24 -> 2024, 85 -> 1985).
+   */
+  function parseDate(value) {
+    const text = value.trim();
+    let year, candidates;
+
+    let match = text.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+    if (match) {
+      year = Number(match[1]);
+      candidates = [[Number(match[2]), Number(match[3])]];
+    } else if ((match = text.match(/^(\d{1,2})([-\/.])(\d{1,2})[-\/.](\d{4}|\d{2})$/))) {
+      const first = Number(match[1]);
+      const second = Number(match[3]);
+      year = Number(match[4]);
+      if (match[4].length === 2) year += year < 50 ? 2000 : 1900;
+      candidates = match[2] === '.' ? [[second, first], [first, second]] : [[first, second], [second, first]];
+    } else {
+      const monthName = text.match(/[A-Za-z]{3,}/g)?.find(word => MONTH_NUMBERS[word.slice(0, 3).toLowerCase()]);
+      const day = text.match(/\b(\d{1,2})(?:st|nd|rd|th)?\b/i);
+      const yearMatch = text.match(/\b(\d{4})\b/);
+      if (!monthName || !day || !yearMatch) return null;
+      year = Number(yearMatch[1]);
+      candidates = [[MONTH_NUMBERS[monthName.slice(0, 3).toLowerCase()], Number(day[1])]];
+    }
+
+    for (const [month, day] of candidates) {
+      if (month >= 1 && month <= 12 && day >= 1 && day <= daysInMonth(year, month)) {
+        return { year, month, day };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Format a date string as ISO 8601 (YYYY-MM-DD), or null if it is not a real date
+   */
+  function toISODate(value) {
+    const date = parseDate(value);
+    if (!date) return null;
+    return `${date.year}-${String(date.month).padStart(2, '0')}-${String(date.day).padStart(2, '0')}`;
+  }
+
+  function validateDate(match) {
+    return parseDate(match) !== null;
+  }
+
+  function validateAge(match) {
+    const age = parseInt(match.match(/\d+/)[0], 10);
+    return age > 89 && age <= 125;
+  }
+
+  /**
+   * Compile a pattern's context rule, merged with any caller override for its type
+   */
+  function resolveContext(pattern, contextRules = {}) {
+    const rule = { ...(pattern.context || {}), ...(contextRules[pattern.type] || {}) };
+    if (!rule.positive?.length && !rule.negative?.length) return null;
+    
+    const compile = keywords => keywords?.length
+      ? new RegExp(
+          `(?<![A-Za-z0-9])(?:${keywords.map(k => k.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|')})(?![A-Za-z0-9])`,
+          'gi'
+        )
+      : null;
+    
+    return {
+      window: rule.window ?? 40,
+      boost: rule.boost ?? 1,
+      penalty: rule.penalty ?? 1,
+      positive: compile(rule.positive),
+      negative: compile(rule.negative)
+    };
+  }
+  
+  /**
+   * Collect distinct keywords of a compiled list found in a text window
+   */
+  function findKeywords(regex, windowText) {
+    if (!regex) return [];
+    return [...new Set((windowText.match(regex) || []).map(k => k.toLowerCase()))];
+  }
+  
+  /**
+   * Shift a match's confidence using keywords in the surrounding window
+   * Returns null when negative context pushes confidence below 'low'
+   */
+  function assessContext(text, start, end, confidence, context) {
+    const windowText = text.slice(Math.max(0, start - context.window), Math.min(text.length, end + context.window));
+    const positive = findKeywords(context.positive, windowText);
+    const negative = findKeywords(context.negative, windowText);
+    
+    let level = CONFIDENCE_LEVELS.indexOf(confidence);
+    if (positive.length > 0) level += context.boost;
+    if (negative.length > 0) level -= context.penalty;
+    
+    if (level < 0) return null;
+    
+    return {
+      confidence: CONFIDENCE_LEVELS[Math.min(level, CONFIDENCE_LEVELS.length - 1)],
+      positive,
+      negative
+    };
+  }
+  
+  /**
+   * Split text into scan windows
+   * Each window owns [start, end) and is searched over [from, to); cuts fall on
+   * whitespace where possible so no token is split at a window edge
+   */
+  function buildScanWindows(text) {
+    if (text.length <= SCAN_WINDOW_SIZE) {
+      return [{ start: 0, end: text.length, from: 0, to: text.length }];
+    }
+    
+    const windows = [];
+    let start = 0;
+    while (start < text.length) {
+      let end = Math.min(start + SCAN_WINDOW_SIZE, text.length);
+      if (end < text.length) {
+        const space = text.slice(end, end + SCAN_WINDOW_MARGIN).search(/\s/);
+        if (space !== -1) end += space;
+      }
+      windows.push({
+        start,
+        end,
+        from: Math.max(0, start - SCAN_WINDOW_MARGIN),
+        to: Math.min(text.length, end + SCAN_WINDOW_MARGIN)
+      });
+      start = end;
+    }
+    return windows;
+  }
+  
+  /**
+   * Global copy of a pattern's regex; exec() on a non-global regex never advances
+   */
+  function scanRegex(regex) {
+    if (regex.global && !regex.sticky) return regex;
+    return new RegExp(regex.source, regex.flags.replace(/[gy]/g, '') + 'g');
+  }
+  
   /**
    * Find all matches for a pattern in text
    */
-  function findMatches(text, pattern) {
+  function findMatches(text, pattern, contextRules, windows = buildScanWindows(text)) {
     const matches = [];
-    let match;
+    const context = resolveContext(pattern, contextRules);
+    const regex = scanRegex(pattern.regex);
     
-    while ((match = pattern.regex.exec(text)) !== null) {
-      const original = match[0];
+    for (const window of windows) {
+      const source = window.to - window.from === text.length ? text : text.slice(window.from, window.to);
+      regex.lastIndex = 0;
+      let match;
       
-      // Apply validator if exists
-      if (pattern.validator && !pattern.validator(original)) {
-        continue;
+      while ((match = regex.exec(source)) !== null) {
+        const original = match[0];
+        if (original.length === 0) {
+          regex.lastIndex++;
+          continue;
+        }
+        
+        const start = window.from + match.index;
+        const end = start + original.length;
+        if (start < window.start) continue;
+        if (start >= window.end) break;
+        // Running into the window edge means the match may continue past it
+        if (end === window.to && window.to < text.length) continue;
+        
+        const found = toMatch(text, pattern, context, match, start);
+        if (found) matches.push(found);
       }
-      
-      matches.push({
-        type: pattern.type,
-        original,
-        start: match.index,
-        end: match.index + original.length,
-        confidence: pattern.confidence,
-        priority: pattern.priority
-      });
     }
     
     return matches;
   }
   
   /**
-   * Merge overlapping redactions
+   * Validate and score one regex match; null when it is rejected
    */
-  function mergeOverlaps(redactions) {
-    if (redactions.length === 0) return [];
+  function toMatch(text, pattern, context, match, start) {
+    const original = match[0];
+    
+    // Apply validator if exists
+    if (pattern.validator && !pattern.validator(original)) {
+      return null;
+    }
     
-    // Sort by start position
-    redactions.sort((a, b) => a.start - b.start || b.priority - a.priority);
+    // Let surrounding words raise or lower confidence
+    let confidence = pattern.confidence;
+    let assessed = null;
+    if (context) {
+      assessed = assessContext(text, start, start + original.length, confidence, context);
+      if (!assessed) return null;
+      confidence = assessed.confidence;
+    }
+      
+    // A failed checksum keeps the match but no longer vouches for it
+    const checksumPassed = pattern.checksum ? pattern.checksum(original) : null;
+    if (checksumPassed === false) {
+      confidence = 'low';
+    }
     
-    const merged = [];
-    let current = redactions[0];
+    // Keyword-prefixed patterns capture the identifier itself in a group
+    const useGroup = Boolean(pattern.valueGroup && match[pattern.valueGroup]);
+    const value = useGroup ? match[pattern.valueGroup] : original;
+    
+    return {
+      type: pattern.type,
+      original,
+      start,
+      end: start + original.length,
+      valueOffset: original.lastIndexOf(value),
+      valueLength: value.length,
+      confidence,
+      priority: pattern.priority,
+      explanation: {
+        rule: pattern.id || `custom/${pattern.type}`,
+        source: pattern.source || 'pattern',
+        value: useGroup ? 'group' : 'match',
+        group: useGroup ? pattern.valueGroup : null,
+        validator: pattern.validator
+          ? { name: pattern.validatorName || pattern.validator.name || 'validator', passed: true }
+          : null,
+        checksum: pattern.checksum ? { name: pattern.checksum.name, passed: checksumPassed } : null,
+        context: assessed ? { positive: assessed.positive, negative: assessed.negative } : null
+      }
+    };
+  }
+  
+  /**
+   * Explanation for a match: what produced it and, once overlaps are resolved,
+   * which other candidates it absorbed. Detectors outside the pattern list get
+   * one from their own markers (name cue, table field, deny-list term).
+   */
+  function explainMatch(match) {
+    const base = {
+      value: 'match',
+      group: null,
+      validator: null,
+      checksum: null,
+      context: null
+    };
+    let source;
+    if (match.explanation) {
+      source = match.explanation;
+    } else if (match.list === 'deny') {
+      source = { rule: 'deny-list', source: 'deny-list', term: match.listRule };
+    } else if (match.field) {
+      source = { rule: `structured/${match.field}`, source: 'structured' };
+    } else if (match.cue) {
+      source = { rule: `names/${match.cue.replace(/\s+/g, '-')}`, source: 'names' };
+    } else {
+      source = { rule: match.type, source: 'unknown' };
+    }
+    return { rule: source.rule, source: source.source, ...base, ...source, merged: [...(source.merged || [])] };
+  }
+  
+  /**
+   * What an explanation records about a candidate folded into another
+   */
+  function mergedCandidate(match, reason) {
+    return {
+      type: match.type,
+      rule: explainMatch(match).rule,
+      start: match.start,
+      end: match.end,
+      confidence: match.confidence,
+      reason
+    };
+  }
+  
+  /**
+   * Overlap policy: a match beats another when it has the higher priority, then
+   * the longer span, then the higher confidence (the more specific evidence)
+   */
+  function outranks(a, b) {
+    if (a.priority !== b.priority) return a.priority > b.priority;
+    const lengthA = a.end - a.start;
+    const lengthB = b.end - b.start;
+    if (lengthA !== lengthB) return lengthA > lengthB;
+    return CONFIDENCE_LEVELS.indexOf(a.confidence) > CONFIDENCE_LEVELS.indexOf(b.confidence);
+  }
+  
+  /**
+   * Fold a match that cannot be nested into a target: the span grows to cover
+   * both, so nothing leaks, and the target takes the winner's type
+   */
+  function absorbMatch(target, other) {
+    if (outranks(other, target)) {
+      const loser = mergedCandidate(target, 'overlap');
+      const previousMerges = target.explanation.merged;
+      target.type = other.type;
+      target.confidence = other.confidence;
+      target.priority = other.priority;
+      target.valueOffset = other.start - target.start + other.valueOffset;
+      target.valueLength = other.valueLength;
+      target.list = other.list;
+      target.listRule = other.listRule;
+      target.explanation = explainMatch(other);
+      target.explanation.merged.push(...previousMerges, loser);
+    } else {
+      target.explanation.merged.push(mergedCandidate(other, 'overlap'));
+    }
+    target.end = Math.max(target.end, other.end);
+  }
+  
+  /**
+   * Place a match among disjoint siblings sorted by start
+   * A match inside the last sibling nests under it; one that crosses its end is absorbed
+   */
+  function placeMatch(siblings, match) {
+    const last = siblings[siblings.length - 1];
+    if (!last || match.start >= last.end) {
+      siblings.push({ ...match, explanation: explainMatch(match), children: [] });
+    } else if (match.end > last.end) {
+      absorbMatch(last, match);
+    } else if (match.start === last.start && match.end === last.end) {
+      // Two detectors on the same text are one finding
+      absorbMatch(last, match);
+    } else if (match.type === last.type) {
+      // "John Smith" inside "Dr. John Smith" is the same finding again
+      last.explanation.merged.push(mergedCandidate(match, 'contained'));
+    } else {
+      placeMatch(last.children, match);
+    }
+  }
+  
+  /**
+   * Resolve overlapping matches into a tree
+   *
+   * Top-level spans are disjoint and are what the output text replaces. A
+   * different-type match wholly inside another (a name inside an address) is
+   * kept as its child, so it is still recorded and counted. Spans that only
+   * partly overlap cannot nest and merge into one span under the policy in
+   * outranks(); adjacent spans stay separate.
+   */
+  function resolveOverlaps(matches) {
+    // Outer spans first so containers are placed before their contents
+    const sorted = [...matches].sort((a, b) => a.start - b.start || b.end - a.end || b.priority - a.priority);
     
-    for (let i = 1; i < redactions.length; i++) {
-      const next = redactions[i];
+    const roots = [];
+    for (const match of sorted) {
+      placeMatch(roots, match);
+    }
+    return roots;
+  }
+  
+  /**
+   * Normalize a value so formatting differences map to the same entity
+   */
+  function normalizeValue(type, value) {
+    if (type === 'EMAIL') return value.trim().toLowerCase();
+    if (type === 'DATE') {
+      // January 5, 2024 and 01/05/2024 are the same date
+      const iso = toISODate(value);
+      if (iso) return iso;
+    }
+    if (['PERSON_NAME', 'ORGANIZATION', 'COMPANY_NAME', 'ADDRESS'].includes(type)) {
+      return value.trim().replace(/\s+/g, ' ').toLowerCase();
+    }
+    if (type === 'PHONE') {
+      // +1 415 555 2671 and (415) 555-2671 are the same US number
+      const digits = value.replace(/\D/g, '');
+      return digits.length === 11 && digits[0] === '1' ? digits.slice(1) : digits;
+    }
+    return value.replace(/[^A-Za-z0-9]/g, '').toUpperCase();
+  }
+  
+  /**
+   * Locate the identifier inside a redaction span
+   * Keyword-prefixed patterns only treat the captured group as the value
+   */
+  function extractValue(span, match) {
+    const offset = match.valueOffset >= 0 ? match.valueOffset : 0;
+    const length = Math.min(match.valueLength ?? span.length, span.length - offset);
+    
+    return {
+      value: span.slice(offset, offset + length),
+      offset,
+      length
+    };
+  }
+  
+  /**
+   * Confidence threshold from the options or the profile; throws on an unknown level
+   */
+  function resolveThresholds(profile, minConfidence, reviewThreshold) {
+    const threshold = minConfidence || profile?.minConfidence || 'low';
+    if (!CONFIDENCE_LEVELS.includes(threshold)) {
+      throw new Error(`Unknown confidence threshold "${threshold}"`);
+    }
+    if (!CONFIDENCE_LEVELS.includes(reviewThreshold)) {
+      throw new Error(`Unknown review threshold "${reviewThreshold}"`);
+    }
+    return threshold;
+  }
+  
+  /**
+   * Check the redaction options a caller can get wrong, throwing the errors
+   * redactText would, so an API can answer 400 before doing any work; passing
+   * the document as options.text also dry-runs allow-list regexes against it
+   */
+  export function validateRedactionOptions(options = {}, { text } = {}) {
+    const {
+      categories,
+      redactPII = true,
+      redactPHI = true,
+      redactFinancial = true,
+      redactTechnical = true,
+      mode = 'mask',
+      strategies = {},
+      safeHarbor = false,
+      allowList = [],
+      denyList = [],
+      profile: profileOption,
+      minConfidence,
+      reviewThreshold = 'low'
+    } = options;
+    
+    compileAllowList(allowList, { text });
+    if (!Array.isArray(denyList) || denyList.some(term => typeof term !== 'string')) {
+      throw new Error('Deny-list entries must be strings');
+    }
+    resolveCategories({ categories, redactPII, redactPHI, redactFinancial, redactTechnical });
+    
+    const profile = getProfile(profileOption);
+    resolveStrategies({ mode, safeHarbor, strategies: { ...(profile?.strategies || {}), ...strategies } });
+    resolveThresholds(profile, minConfidence, reviewThreshold);
+  }
+  
+  /**
+   * Categories selected by the caller: an explicit list, or the on/off switches
+   */
+  function resolveCategories({ categories, redactPII, redactPHI, redactFinancial, redactTechnical }) {
+    if (categories) {
+      const unknown = categories.filter(category => !REDACTION_CATEGORIES.includes(category));
+      if (unknown.length > 0) {
+        throw new Error(`Unknown redaction categories: ${unknown.join(', ')}`);
+      }
+      return new Set(categories);
+    }
+    
+    const switches = { PII: redactPII, PHI: redactPHI, Financial: redactFinancial, Technical: redactTechnical };
+    return new Set(REDACTION_CATEGORIES.filter(category => switches[category]));
+  }
+  
+  /**
+   * A detector runs when any of its categories is active; categories this engine
+   * does not know (e.g. a custom "Confidential" rule) cannot be switched off
+   */
+  function isCategoryActive(categories, activeCategories) {
+    if (!categories || categories.length === 0) return true;
+    return categories.some(category => !REDACTION_CATEGORIES.includes(category) || activeCategories.has(category));
+  }
+  
+  /**
+   * Stable id for a match awaiting review; the text is resubmitted unchanged, so
+   * the span identifies it across requests
+   */
+  function reviewKey(match) {
+    return `${match.type}@${match.start}-${match.end}`;
+  }
+  
+  /**
+   * Spans named by review keys, ignoring malformed keys
+   */
+  function parseReviewKeys(keys = []) {
+    return keys
+      .map(key => String(key).match(/@(\d+)-(\d+)$/))
+      .filter(Boolean)
+      .map(([, start, end]) => ({ start: Number(start), end: Number(end) }));
+  }
+  
+  /**
+   * Whether a match lies inside any of the given spans
+   */
+  function withinAny(match, spans) {
+    return spans.some(span => match.start >= span.start && match.end <= span.end);
+  }
+  
+  /**
+   * Build the needs-review list: overlapping candidates become one entry, and
+   * anything already hidden by an applied redaction is not asked about
+   */
+  function buildReviewQueue(text, candidates, appliedRoots) {
+    const queue = [];
+    let r = 0;
+    
+    for (const match of resolveOverlaps(candidates)) {
+      while (r < appliedRoots.length && appliedRoots[r].end <= match.start) r++;
+      const covering = appliedRoots[r];
+      if (covering && covering.start <= match.start && covering.end >= match.end) continue;
       
-      if (next.start <= current.end) {
-        // Overlapping - merge and keep higher priority type
-        current.end = Math.max(current.end, next.end);
-        if (next.priority > current.priority) {
-          current.type = next.type;
-          current.confidence = next.confidence;
+      queue.push({
+        key: reviewKey(match),
+        type: match.type,
+        original: text.slice(match.start, match.end),
+        start: match.start,
+        end: match.end,
+        confidence: match.confidence,
+        context: {
+          before: text.slice(Math.max(0, match.start - REVIEW_CONTEXT_LENGTH), match.start),
+          after: text.slice(match.end, match.end + REVIEW_CONTEXT_LENGTH)
         }
-      } else {
-        merged.push(current);
-        current = next;
-      }
+      });
     }
     
-    merged.push(current);
-    return merged;
+    return queue;
   }
   
   /**
    * Main redaction function
+   *
+   * options.mode: 'mask' (default) emits [REDACTED:TYPE#n] placeholders,
+   * 'pseudonymize' emits consistent realistic fakes keyed by options.pseudonymKey
+   * options.contextRules: per-type { window, positive, negative, boost, penalty }
+   * overrides for the keyword context that adjusts match confidence
+   * options.detectNames: run the offline PERSON_NAME/ORGANIZATION detector (default true)
+   * options.detectStructuredData: redact every value under a known table header
+   * (Name, SSN, DOB, Account...) or after a known "Label:" (default true); Name
+   * columns also need detectNames
+   * options.strategies: per-type transform overriding the mode, one of 'mask',
+   * 'partial', 'generalize', 'truncate', 'hash' or 'pseudonymize' (e.g. { DATE: 'generalize' })
+   * options.visibleCharacters: characters the partial strategy leaves readable,
+   * a number or a per-type map (default 4, e.g. **** **** **** 4242)
+   * options.safeHarbor: default to HIPAA Safe Harbor generalizations (year-only
+   * dates, ZIP3, ages over 89 as "90+")
+   * options.keepDateYear: shorthand for { DATE: 'generalize' }
+   * options.allowList: values never redacted - exact strings, RegExps or
+   * { regex, flags }; skipped matches are returned in result.allowed
+   * options.denyList: literal terms always redacted (case-insensitive) as DENIED_TERM
+   * options.profile: preset id ('hipaa', 'gdpr', 'pci', 'litigation') or profile
+   * object supplying types, strategies and minConfidence defaults
+   * options.types: detector types to run (default all, or the profile's)
+   * options.minConfidence: drop matches below 'low' | 'medium' | 'high'
+   * options.redactPII / redactPHI / redactFinancial / redactTechnical: category
+   * switches (default true); options.categories replaces them with an explicit list
+   * options.reviewThreshold: matches below this confidence are not applied but
+   * returned in result.needsReview, as are first-name-only gazetteer names at any
+   * threshold; options.reviewDecisions { accept, reject } lists the review keys
+   * a reviewer has settled
    */
   export function redactText(text, options = {}) {
     if (!text || typeof text !== 'string') {
       return {
         redactedText: '',
         redactions: [],
+        entities: [],
+        allowed: [],
+        needsReview: [],
+        categories: [],
         summary: {}
       };
     }
@@ -328,59 +1410,244 @@ const REDACTION_PATTERNS = [
     const {
       redactPII = true,
       redactPHI = true,
-      customPatterns = []
+      redactFinancial = true,
+      redactTechnical = true,
+      categories,
+      customPatterns = [],
+      mode = 'mask',
+      pseudonymKey,
+      pseudonymEntries = [],
+      contextRules = {},
+      detectNames: nameDetection = true,
+      detectStructuredData = true,
+      strategies = {},
+      visibleCharacters = {},
+      safeHarbor = false,
+      keepDateYear = false,
+      allowList = [],
+      denyList = [],
+      profile: profileOption,
+      types,
+      minConfidence,
+      reviewThreshold = 'low',
+      reviewDecisions = {}
     } = options;
     
-    // Find all matches
+    const allowRules = compileAllowList(allowList, { text });
+    const activeCategories = resolveCategories({ categories, redactPII, redactPHI, redactFinancial, redactTechnical });
+    
+    // Explicit options override the profile's defaults
+    const profile = getProfile(profileOption);
+    const activeTypes = types || profile?.types;
+    const typeFilter = activeTypes ? new Set(activeTypes) : null;
+    const threshold = resolveThresholds(profile, minConfidence, reviewThreshold);
+    
+    const profileStrategies = { ...(profile?.strategies || {}), ...strategies };
+    const strategyFor = resolveStrategies({
+      mode,
+      safeHarbor,
+      strategies: keepDateYear ? { DATE: 'generalize', ...profileStrategies } : profileStrategies
+    });
+    const pseudonymizer = createPseudonymizer({ key: pseudonymKey, entries: pseudonymEntries });
+    // Without a caller key, hashes are only consistent within this document
+    const hashKey = pseudonymKey || crypto.randomBytes(32).toString('hex');
+    
+    // Find all matches; every pattern shares one set of scan windows
     let allMatches = [];
-    const patterns = [...REDACTION_PATTERNS, ...customPatterns];
+    const windows = buildScanWindows(text);
+    const builtInPatterns = typeFilter
+      ? REDACTION_PATTERNS.filter(pattern => typeFilter.has(pattern.type))
+      : REDACTION_PATTERNS;
+    const patterns = [...builtInPatterns, ...customPatterns]
+      .filter(pattern => isCategoryActive(pattern.categories, activeCategories));
     
     for (const pattern of patterns) {
-      const matches = findMatches(text, pattern);
-      allMatches = allMatches.concat(matches);
+      for (const match of findMatches(text, pattern, contextRules, windows)) allMatches.push(match);
+    }
+    
+    // Names without honorifics come from the offline gazetteer/cue detector
+    const nameTypes = Object.keys(NAME_CATEGORIES)
+      .filter(type => (!typeFilter || typeFilter.has(type)) && isCategoryActive(NAME_CATEGORIES[type], activeCategories));
+    if (nameDetection && nameTypes.length > 0) {
+      for (const match of detectNames(text)) {
+        if (nameTypes.includes(match.type)) allMatches.push(match);
+      }
+    }
+    
+    // Table columns and form labels say what a value is, even when no pattern matches it;
+    // a Name column is still name detection and follows its switch
+    if (detectStructuredData) {
+      for (const match of detectStructuredFields(text)) {
+        if (match.type in NAME_CATEGORIES) {
+          if (nameDetection && nameTypes.includes(match.type)) allMatches.push(match);
+          continue;
+        }
+        const pattern = REDACTION_PATTERNS.find(p => p.type === match.type);
+        if ((!typeFilter || typeFilter.has(match.type)) && isCategoryActive(pattern.categories, activeCategories)) {
+          allMatches.push(match);
+        }
+      }
+    }
+    
+    const minimumLevel = CONFIDENCE_LEVELS.indexOf(threshold);
+    if (minimumLevel > 0) {
+      allMatches = allMatches.filter(match => CONFIDENCE_LEVELS.indexOf(match.confidence) >= minimumLevel);
     }
     
-    // Merge overlapping redactions
-    const mergedMatches = mergeOverlaps(allMatches);
+    // Known public values stay readable; record which allow-list entry spared them
+    const allowed = [];
+    if (allowRules.length > 0) {
+      const allowedRanges = findAllowedRanges(text, allowRules);
+      allMatches = allMatches.filter(match => {
+        const span = text.slice(match.start, match.end);
+        const rule = findAllowRule(match, extractValue(span, match).value, allowRules, allowedRanges, normalizeValue);
+        if (!rule) return true;
+        allowed.push({ type: match.type, original: span, start: match.start, end: match.end, list: 'allow', listRule: rule });
+        return false;
+      });
+    }
+    
+    // Uncertain matches, and detector hits marked for review, wait for a reviewer;
+    // accepted ones apply, rejected ones are dropped
+    const reviewLevel = CONFIDENCE_LEVELS.indexOf(reviewThreshold);
+    const reviewCandidates = [];
+    const acceptedSpans = parseReviewKeys(reviewDecisions.accept);
+    const rejectedSpans = parseReviewKeys(reviewDecisions.reject);
+    allMatches = allMatches.filter(match => {
+      if (!match.review && CONFIDENCE_LEVELS.indexOf(match.confidence) >= reviewLevel) return true;
+      if (withinAny(match, acceptedSpans)) return true;
+      if (!withinAny(match, rejectedSpans)) reviewCandidates.push(match);
+      return false;
+    });
     
-    // Generate redactions with IDs
+    // Deny-listed terms are always redacted, even inside an allowed value
+    for (const match of findDeniedTerms(text, denyList)) allMatches.push(match);
+    
+    // Resolve overlaps into top-level spans with nested children
+    const resolvedMatches = resolveOverlaps(allMatches);
+    const needsReview = buildReviewQueue(text, reviewCandidates, resolvedMatches);
+    
+    // Link occurrences into entities: equivalent values share one ID
+    const entities = new Map();
+    const entityCounts = {};
     const typeCounts = {};
-    const redactions = mergedMatches.map((match, index) => {
+    const strategyCounts = {};
+    const redactions = [];
+    const segmentation = segmentClauses(text);
+    const addRedaction = (match, parent) => {
       typeCounts[match.type] = (typeCounts[match.type] || 0) + 1;
+      const span = text.slice(match.start, match.end);
+      const extracted = extractValue(span, match);
+      const normalized = normalizeValue(match.type, extracted.value);
+      const entityKey = `${match.type}:${normalized}`;
       
-      return {
-        id: `${match.type}#${typeCounts[match.type]}`,
+      let entity = entities.get(entityKey);
+      if (!entity) {
+        entityCounts[match.type] = (entityCounts[match.type] || 0) + 1;
+        entity = {
+          id: `${match.type}#${entityCounts[match.type]}`,
+          type: match.type,
+          normalized,
+          values: [],
+          occurrences: 0
+        };
+        entities.set(entityKey, entity);
+      }
+      
+      entity.occurrences++;
+      if (!entity.values.includes(extracted.value)) {
+        entity.values.push(extracted.value);
+      }
+      
+      const { replacement, strategy } = applyStrategy(strategyFor(match.type), {
+        type: match.type,
+        id: entity.id,
+        span,
+        extracted,
+        normalized,
+        pseudonymize: pseudonymizer.pseudonymFor,
+        hashKey,
+        visible: typeof visibleCharacters === 'number' ? visibleCharacters : visibleCharacters[match.type]
+      });
+      // Nested values are covered by their parent's replacement
+      if (!parent) {
+        strategyCounts[strategy] = (strategyCounts[strategy] || 0) + 1;
+      }
+      
+      const redaction = {
+        id: entity.id,
+        occurrence: entity.occurrences,
         type: match.type,
-        original: match.original,
+        original: span,
+        normalized,
         start: match.start,
         end: match.end,
-        confidence: match.confidence
+        confidence: match.confidence,
+        strategy,
+        replacement,
+        ...(match.list && { list: match.list, listRule: match.listRule }),
+        ...(match.field && { field: match.field }),
+        explanation: match.explanation,
+        clause: clauseAt(segmentation, match.start),
+        ...(parent && { parent: { id: parent.id, occurrence: parent.occurrence } })
       };
-    });
+      redactions.push(redaction);
+      
+      if (match.children.length > 0) {
+        redaction.children = match.children.map(child => {
+          const nested = addRedaction(child, redaction);
+          return { id: nested.id, occurrence: nested.occurrence };
+        });
+      }
+      return redaction;
+    };
+    for (const match of resolvedMatches) {
+      addRedaction(match, null);
+    }
     
-    // Build redacted text by replacing from end to start (to preserve indices)
-    let redactedText = text;
-    for (let i = redactions.length - 1; i >= 0; i--) {
-      const redaction = redactions[i];
-      const replacement = `[REDACTED:${redaction.id}]`;
-      redactedText = 
-        redactedText.slice(0, redaction.start) + 
-        replacement + 
-        redactedText.slice(redaction.end);
+    // Build redacted text in one pass: top-level redactions are sorted and disjoint
+    const parts = [];
+    let cursor = 0;
+    for (const redaction of redactions) {
+      if (redaction.parent) continue;
+      parts.push(text.slice(cursor, redaction.start), redaction.replacement);
+      cursor = redaction.end;
     }
+    parts.push(text.slice(cursor));
+    const redactedText = parts.join('');
     
-    // Generate summary
+    // Generate summary (per-type counts are occurrences; entities are unique values)
     const summary = {};
     for (const [type, count] of Object.entries(typeCounts)) {
       summary[type.toLowerCase()] = count;
     }
     summary.totalRedactions = redactions.length;
+    summary.nested = redactions.filter(redaction => redaction.parent).length;
+    summary.entities = {};
+    for (const [type, count] of Object.entries(entityCounts)) {
+      summary.entities[type.toLowerCase()] = count;
+    }
+    summary.totalEntities = entities.size;
+    summary.strategies = strategyCounts;
+    summary.allowed = allowed.length;
+    summary.needsReview = needsReview.length;
 
-    return {
+    const result = {
       redactedText,
       redactions,
+      entities: Array.from(entities.values()),
+      allowed,
+      needsReview,
+      profile: profile ? profile.id || 'custom' : null,
+      categories: REDACTION_CATEGORIES.filter(category => activeCategories.has(category)),
       summary
     };
+    
+    if (mode === 'pseudonymize' || strategyCounts.pseudonymize) {
+      result.pseudonyms = pseudonymizer.getEntries();
+    }
+
+    return result;
   }
   
   /**
@@ -389,12 +1656,20 @@ const REDACTION_PATTERNS = [
   export function restoreText(redactedText, redactions) {
     let restored = redactedText;
     
-    // Sort by start position (descending) to maintain indices
-    const sorted = [...redactions].sort((a, b) => b.start - a.start);
+    // Placeholders are shared by every occurrence of an entity, so restore in
+    // document order and only search past what has already been restored
+    const sorted = [...redactions].sort((a, b) => a.start - b.start);
+    let cursor = 0;
     
     for (const redaction of sorted) {
-      const placeholder = `[REDACTED:${redaction.id}]`;
-      restored = restored.replace(placeholder, redaction.original);
+      // Nested values were never written out; their parent restores them
+      if (redaction.parent) continue;
+      const placeholder = redaction.replacement || `[REDACTED:${redaction.id}]`;
+      const index = restored.indexOf(placeholder, cursor);
+      if (index === -1) continue;
+      
+      restored = restored.slice(0, index) + redaction.original + restored.slice(index + placeholder.length);
+      cursor = index + redaction.original.length;
     }
     
     return restored;
@@ -405,10 +1680,14 @@ const REDACTION_PATTERNS = [
    */
   export function addCustomPattern(type, regex, options = {}) {
     return {
+      id: options.id || `custom/${type}`,
+      source: 'custom',
       type,
+      categories: options.categories,
       regex,
       priority: options.priority || 1,
       confidence: options.confidence || 'low',
-      validator: options.validator
+      validator: options.validator,
+      validatorName: options.validatorName
     };
   }
\ No newline at end of file
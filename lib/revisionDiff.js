@@ -0,0 +1,239 @@
+/**
+ * Revision Diff
+ * Compares the sensitive values and flags of two drafts of the same contract
+ */
+
+import { redactText } from './redact';
+import { flagSensitiveContent } from './flagging';
+
+// Characters either side of a value whose words identify where it sits
+const CONTEXT_WINDOW = 60;
+
+// Share of context words two occurrences need in common, on either side, to count as the same place
+const SAME_PLACE_SIMILARITY = 0.5;
+
+/**
+ * Lowercased words of a text, ignoring one-letter tokens
+ */
+function contextWords(text) {
+  return new Set((text.toLowerCase().match(/[a-z0-9]{2,}/g) || []));
+}
+
+/**
+ * Words around a span, leaving the span itself out
+ */
+function contextAround(text, start, end) {
+  const before = text.slice(Math.max(0, start - CONTEXT_WINDOW), start);
+  const after = text.slice(end, end + CONTEXT_WINDOW);
+  return { before, after, beforeWords: contextWords(before), afterWords: contextWords(after) };
+}
+
+/**
+ * Jaccard similarity of two word sets; null when both are empty
+ */
+function jaccard(a, b) {
+  if (a.size === 0 && b.size === 0) return null;
+  let shared = 0;
+  for (const word of a) {
+    if (b.has(word)) shared++;
+  }
+  return shared / (a.size + b.size - shared);
+}
+
+/**
+ * How alike two contexts are: the better of the two sides, so an edit on one
+ * side of a value does not make it look moved
+ */
+function similarity(a, b) {
+  const sides = [jaccard(a.beforeWords, b.beforeWords), jaccard(a.afterWords, b.afterWords)]
+    .filter(score => score !== null);
+  return sides.length > 0 ? Math.max(...sides) : 1;
+}
+
+/**
+ * Group items by key, keeping document order within each group
+ */
+function groupBy(items, keyOf) {
+  const groups = new Map();
+  for (const item of items) {
+    const key = keyOf(item);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(item);
+  }
+  return groups;
+}
+
+/**
+ * Pair items sharing a key across versions
+ *
+ * Pairs whose contexts agree are the same occurrence; the leftovers of a key
+ * are then paired in document order as the value having moved. Returns
+ * { same, moved, removed, added } with [previous, current] pairs.
+ */
+function pairOccurrences(previousItems, currentItems, keyOf) {
+  const result = { same: [], moved: [], removed: [], added: [] };
+  const currentGroups = groupBy(currentItems, keyOf);
+
+  for (const [key, previousGroup] of groupBy(previousItems, keyOf)) {
+    const currentGroup = currentGroups.get(key) || [];
+    currentGroups.delete(key);
+
+    // Best-matching contexts first, so one close pair is not spoiled by a weaker one
+    const candidates = [];
+    previousGroup.forEach((previous, p) => currentGroup.forEach((current, c) => {
+      const score = similarity(previous.context, current.context);
+      if (score >= SAME_PLACE_SIMILARITY) candidates.push({ p, c, score });
+    }));
+    candidates.sort((a, b) => b.score - a.score || a.p - b.p || a.c - b.c);
+
+    const usedPrevious = new Set();
+    const usedCurrent = new Set();
+    for (const { p, c } of candidates) {
+      if (usedPrevious.has(p) || usedCurrent.has(c)) continue;
+      usedPrevious.add(p);
+      usedCurrent.add(c);
+      result.same.push([previousGroup[p], currentGroup[c]]);
+    }
+
+    const previousLeft = previousGroup.filter((_, p) => !usedPrevious.has(p));
+    const currentLeft = currentGroup.filter((_, c) => !usedCurrent.has(c));
+    const movedCount = Math.min(previousLeft.length, currentLeft.length);
+    for (let i = 0; i < movedCount; i++) {
+      result.moved.push([previousLeft[i], currentLeft[i]]);
+    }
+    result.removed.push(...previousLeft.slice(movedCount));
+    result.added.push(...currentLeft.slice(movedCount));
+  }
+
+  for (const currentGroup of currentGroups.values()) {
+    result.added.push(...currentGroup);
+  }
+
+  return result;
+}
+
+/**
+ * Redactions of one version with the context used to match them
+ */
+function describeRedactions(text, redactions) {
+  return redactions.map(redaction => ({
+    redaction,
+    context: contextAround(text, redaction.start, redaction.end)
+  }));
+}
+
+/**
+ * Flags of one version, keyed by the text that triggered them
+ * Missing-clause flags have no text; their category alone identifies them
+ */
+function describeFlags(text, flags) {
+  return flags.map(flag => (flag.start === null ? {
+    flag,
+    value: '',
+    context: contextAround('', 0, 0)
+  } : {
+    flag,
+    value: text.slice(flag.start, flag.end).toLowerCase().replace(/\s+/g, ' '),
+    context: contextAround(text, flag.start, flag.end)
+  }));
+}
+
+/**
+ * Public view of a redaction in the diff; the context is kept as text
+ */
+function redactionView({ redaction, context }) {
+  return {
+    ...redaction,
+    context: { before: context.before, after: context.after }
+  };
+}
+
+/**
+ * Public view of a flag in the diff
+ */
+function flagView({ flag, context }) {
+  return {
+    ...flag,
+    context: { before: context.before, after: context.after }
+  };
+}
+
+/**
+ * Document order for flags; missing-clause flags have no position and go last
+ */
+function byFlagPosition(a, b) {
+  const aStart = a.flag.start === null ? Infinity : a.flag.start;
+  const bStart = b.flag.start === null ? Infinity : b.flag.start;
+  return aStart === bStart ? 0 : aStart - bStart;
+}
+
+/**
+ * Compare two versions of a contract
+ *
+ * Both are redacted and flagged with the same options. Redactions are matched
+ * by type and normalized value, then by the words around them, so edits that
+ * shift offsets do not show up as changes. A value found again in different
+ * surroundings is reported as moved.
+ *
+ * options.redaction: options for redactText
+ * options.flagging: options for flagSensitiveContent
+ */
+export function diffRevisions(previousText, currentText, options = {}) {
+  const { redaction: redactionOptions = {}, flagging: flaggingOptions = {} } = options;
+
+  const previousRedaction = redactText(previousText, redactionOptions);
+  const currentRedaction = redactText(currentText, redactionOptions);
+  const previousFlagging = flagSensitiveContent(previousText, flaggingOptions);
+  const currentFlagging = flagSensitiveContent(currentText, flaggingOptions);
+
+  const redactionPairs = pairOccurrences(
+    describeRedactions(previousText, previousRedaction.redactions),
+    describeRedactions(currentText, currentRedaction.redactions),
+    item => `${item.redaction.type}:${item.redaction.normalized}`
+  );
+
+  const flagPairs = pairOccurrences(
+    describeFlags(previousText, previousFlagging.flags),
+    describeFlags(currentText, currentFlagging.flags),
+    item => `${item.flag.type}:${item.flag.category || ''}:${item.value}`
+  );
+
+  const redactions = {
+    added: redactionPairs.added.map(redactionView),
+    removed: redactionPairs.removed.map(redactionView),
+    moved: redactionPairs.moved.map(([previous, current]) => ({
+      ...redactionView(current),
+      previous: redactionView(previous)
+    })),
+    unchanged: redactionPairs.same.length
+  };
+
+  // A flag moved to new surroundings is still worth a look, so it counts as new
+  const flags = {
+    new: [...flagPairs.added, ...flagPairs.moved.map(([, current]) => current)]
+      .sort(byFlagPosition)
+      .map(flagView),
+    resolved: [...flagPairs.removed, ...flagPairs.moved.map(([previous]) => previous)]
+      .sort(byFlagPosition)
+      .map(flagView),
+    unchanged: flagPairs.same.length
+  };
+
+  return {
+    redactions,
+    flags,
+    current: {
+      redactedText: currentRedaction.redactedText,
+      riskLevel: currentFlagging.summary.riskLevel
+    },
+    summary: {
+      added: redactions.added.length,
+      removed: redactions.removed.length,
+      moved: redactions.moved.length,
+      unchanged: redactions.unchanged,
+      newFlags: flags.new.length,
+      resolvedFlags: flags.resolved.length,
+      unchangedFlags: flags.unchanged
+    }
+  };
+}
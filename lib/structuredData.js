@@ -0,0 +1,276 @@
+/**
+ * Structured Data Detection
+ * Tables, CSV/TSV exhibits and key-value forms, where a header or label says what a value is
+ */
+
+import { isPersonName } from './nameDetector';
+
+// Header and label wording mapped to the redaction type of the values under it
+const FIELD_LABELS = [
+  { type: 'PERSON_NAME', regex: /^(?:(?:full|legal|first and last|employee|patient|client|customer|member|beneficiary|payee)\s+)?name$/i },
+  // A bare role says less than "Name", so its value must also be a known first name or surname
+  { type: 'PERSON_NAME', regex: /^(?:employee|patient|client|customer|member|beneficiary|payee)$/i, requireGazetteer: true },
+  { type: 'SSN', regex: /^(?:ssn|social security(?:\s+(?:no\.?|number|#))?)$/i },
+  { type: 'DATE', regex: /^(?:dob|d\.o\.b\.?|date of birth|birth\s*date)$/i },
+  { type: 'BANK_ACCOUNT', regex: /^(?:(?:bank\s+)?(?:account|acct\.?)(?:\s+(?:no\.?|number|#))?)$/i },
+  { type: 'EMAIL', regex: /^(?:e-?mail(?:\s+address)?)$/i },
+  { type: 'PHONE', regex: /^(?:phone|telephone|tel\.?|mobile|cell)(?:\s+(?:no\.?|number|#))?$/i },
+  { type: 'MRN', regex: /^(?:mrn|medical record(?:\s+(?:no\.?|number|#))?)$/i },
+  { type: 'SALARY', regex: /^(?:(?:annual|base)\s+)?(?:salary|compensation|pay)$/i }
+];
+
+// Delimiters tried for tables, in order; commas only count when every row agrees
+const TABLE_DELIMITERS = ['\t', '|', ','];
+
+// Header cells longer than this are prose, not column names
+const MAX_HEADER_LENGTH = 40;
+
+// Placeholder cells that hold no value
+const EMPTY_CELL = /^(?:|-+|—|n\/?a|none|null|tbd)$/i;
+
+// Values from a labelled field are certain of their type; above name and date detectors
+const FIELD_PRIORITY = 6;
+
+/**
+ * Field entry for a header or label, or undefined
+ */
+function fieldForLabel(label) {
+  const normalized = label.trim().replace(/[:#*]+$/, '').replace(/\s+/g, ' ').trim();
+  return FIELD_LABELS.find(f => f.regex.test(normalized));
+}
+
+/**
+ * Redaction type for a header or label, or null
+ */
+export function fieldTypeForLabel(label) {
+  const field = fieldForLabel(label);
+  return field ? field.type : null;
+}
+
+// Shape a labelled value must have; a label followed by a sentence is not a field
+const VALUE_SHAPES = {
+  PERSON_NAME: /^[A-Za-z][A-Za-z.'’-]*(?: [A-Za-z][A-Za-z.'’-]*){0,4}$/,
+  EMAIL: /^[^\s@]+@[^\s@]+$/,
+  PHONE: /^(?=.*\d)[+(]?[0-9][0-9 ().x+-]{5,24}$/i,
+  DATE: /^(?=.*\d)[A-Za-z0-9][A-Za-z0-9 ,./-]{3,24}$/,
+  SALARY: /^(?=.*\d)[$€£]?\s?[\d,.]+(?:\s?[kKmM])?(?:\s?(?:USD|EUR|GBP))?(?:\s*(?:per|\/)\s*[a-z]+)?$/
+};
+
+// Identifiers under a label are one token made mostly of digits ("123-45-6789", "MRN-00123")
+const IDENTIFIER_TYPES = new Set(['SSN', 'BANK_ACCOUNT', 'MRN']);
+
+function isIdentifier(value) {
+  if (!/^[A-Z0-9][A-Z0-9#-]{2,34}$/i.test(value)) return false;
+  const digits = value.replace(/\D/g, '').length;
+  return digits * 2 > value.replace(/[^A-Z0-9]/gi, '').length;
+}
+
+/**
+ * Whether a value fits its column or label field, so a stray "N/A", a
+ * sub-heading row or a sentence after a colon is not redacted as an SSN
+ */
+function plausibleValue(field, value) {
+  // field: { type, requireGazetteer }, a FIELD_LABELS entry or a table column
+  if (EMPTY_CELL.test(value)) return false;
+  if (IDENTIFIER_TYPES.has(field.type)) return isIdentifier(value);
+  if (VALUE_SHAPES[field.type] && !VALUE_SHAPES[field.type].test(value)) return false;
+  if (field.type === 'PERSON_NAME') return isPersonName(value, { requireGazetteer: field.requireGazetteer });
+  return true;
+}
+
+/**
+ * Split one line into cells with offsets relative to the line
+ *
+ * Comma rows may quote cells ("Smith, Jane"); the offsets then cover the
+ * quoted content. Pipe rows drop the empty cells outside leading and trailing pipes.
+ */
+export function parseDelimitedLine(line, delimiter) {
+  const cells = [];
+  let i = 0;
+
+  while (i <= line.length) {
+    let start = i;
+    let end;
+
+    // Quoted CSV cell; a doubled quote inside is a literal quote
+    const leading = line.slice(i).match(/^[ \t]*"/);
+    if (delimiter === ',' && leading) {
+      start = i + leading[0].length;
+      let j = start;
+      while (j < line.length && !(line[j] === '"' && line[j + 1] !== '"')) j += line[j] === '"' ? 2 : 1;
+      end = j;
+      const next = line.indexOf(delimiter, j);
+      i = next === -1 ? line.length + 1 : next + 1;
+    } else {
+      const next = line.indexOf(delimiter, i);
+      end = next === -1 ? line.length : next;
+      i = end + 1;
+    }
+
+    // Trim surrounding spaces from the cell
+    while (start < end && /\s/.test(line[start])) start++;
+    while (end > start && /\s/.test(line[end - 1])) end--;
+    cells.push({ value: line.slice(start, end), start, end });
+  }
+
+  if (delimiter === '|') {
+    if (cells.length > 0 && cells[0].value === '') cells.shift();
+    if (cells.length > 0 && cells[cells.length - 1].value === '') cells.pop();
+  }
+
+  return cells;
+}
+
+/**
+ * Lines of a text with their start offsets
+ */
+function splitLines(text) {
+  const lines = [];
+  let start = 0;
+  for (const line of text.split('\n')) {
+    lines.push({ text: line, start });
+    start += line.length + 1;
+  }
+  return lines;
+}
+
+/**
+ * Header cells of a line if it reads as a table header with at least one known column
+ */
+function readHeader(line, delimiter) {
+  if (!line.includes(delimiter)) return null;
+  const cells = parseDelimitedLine(line, delimiter);
+  if (cells.length < 2) return null;
+  if (cells.some(cell => cell.value.length > MAX_HEADER_LENGTH || /\d{3}/.test(cell.value))) return null;
+
+  const fields = cells.map(cell => fieldForLabel(cell.value));
+  return fields.some(Boolean) ? { cells, fields } : null;
+}
+
+/**
+ * Find tables: a header row naming at least one known column followed by rows
+ * with the same number of cells. Markdown separator rows (|---|) are skipped.
+ */
+export function detectTables(text) {
+  const lines = splitLines(text);
+  const tables = [];
+  let i = 0;
+
+  while (i < lines.length) {
+    let table = null;
+
+    for (const delimiter of TABLE_DELIMITERS) {
+      const header = readHeader(lines[i].text, delimiter);
+      if (!header) continue;
+
+      const rows = [];
+      let j = i + 1;
+      while (j < lines.length) {
+        const line = lines[j];
+        if (delimiter === '|' && /^[\s|:-]+$/.test(line.text) && line.text.includes('-')) {
+          j++;
+          continue;
+        }
+        const cells = parseDelimitedLine(line.text, delimiter);
+        if (!line.text.includes(delimiter) || cells.length !== header.cells.length) break;
+        rows.push(cells.map(cell => ({ ...cell, start: cell.start + line.start, end: cell.end + line.start })));
+        j++;
+      }
+
+      if (rows.length > 0) {
+        table = {
+          delimiter,
+          columns: header.cells.map((cell, index) => {
+            const field = header.fields[index];
+            return { label: cell.value, type: field ? field.type : null, ...(field?.requireGazetteer && { requireGazetteer: true }) };
+          }),
+          rows,
+          start: lines[i].start,
+          end: lines[j - 1].start + lines[j - 1].text.length,
+          lastLine: j - 1
+        };
+        break;
+      }
+    }
+
+    if (table) {
+      tables.push(table);
+      i = table.lastLine + 1;
+    } else {
+      i++;
+    }
+  }
+
+  return tables;
+}
+
+/**
+ * Find "Label: value" lines whose label names a known field
+ */
+function detectKeyValues(lines, skip) {
+  const matches = [];
+
+  lines.forEach((line, index) => {
+    if (skip.has(index)) return;
+
+    const pair = line.text.match(/^([ \t]*)([A-Za-z][A-Za-z .#/]{0,40}?)[ \t]*:[ \t]*(.*?)[ \t]*$/);
+    if (!pair || !pair[3]) return;
+
+    const field = fieldForLabel(pair[2]);
+    if (!field) return;
+    const { type } = field;
+
+    // A name is followed by titles or notes after a comma or parenthesis
+    let value = pair[3].replace(/[.,;]+$/, '');
+    if (type === 'PERSON_NAME') value = value.split(/[,(;]/)[0].trim();
+    if (!value || !plausibleValue(field, value)) return;
+
+    const start = line.start + line.text.indexOf(value, pair[1].length + pair[2].length);
+    matches.push(fieldMatch(type, value, start, pair[2].trim()));
+  });
+
+  return matches;
+}
+
+function fieldMatch(type, value, start, field) {
+  return {
+    type,
+    original: value,
+    start,
+    end: start + value.length,
+    valueOffset: 0,
+    valueLength: value.length,
+    confidence: 'high',
+    priority: FIELD_PRIORITY,
+    field
+  };
+}
+
+/**
+ * Matches for values in labelled table columns and key-value lines
+ * Each match records the header or label it came from in `field`
+ */
+export function detectStructuredFields(text) {
+  const tables = detectTables(text);
+  const matches = [];
+  const tableLines = new Set();
+  const lines = splitLines(text);
+
+  for (const table of tables) {
+    for (let index = lines.findIndex(line => line.start === table.start); index <= table.lastLine; index++) {
+      tableLines.add(index);
+    }
+
+    table.columns.forEach((column, columnIndex) => {
+      if (!column.type) return;
+      for (const row of table.rows) {
+        const cell = row[columnIndex];
+        if (plausibleValue(column, cell.value)) {
+          matches.push(fieldMatch(column.type, cell.value, cell.start, column.label));
+        }
+      }
+    });
+  }
+
+  return matches.concat(detectKeyValues(lines, tableLines));
+}
@@ -0,0 +1,138 @@
+/**
+ * Redaction Transform Strategies
+ * Turns a detected value into its replacement: mask, partial, generalize, truncate, hash or pseudonymize
+ */
+
+import crypto from 'crypto';
+
+export const STRATEGIES = ['mask', 'partial', 'generalize', 'truncate', 'hash', 'pseudonymize'];
+
+// Characters left readable by the partial strategy unless the caller overrides it
+export const DEFAULT_VISIBLE_CHARACTERS = 4;
+
+// HIPAA Safe Harbor (45 CFR 164.514(b)(2)) generalizations
+export const SAFE_HARBOR_STRATEGIES = {
+  DATE: 'generalize',
+  ZIP_CODE: 'truncate',
+  AGE: 'generalize'
+};
+
+// ZIP3 areas with 20,000 or fewer residents; Safe Harbor requires these to become 000
+export const RESTRICTED_ZIP3 = new Set([
+  '036', '059', '063', '102', '203', '556', '692', '790', '821',
+  '823', '830', '831', '878', '879', '884', '890', '893'
+]);
+
+/**
+ * Star out every letter and digit except the last few, keeping separators
+ * (123-45-6789 -> ***-**-6789). Values too short to hide anything are fully starred.
+ */
+export function partialMask(value, visible = DEFAULT_VISIBLE_CHARACTERS) {
+  const total = (value.match(/[A-Za-z0-9]/g) || []).length;
+  const keep = total > visible ? visible : 0;
+  let seen = 0;
+
+  return value.replace(/[A-Za-z0-9]/g, char => (++seen > total - keep ? char : '*'));
+}
+
+/**
+ * Year-only form of a date (its normalized value is ISO when the date parsed)
+ */
+function generalizeDate(normalized) {
+  const iso = normalized.match(/^(\d{4})-\d{2}-\d{2}$/);
+  return iso ? iso[1] : null;
+}
+
+/**
+ * Ages over 89 collapse into a single "90+" bucket; younger ages may remain
+ */
+function generalizeAge(value) {
+  const age = parseInt(value, 10);
+  if (Number.isNaN(age)) return null;
+  return age > 89 ? '90+' : value;
+}
+
+/**
+ * First three ZIP digits, or 000 for sparsely populated ZIP3 areas
+ */
+function truncateZip(value) {
+  const digits = value.replace(/\D/g, '');
+  if (digits.length < 5) return null;
+  const zip3 = digits.slice(0, 3);
+  return `${RESTRICTED_ZIP3.has(zip3) ? '000' : zip3}**`;
+}
+
+/**
+ * Type-specific generalized value, or null when the type has no generalization
+ */
+function generalizedValue(type, value, normalized) {
+  if (type === 'DATE') return generalizeDate(normalized);
+  if (type === 'AGE') return generalizeAge(value);
+  if (type === 'ZIP_CODE') return truncateZip(value);
+  return null;
+}
+
+/**
+ * Keyed, truncated SHA-256 digest so equal values hash alike without being reversible
+ */
+export function hashValue(type, normalized, key) {
+  return crypto.createHmac('sha256', String(key)).update(`${type}:${normalized}`).digest('hex').slice(0, 12);
+}
+
+/**
+ * Resolve the strategy for each type from the caller's options
+ *
+ * Explicit per-type strategies win over the Safe Harbor defaults, which win over
+ * the document-wide mode.
+ */
+export function resolveStrategies(options = {}) {
+  const { mode = 'mask', strategies = {}, safeHarbor = false } = options;
+
+  for (const [type, strategy] of Object.entries(strategies)) {
+    if (!STRATEGIES.includes(strategy)) {
+      throw new Error(`Unknown redaction strategy "${strategy}" for ${type}`);
+    }
+  }
+
+  const resolved = {
+    ...(safeHarbor ? SAFE_HARBOR_STRATEGIES : {}),
+    ...strategies
+  };
+
+  return type => resolved[type] || mode;
+}
+
+/**
+ * Build the replacement text for one redaction
+ *
+ * Returns { replacement, strategy }. The strategy is the one actually applied:
+ * types without a generalization fall back to mask.
+ */
+export function applyStrategy(strategy, redaction) {
+  const { type, id, span, extracted, normalized, pseudonymize, hashKey, visible } = redaction;
+  const { value, offset, length } = extracted;
+  const around = replacementValue => span.slice(0, offset) + replacementValue + span.slice(offset + length);
+
+  switch (strategy) {
+    case 'pseudonymize':
+      return { replacement: around(pseudonymize(type, value, normalized)), strategy };
+
+    case 'partial':
+      return { replacement: around(partialMask(value, visible)), strategy };
+
+    case 'hash':
+      return { replacement: `[REDACTED:${type}:${hashValue(type, normalized, hashKey)}]`, strategy };
+
+    case 'generalize':
+    case 'truncate': {
+      const generalized = generalizedValue(type, value, normalized);
+      if (generalized === null) break;
+      return { replacement: around(generalized), strategy };
+    }
+
+    default:
+      break;
+  }
+
+  return { replacement: `[REDACTED:${id}]`, strategy: 'mask' };
+}
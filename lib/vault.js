@@ -0,0 +1,91 @@
+/**
+ * Pseudonym Vault
+ * Seals original-to-pseudonym mappings with AES-256-GCM so drafts can be re-identified later
+ */
+
+import crypto from 'crypto';
+
+const VAULT_VERSION = 1;
+const ALGORITHM = 'aes-256-gcm';
+const PSEUDONYM_KEY_SALT = 'contract-review:pseudonym-key:v1';
+
+/**
+ * Derive a 256-bit key from the caller's passphrase
+ */
+function deriveKey(passphrase, salt) {
+  return crypto.scryptSync(String(passphrase), salt, 32);
+}
+
+/**
+ * Derive the pseudonym key for a matter from its vault passphrase
+ *
+ * HKDF with its own label keeps pseudonyms consistent for one passphrase
+ * without reusing the passphrase as the HMAC key.
+ */
+export function derivePseudonymKey(passphrase) {
+  if (!passphrase) {
+    throw new Error('A vault key is required to derive the pseudonym key');
+  }
+
+  return Buffer.from(crypto.hkdfSync('sha256', String(passphrase), PSEUDONYM_KEY_SALT, 'pseudonym-key', 32)).toString('hex');
+}
+
+/**
+ * Encrypt mapping entries into a portable vault file (JSON string)
+ */
+export function sealVault(entries, passphrase, metadata = {}) {
+  if (!passphrase) {
+    throw new Error('A vault key is required to seal the pseudonym mapping');
+  }
+
+  const salt = crypto.randomBytes(16);
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ALGORITHM, deriveKey(passphrase, salt), iv);
+
+  const payload = JSON.stringify({ entries, metadata });
+  const data = Buffer.concat([cipher.update(payload, 'utf8'), cipher.final()]);
+
+  return JSON.stringify({
+    version: VAULT_VERSION,
+    algorithm: ALGORITHM,
+    createdAt: new Date().toISOString(),
+    salt: salt.toString('base64'),
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    data: data.toString('base64')
+  });
+}
+
+/**
+ * Decrypt a vault file and return its entries and metadata
+ */
+export function openVault(sealed, passphrase) {
+  let vault;
+  try {
+    vault = typeof sealed === 'string' ? JSON.parse(sealed) : sealed;
+  } catch (error) {
+    throw new Error('Vault file is not valid JSON');
+  }
+
+  if (!vault || vault.version !== VAULT_VERSION || vault.algorithm !== ALGORITHM) {
+    throw new Error('Unsupported vault format');
+  }
+
+  try {
+    const decipher = crypto.createDecipheriv(
+      ALGORITHM,
+      deriveKey(passphrase, Buffer.from(vault.salt, 'base64')),
+      Buffer.from(vault.iv, 'base64')
+    );
+    decipher.setAuthTag(Buffer.from(vault.tag, 'base64'));
+
+    const payload = Buffer.concat([
+      decipher.update(Buffer.from(vault.data, 'base64')),
+      decipher.final()
+    ]).toString('utf8');
+
+    return JSON.parse(payload);
+  } catch (error) {
+    throw new Error('Unable to unlock vault: invalid key or corrupted vault');
+  }
+}
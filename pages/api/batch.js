@@ -5,11 +5,16 @@
 
 import formidable from 'formidable';
 import fs from 'fs';
-import { redactText } from '../../lib/redact';
+import { redactText, validateRedactionOptions } from '../../lib/redact';
 import { flagSensitiveContent } from '../../lib/flagging';
+import { getContractType } from '../../lib/missingClauses';
+import { resolveTermPolicy } from '../../lib/numericTerms';
 import { extractText, cleanExtractedText } from '../../lib/pdfExtractor';
 import { quickHIPAACheck } from '../../lib/hipaaReport';
 
+// Redaction summary counts that are not per-type totals
+const SUMMARY_COUNT_KEYS = ['totalRedactions', 'totalEntities', 'allowed', 'nested', 'needsReview'];
+
 // Disable body parser for file uploads
 export const config = {
   api: {
@@ -37,6 +42,26 @@ function parseForm(req) {
   });
 }
 
+/**
+ * Redaction options for every document in the batch
+ */
+function redactionOptions(options) {
+  return {
+    redactPII: options.redactPII !== false,
+    redactPHI: options.redactPHI !== false,
+    redactFinancial: options.redactFinancial !== false,
+    redactTechnical: options.redactTechnical !== false,
+    keepDateYear: options.keepDateYear === true,
+    safeHarbor: options.safeHarbor === true,
+    strategies: options.strategies || {},
+    visibleCharacters: options.visibleCharacters || {},
+    allowList: options.allowList || [],
+    denyList: options.denyList || [],
+    profile: options.profile,
+    reviewThreshold: options.reviewThreshold
+  };
+}
+
 /**
  * Process a single document
  */
@@ -49,15 +74,15 @@ async function processDocument(file, options) {
     const text = cleanExtractedText(extracted.text);
 
     // Perform redaction
-    const redactionResult = redactText(text, {
-      redactPII: options.redactPII !== false,
-      redactPHI: options.redactPHI !== false
-    });
+    const redactionResult = redactText(text, redactionOptions(options));
 
     // Perform flagging
     const flaggingResult = flagSensitiveContent(text, {
       flagPrivilege: options.flagPrivilege !== false,
-      flagConfidentiality: options.flagConfidentiality !== false
+      flagConfidentiality: options.flagConfidentiality !== false,
+      preferredJurisdictions: options.preferredJurisdictions || [],
+      contractType: options.contractType ?? 'auto',
+      termPolicy: options.termPolicy ?? {}
     });
 
     // Quick HIPAA check
@@ -69,16 +94,24 @@ async function processDocument(file, options) {
       size: file.size,
       pages: extracted.pages,
       processingTime: Date.now() - startTime,
+      profile: redactionResult.profile,
+      categories: redactionResult.categories,
       summary: {
         totalRedactions: redactionResult.redactions.length,
+        totalEntities: redactionResult.entities.length,
         redactionsByType: redactionResult.summary,
         totalFlags: flaggingResult.flags.length,
         flagsByType: groupByType(flaggingResult.flags),
+        flaggedClauses: listClauses(flaggingResult.flags),
+        suppressedFlags: flaggingResult.suppressed.length,
+        contractType: flaggingResult.contractType?.id || null,
         riskLevel: flaggingResult.summary.riskLevel,
         hipaaRiskLevel: hipaaCheck.riskLevel
       },
       redactions: redactionResult.redactions,
+      needsReview: redactionResult.needsReview,
       flags: flaggingResult.flags,
+      terms: flaggingResult.terms,
       hipaaCheck
     };
   } catch (error) {
@@ -109,6 +142,17 @@ function groupByType(flags) {
   return grouped;
 }
 
+/**
+ * Clause citations that contain at least one flag, in document order
+ */
+function listClauses(flags) {
+  const paths = [];
+  for (const flag of flags) {
+    if (flag.clause && !paths.includes(flag.clause.path)) paths.push(flag.clause.path);
+  }
+  return paths;
+}
+
 /**
  * Calculate aggregate statistics
  */
@@ -119,6 +163,7 @@ function calculateAggregateStats(results) {
   // Aggregate redaction counts
   const redactionTotals = {};
   let totalRedactions = 0;
+  let totalNeedsReview = 0;
 
   // Aggregate flag counts
   const flagTotals = {};
@@ -134,8 +179,10 @@ function calculateAggregateStats(results) {
   for (const result of successful) {
     // Count redactions
     totalRedactions += result.summary.totalRedactions;
+    totalNeedsReview += result.needsReview.length;
     for (const [type, count] of Object.entries(result.summary.redactionsByType)) {
-      if (type !== 'totalRedactions') {
+      // Skip totals and the nested per-type entity counts
+      if (!SUMMARY_COUNT_KEYS.includes(type) && typeof count === 'number') {
         redactionTotals[type] = (redactionTotals[type] || 0) + count;
       }
     }
@@ -175,7 +222,8 @@ function calculateAggregateStats(results) {
     redactions: {
       total: totalRedactions,
       byType: redactionTotals,
-      averagePerDocument: successful.length > 0 ? Math.round(totalRedactions / successful.length) : 0
+      averagePerDocument: successful.length > 0 ? Math.round(totalRedactions / successful.length) : 0,
+      needsReview: totalNeedsReview
     },
 
     flags: {
@@ -229,6 +277,25 @@ export default async function handler(req, res) {
       });
     }
 
+    // Reject bad redaction or flagging options once rather than failing every document
+    try {
+      validateRedactionOptions(redactionOptions(options));
+    } catch (optionError) {
+      return res.status(400).json({
+        error: 'Invalid redaction options',
+        message: optionError.message
+      });
+    }
+    try {
+      getContractType(options.contractType);
+      resolveTermPolicy(options.termPolicy);
+    } catch (flagOptionError) {
+      return res.status(400).json({
+        error: 'Invalid flagging options',
+        message: flagOptionError.message
+      });
+    }
+
     // Process all documents
     const results = await Promise.all(
       uploadedFiles.map(file => processDocument(file, options))
@@ -0,0 +1,116 @@
+/**
+ * Revision Diff API Endpoint
+ * Reports the sensitive values and flags that changed between two drafts
+ */
+
+import { diffRevisions } from '../../lib/revisionDiff';
+import { compileCustomPatterns } from '../../lib/customPatterns';
+import { validateRedactionOptions } from '../../lib/redact';
+
+// Two drafts at the review limit, plus options
+export const config = {
+  api: {
+    bodyParser: {
+      sizeLimit: '4mb'
+    }
+  }
+};
+
+const MAX_TEXT_LENGTH = 500000;
+
+/**
+ * Main handler
+ */
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({
+      error: 'Method not allowed',
+      message: 'Only POST requests are supported'
+    });
+  }
+
+  const { previousText, currentText, options = {} } = req.body || {};
+
+  if (typeof previousText !== 'string' || typeof currentText !== 'string' || !previousText || !currentText) {
+    return res.status(400).json({
+      error: 'No input provided',
+      message: 'Please provide both previousText and currentText'
+    });
+  }
+
+  if (previousText.length > MAX_TEXT_LENGTH || currentText.length > MAX_TEXT_LENGTH) {
+    return res.status(400).json({
+      error: 'Text too long',
+      message: 'Maximum text length is 500,000 characters per version'
+    });
+  }
+
+  const {
+    redactPII = true,
+    redactPHI = true,
+    redactFinancial = true,
+    redactTechnical = true,
+    flagPrivilege = true,
+    flagConfidentiality = true,
+    customPatterns = [],
+    allowList = [],
+    denyList = [],
+    profile
+  } = options;
+
+  // Custom rules must be safe on both drafts
+  const { patterns, errors: patternErrors } = compileCustomPatterns(customPatterns, {
+    text: `${previousText}\n${currentText}`
+  });
+  if (patternErrors.length > 0) {
+    return res.status(400).json({
+      error: 'Invalid custom patterns',
+      message: patternErrors.map(e => `${e.type || `Rule ${e.index + 1}`}: ${e.message}`).join('; '),
+      errors: patternErrors
+    });
+  }
+
+  // Check the options a client can get wrong here, so an error from the diff
+  // itself is reported as a server failure rather than a bad request
+  try {
+    validateRedactionOptions(
+      { redactPII, redactPHI, redactFinancial, redactTechnical, allowList, denyList, profile },
+      { text: `${previousText}\n${currentText}` }
+    );
+  } catch (optionError) {
+    return res.status(400).json({
+      error: 'Invalid redaction options',
+      message: optionError.message
+    });
+  }
+
+  let diff;
+  try {
+    diff = diffRevisions(previousText, currentText, {
+      redaction: {
+        redactPII,
+        redactPHI,
+        redactFinancial,
+        redactTechnical,
+        customPatterns: patterns,
+        allowList,
+        denyList,
+        profile
+      },
+      flagging: { flagPrivilege, flagConfidentiality }
+    });
+  } catch (error) {
+    console.error('Diff endpoint error:', error);
+
+    return res.status(500).json({
+      error: 'Diff failed',
+      message: error.message,
+      stack: process.env.NODE_ENV === 'development' ? error.stack : undefined
+    });
+  }
+
+  return res.status(200).json({
+    ...diff,
+    timestamp: new Date().toISOString()
+  });
+}
@@ -0,0 +1,63 @@
+/**
+ * Re-identification API Endpoint
+ * Restores original values in a pseudonymized draft using its sealed vault
+ */
+
+import { openVault } from '../../lib/vault';
+import { reidentifyText } from '../../lib/pseudonymize';
+
+/**
+ * Main handler
+ */
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({
+      error: 'Method not allowed',
+      message: 'Only POST requests are supported'
+    });
+  }
+
+  const { text, vault, vaultKey } = req.body || {};
+
+  if (!text || typeof text !== 'string') {
+    return res.status(400).json({
+      error: 'No input provided',
+      message: 'Please provide the pseudonymized text'
+    });
+  }
+
+  if (!vault || !vaultKey) {
+    return res.status(400).json({
+      error: 'Vault required',
+      message: 'Please provide both the vault file and its key'
+    });
+  }
+
+  let opened;
+  try {
+    opened = openVault(vault, vaultKey);
+  } catch (error) {
+    return res.status(400).json({
+      error: 'Vault could not be opened',
+      message: error.message
+    });
+  }
+
+  try {
+    const result = reidentifyText(text, opened.entries);
+
+    return res.status(200).json({
+      text: result.text,
+      replacements: result.replacements,
+      metadata: opened.metadata,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Re-identification error:', error);
+
+    return res.status(500).json({
+      error: 'Re-identification failed',
+      message: error.message
+    });
+  }
+}
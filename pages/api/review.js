@@ -5,12 +5,17 @@
 
 import formidable from 'formidable';
 import fs from 'fs';
-import { redactText } from '../../lib/redact';
+import { redactText, validateRedactionOptions } from '../../lib/redact';
+import { compileCustomPatterns } from '../../lib/customPatterns';
 import { flagSensitiveContent } from '../../lib/flagging';
+import { getContractType } from '../../lib/missingClauses';
+import { resolveTermPolicy } from '../../lib/numericTerms';
+import { segmentClauses, outlineClauses } from '../../lib/clauses';
 import { performFullAnalysis } from '../../lib/aiAnalyzer';
 import { extractText, validateExtractedText, cleanExtractedText } from '../../lib/pdfExtractor';
 import { generateHIPAAReport, generateHIPAAReportText, quickHIPAACheck } from '../../lib/hipaaReport';
 import { generateRedactedPDF, generateHIPAAReportPDF } from '../../lib/pdfExport';
+import { sealVault, openVault, derivePseudonymKey } from '../../lib/vault';
 
 // Disable body parser for file uploads
 export const config = {
@@ -60,15 +65,51 @@ export default async function handler(req, res) {
     const {
       redactPII = true,
       redactPHI = true,
+      redactFinancial = true,
+      redactTechnical = true,
       flagPrivilege = true,
       flagConfidentiality = true,
+      preferredJurisdictions = [],
+      contractType = 'auto',
+      termPolicy = {},
       useAI = false,
       generateHIPAA = false,
       exportPDF = false,
       documentName = 'Untitled Document',
-      customPatterns = []
+      customPatterns = [],
+      pseudonymize = false,
+      vaultKey,
+      pseudonymKey,
+      existingVault,
+      keepDateYear = false,
+      safeHarbor = false,
+      strategies = {},
+      visibleCharacters = {},
+      allowList = [],
+      denyList = [],
+      profile,
+      reviewThreshold,
+      reviewDecisions
     } = options;
 
+    if (pseudonymize && !vaultKey) {
+      return res.status(400).json({
+        error: 'Vault key required',
+        message: 'Pseudonymization requires a vaultKey to seal the re-identification mapping'
+      });
+    }
+
+    // Reject flagging options the client mistyped before reading the document
+    try {
+      getContractType(contractType);
+      resolveTermPolicy(termPolicy);
+    } catch (flagOptionError) {
+      return res.status(400).json({
+        error: 'Invalid flagging options',
+        message: flagOptionError.message
+      });
+    }
+
     let text = '';
     let extractionMetadata = null;
 
@@ -120,25 +161,80 @@ export default async function handler(req, res) {
     // Perform redaction
     console.log('Starting redaction...');
 
-    // Transform custom patterns from frontend to regex format
-    const transformedCustomPatterns = customPatterns.map(p => ({
-      type: p.type,
-      regex: new RegExp(p.regex, 'gi'),
-      priority: p.priority || 5,
-      confidence: p.confidence || 'medium'
-    }));
+    // Compile custom patterns, dry-running each against this document under a time budget
+    const { patterns: transformedCustomPatterns, errors: patternErrors } = compileCustomPatterns(customPatterns, { text });
+    if (patternErrors.length > 0) {
+      return res.status(400).json({
+        error: 'Invalid custom patterns',
+        message: patternErrors.map(e => `${e.type || `Rule ${e.index + 1}`}: ${e.message}`).join('; '),
+        errors: patternErrors
+      });
+    }
+
+    // Reject redaction options the client got wrong; anything the engine throws
+    // after this is a server error
+    try {
+      validateRedactionOptions({
+        redactPII,
+        redactPHI,
+        redactFinancial,
+        redactTechnical,
+        mode: pseudonymize ? 'pseudonymize' : 'mask',
+        safeHarbor,
+        strategies,
+        allowList,
+        denyList,
+        profile,
+        reviewThreshold
+      }, { text });
+    } catch (optionError) {
+      return res.status(400).json({
+        error: 'Invalid redaction options',
+        message: optionError.message
+      });
+    }
+
+    // Reuse mappings from an earlier vault so the whole matter stays consistent
+    let pseudonymEntries = [];
+    if (pseudonymize && existingVault) {
+      try {
+        pseudonymEntries = openVault(existingVault, vaultKey).entries;
+      } catch (vaultError) {
+        return res.status(400).json({
+          error: 'Vault could not be opened',
+          message: vaultError.message
+        });
+      }
+    }
 
     const redactionResult = redactText(text, {
       redactPII,
       redactPHI,
-      customPatterns: transformedCustomPatterns
+      redactFinancial,
+      redactTechnical,
+      customPatterns: transformedCustomPatterns,
+      mode: pseudonymize ? 'pseudonymize' : 'mask',
+      pseudonymKey: pseudonymKey || (vaultKey ? derivePseudonymKey(vaultKey) : undefined),
+      pseudonymEntries,
+      keepDateYear,
+      safeHarbor,
+      strategies,
+      visibleCharacters,
+      allowList,
+      denyList,
+      profile,
+      reviewThreshold,
+      reviewDecisions
     });
 
     // Perform flagging
     console.log('Starting flagging...');
     const flaggingResult = flagSensitiveContent(text, {
       flagPrivilege,
-      flagConfidentiality
+      flagConfidentiality,
+      preferredJurisdictions,
+      contractType,
+      termPolicy
     });
 
     // Prepare base response
@@ -146,7 +242,16 @@ export default async function handler(req, res) {
       originalText: text,
       redactedText: redactionResult.redactedText,
       redactions: redactionResult.redactions,
+      entities: redactionResult.entities,
+      allowed: redactionResult.allowed,
+      needsReview: redactionResult.needsReview,
+      profile: redactionResult.profile,
+      categories: redactionResult.categories,
       flags: flaggingResult.flags,
+      suppressedFlags: flaggingResult.suppressed,
+      contractType: flaggingResult.contractType,
+      terms: flaggingResult.terms,
+      clauses: outlineClauses(segmentClauses(text)),
       summary: {
         ...redactionResult.summary,
         flags: flaggingResult.flags.length,
@@ -158,6 +263,13 @@ export default async function handler(req, res) {
       timestamp: new Date().toISOString()
     };
 
+    // Seal the pseudonym mapping; the key itself is never returned
+    if (pseudonymize) {
+      response.vault = sealVault(redactionResult.pseudonyms, vaultKey, {
+        documentName: extractionMetadata?.filename || documentName
+      });
+    }
+
     // Perform AI analysis if requested
     if (useAI) {
       try {
@@ -6,6 +6,9 @@ import {
   BarChart3, PieChart, Files, ArrowLeft, Download, AlertCircle,
   TrendingUp, Clock, FileWarning, ChevronDown, ChevronUp
 } from 'lucide-react';
+import { listProfiles } from '../lib/profiles';
+
+const redactionProfiles = listProfiles();
 
 export default function BatchProcessing() {
   const [files, setFiles] = useState([]);
@@ -17,8 +20,11 @@ export default function BatchProcessing() {
   const [options, setOptions] = useState({
     redactPII: true,
     redactPHI: true,
+    redactFinancial: true,
+    redactTechnical: true,
     flagPrivilege: true,
-    flagConfidentiality: true
+    flagConfidentiality: true,
+    profile: ''
   });
 
   const handleFilesChange = (e) => {
@@ -154,11 +160,11 @@ export default function BatchProcessing() {
                     <p className="text-lg text-gray-600 mb-2">
                       <span className="text-purple-600 font-medium">Click to upload</span> or drag and drop
                     </p>
-                    <p className="text-sm text-gray-500">Upload up to 20 files (PDF, DOCX, TXT)</p>
+                    <p className="text-sm text-gray-500">Upload up to 20 files (PDF, DOCX, TXT, CSV, TSV)</p>
                     <input
                       type="file"
                       className="hidden"
-                      accept=".pdf,.docx,.doc,.txt"
+                      accept=".pdf,.docx,.doc,.txt,.csv,.tsv"
                       multiple
                       onChange={handleFilesChange}
                     />
@@ -206,6 +212,19 @@ export default function BatchProcessing() {
                 {/* Options */}
                 <div className="border rounded-lg p-4">
                   <h3 className="font-medium text-gray-700 mb-3">Processing Options</h3>
+                  <label className="flex items-center gap-2 text-sm mb-3">
+                    <span className="text-gray-700">Profile</span>
+                    <select
+                      value={options.profile}
+                      onChange={(e) => setOptions({ ...options, profile: e.target.value })}
+                      className="flex-1 px-2 py-1 border border-gray-300 rounded text-sm focus:ring-2 focus:ring-purple-500"
+                    >
+                      <option value="">All detectors</option>
+                      {redactionProfiles.map(profile => (
+                        <option key={profile.id} value={profile.id} title={profile.description}>{profile.label}</option>
+                      ))}
+                    </select>
+                  </label>
                   <div className="grid grid-cols-2 gap-3">
                     <label className="flex items-center gap-2 text-sm">
                       <input
@@ -225,6 +244,24 @@ export default function BatchProcessing() {
                       />
                       Redact PHI
                     </label>
+                    <label className="flex items-center gap-2 text-sm">
+                      <input
+                        type="checkbox"
+                        checked={options.redactFinancial}
+                        onChange={(e) => setOptions({ ...options, redactFinancial: e.target.checked })}
+                        className="rounded text-purple-600"
+                      />
+                      Redact Financial
+                    </label>
+                    <label className="flex items-center gap-2 text-sm">
+                      <input
+                        type="checkbox"
+                        checked={options.redactTechnical}
+                        onChange={(e) => setOptions({ ...options, redactTechnical: e.target.checked })}
+                        className="rounded text-purple-600"
+                      />
+                      Redact Technical
+                    </label>
                     <label className="flex items-center gap-2 text-sm">
                       <input
                         type="checkbox"
@@ -624,6 +661,11 @@ export default function BatchProcessing() {
                             {Object.keys(doc.summary.flagsByType).length === 0 && (
                               <span className="text-gray-400">No flags</span>
                             )}
+                            {doc.summary.flaggedClauses?.length > 0 && (
+                              <p className="text-xs text-gray-500 mt-2">
+                                In § {doc.summary.flaggedClauses.join(', ')}
+                              </p>
+                            )}
                           </div>
                           <div>
                             <h4 className="font-medium text-gray-700 mb-2">Details</h4>
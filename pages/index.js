@@ -2,6 +2,12 @@ import { useState } from 'react';
 import Head from 'next/head';
 import Link from 'next/link';
 import { Upload, FileText, Shield, AlertTriangle, CheckCircle, Loader2, X, Download, ClipboardCheck, Heart, Plus, Trash2, Eye, EyeOff, Columns, Info, MessageCircle, Send, Bot, User, Files, RefreshCw, AlertCircle } from 'lucide-react';
+import { listProfiles } from '../lib/profiles';
+import { listContractTypes } from '../lib/missingClauses';
+import { TERM_KINDS, describeTermValue } from '../lib/numericTerms';
+
+const redactionProfiles = listProfiles();
+const contractTypes = listContractTypes();
 
 export default function Home() {
   const [file, setFile] = useState(null);
@@ -12,16 +18,29 @@ export default function Home() {
   const [options, setOptions] = useState({
     redactPII: true,
     redactPHI: true,
+    redactFinancial: true,
+    redactTechnical: true,
     flagPrivilege: true,
     flagConfidentiality: true,
     useAI: false,
     generateHIPAA: false,
-    exportPDF: false
+    exportPDF: false,
+    safeHarbor: false,
+    strategies: {},
+    profile: '',
+    reviewThreshold: 'low',
+    preferredJurisdictions: [],
+    contractType: 'auto'
   });
   const [customRules, setCustomRules] = useState([]);
-  const [newRule, setNewRule] = useState({ name: '', pattern: '', type: 'PII' });
+  const emptyRule = { name: '', pattern: '', type: 'PII', flags: 'i', validator: '', minLength: '', maxLength: '' };
+  const [newRule, setNewRule] = useState(emptyRule);
   const [showCustomRules, setShowCustomRules] = useState(false);
+  const [allowListText, setAllowListText] = useState('');
+  const [denyListText, setDenyListText] = useState('');
   const [comparisonView, setComparisonView] = useState(false);
+  const [reviewDecisions, setReviewDecisions] = useState({ accept: [], reject: [] });
+  const [applyingReview, setApplyingReview] = useState(false);
   const [generatingPDF, setGeneratingPDF] = useState(false);
   const [showHIPAAInfo, setShowHIPAAInfo] = useState(false);
   const [showChat, setShowChat] = useState(false);
@@ -29,6 +48,64 @@ export default function Home() {
   const [chatInput, setChatInput] = useState('');
   const [chatLoading, setChatLoading] = useState(false);
 
+  // Types that can show only their last four characters instead of a placeholder
+  const partialMaskTypes = [
+    { type: 'CREDIT_CARD', label: 'Cards' },
+    { type: 'BANK_ACCOUNT', label: 'Accounts' },
+    { type: 'SSN', label: 'SSNs' }
+  ];
+
+  const togglePartialMask = (type, enabled) => {
+    const strategies = { ...options.strategies };
+    if (enabled) {
+      strategies[type] = 'partial';
+    } else {
+      delete strategies[type];
+    }
+    setOptions({ ...options, strategies });
+  };
+
+  // One entry per line; /pattern/flags lines are sent as regexes
+  const parseAllowList = (value) => value
+    .split('\n')
+    .map(line => line.trim())
+    .filter(Boolean)
+    .map(line => {
+      const regexLine = line.match(/^\/(.+)\/([a-z]*)$/);
+      return regexLine ? { regex: regexLine[1], flags: regexLine[2] } : line;
+    });
+
+  // Validator choices map to the API's { type, min, max, algorithm } form
+  const toValidator = (rule) => {
+    if (rule.validator === 'luhn') return 'luhn';
+    if (rule.validator === 'length') {
+      return {
+        type: 'length',
+        ...(rule.minLength !== '' && { min: Number(rule.minLength) }),
+        ...(rule.maxLength !== '' && { max: Number(rule.maxLength) })
+      };
+    }
+    if (rule.validator === 'mod97' || rule.validator === 'mod11') {
+      return { type: 'checksum', algorithm: rule.validator };
+    }
+    return undefined;
+  };
+
+  const buildCustomPatterns = () => customRules.map(rule => ({
+    type: rule.name.toUpperCase().replace(/\s+/g, '_'),
+    regex: rule.pattern,
+    flags: rule.flags,
+    validator: toValidator(rule),
+    priority: 5,
+    confidence: 'medium',
+    categories: [rule.type]
+  }));
+
+  const parseDenyList = (value) => value
+    .split('\n')
+    .map(line => line.trim())
+    .filter(Boolean);
+
   // Suggested questions for the chatbot
   const suggestedQuestions = [
     "What are the key obligations for each party?",
@@ -52,6 +129,7 @@ export default function Home() {
     setLoading(true);
     setError(null);
     setResult(null);
+    setReviewDecisions({ accept: [], reject: [] });
 
     try {
       const formData = new FormData();
@@ -66,12 +144,9 @@ export default function Home() {
 
       formData.append('options', JSON.stringify({
         ...options,
-        customPatterns: customRules.map(rule => ({
-          type: rule.name.toUpperCase().replace(/\s+/g, '_'),
-          regex: rule.pattern,
-          priority: 5,
-          confidence: 'medium'
-        }))
+        customPatterns: buildCustomPatterns(),
+        allowList: parseAllowList(allowListText),
+        denyList: parseDenyList(denyListText)
       }));
 
       const response = await fetch('/api/review', {
@@ -101,16 +176,65 @@ export default function Home() {
   const addCustomRule = () => {
     if (newRule.name && newRule.pattern) {
       try {
-        // Validate regex
-        new RegExp(newRule.pattern, 'gi');
+        // Validate regex; the server also rejects patterns that could backtrack catastrophically
+        new RegExp(newRule.pattern, newRule.flags.replace(/g/g, '') + 'g');
         setCustomRules([...customRules, { ...newRule, id: Date.now() }]);
-        setNewRule({ name: '', pattern: '', type: 'PII' });
+        setNewRule(emptyRule);
       } catch (e) {
         setError('Invalid regex pattern: ' + e.message);
       }
     }
   };
 
+  // Record a reviewer's call on a held match; choosing the same call again clears it
+  const decideReview = (key, decision) => {
+    const other = decision === 'accept' ? 'reject' : 'accept';
+    const chosen = reviewDecisions[decision].includes(key);
+    setReviewDecisions({
+      [decision]: chosen
+        ? reviewDecisions[decision].filter(k => k !== key)
+        : [...reviewDecisions[decision], key],
+      [other]: reviewDecisions[other].filter(k => k !== key)
+    });
+  };
+
+  // Re-run the review with the reviewer's decisions so text and PDF reflect them
+  const applyReviewDecisions = async () => {
+    if (!result) return;
+
+    setApplyingReview(true);
+    setError(null);
+
+    try {
+      const formData = new FormData();
+      formData.append('text', result.originalText);
+      formData.append('options', JSON.stringify({
+        ...options,
+        reviewDecisions,
+        customPatterns: buildCustomPatterns(),
+        allowList: parseAllowList(allowListText),
+        denyList: parseDenyList(denyListText)
+      }));
+
+      const response = await fetch('/api/review', {
+        method: 'POST',
+        body: formData
+      });
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.message || 'Processing failed');
+      }
+
+      setResult(data);
+    } catch (err) {
+      setError('Applying review decisions failed: ' + err.message);
+    } finally {
+      setApplyingReview(false);
+    }
+  };
+
   const removeCustomRule = (id) => {
     setCustomRules(customRules.filter(rule => rule.id !== id));
   };
@@ -140,12 +264,10 @@ export default function Home() {
         ...options,
         exportPDF: true,
         documentName: docName,
-        customPatterns: customRules.map(rule => ({
-          type: rule.name.toUpperCase().replace(/\s+/g, '_'),
-          regex: rule.pattern,
-          priority: 5,
-          confidence: 'medium'
-        }))
+        reviewDecisions,
+        customPatterns: buildCustomPatterns(),
+        allowList: parseAllowList(allowListText),
+        denyList: parseDenyList(denyListText)
       }));
 
       const response = await fetch('/api/review', {
@@ -172,6 +294,39 @@ export default function Home() {
     }
   };
 
+  // Clause citation with its heading, e.g. "Article II, 2.2(a) — Payment"
+  const describeClause = (clause) => (
+    clause.heading ? `${clause.path} — ${clause.heading}` : clause.path
+  );
+
+  // Hover text answering "why was this redacted?"
+  const describeExplanation = (redaction) => {
+    const explanation = redaction.explanation;
+    if (!explanation) return redaction.type;
+
+    const lines = [`Rule: ${explanation.rule} (${explanation.source})`];
+    lines.push(explanation.value === 'group' ? `Value: captured group ${explanation.group}` : 'Value: full match');
+    if (explanation.validator) {
+      lines.push(`Validator: ${explanation.validator.name} ${explanation.validator.passed ? 'passed' : 'failed'}`);
+    }
+    if (explanation.checksum) {
+      lines.push(`Checksum: ${explanation.checksum.name} ${explanation.checksum.passed ? 'passed' : 'failed (confidence lowered)'}`);
+    }
+    if (explanation.context) {
+      const words = [
+        ...explanation.context.positive.map(word => `+${word}`),
+        ...explanation.context.negative.map(word => `-${word}`)
+      ];
+      if (words.length > 0) lines.push(`Context: ${words.join(', ')}`);
+    }
+    if (explanation.term) lines.push(`Deny-list term: ${explanation.term}`);
+    for (const merged of explanation.merged || []) {
+      lines.push(`Absorbed ${merged.type} (${merged.rule}) at ${merged.start}-${merged.end}, ${merged.reason}`);
+    }
+    if (redaction.clause) lines.push(`Clause: ${describeClause(redaction.clause)}`);
+    return lines.join('\n');
+  };
+
   const getSeverityColor = (severity) => {
     switch (severity?.toLowerCase()) {
       case 'high': return 'text-red-600 bg-red-50 border-red-200';
@@ -460,11 +615,11 @@ export default function Home() {
                       <p className="text-sm text-gray-600">
                         <span className="text-blue-600 font-medium">Click to upload</span> or drag and drop
                       </p>
-                      <p className="text-xs text-gray-500 mt-1">PDF, DOCX, or TXT (max 10MB)</p>
+                      <p className="text-xs text-gray-500 mt-1">PDF, DOCX, TXT, CSV or TSV (max 10MB)</p>
                       <input
                         type="file"
                         className="hidden"
-                        accept=".pdf,.docx,.doc,.txt"
+                        accept=".pdf,.docx,.doc,.txt,.csv,.tsv"
                         onChange={handleFileChange}
                       />
                     </label>
@@ -495,6 +650,60 @@ export default function Home() {
                 {/* Options */}
                 <div className="border rounded-lg p-4 space-y-3">
                   <h3 className="font-medium text-gray-700">Processing Options</h3>
+                  <label className="flex items-center gap-2 text-sm">
+                    <span className="text-gray-700">Profile</span>
+                    <select
+                      value={options.profile}
+                      onChange={(e) => setOptions({ ...options, profile: e.target.value })}
+                      className="flex-1 px-2 py-1 border border-gray-300 rounded text-sm focus:ring-2 focus:ring-blue-500"
+                    >
+                      <option value="">All detectors</option>
+                      {redactionProfiles.map(profile => (
+                        <option key={profile.id} value={profile.id} title={profile.description}>{profile.label}</option>
+                      ))}
+                    </select>
+                  </label>
+                  <label className="flex items-center gap-2 text-sm">
+                    <span className="text-gray-700">Hold for review</span>
+                    <select
+                      value={options.reviewThreshold}
+                      onChange={(e) => setOptions({ ...options, reviewThreshold: e.target.value })}
+                      className="flex-1 px-2 py-1 border border-gray-300 rounded text-sm focus:ring-2 focus:ring-blue-500"
+                    >
+                      <option value="low">Nothing - apply every match</option>
+                      <option value="medium">Low-confidence matches</option>
+                      <option value="high">Low and medium-confidence matches</option>
+                    </select>
+                  </label>
+                  <label className="flex items-center gap-2 text-sm">
+                    <span className="text-gray-700">Contract type</span>
+                    <select
+                      value={options.contractType}
+                      onChange={(e) => setOptions({ ...options, contractType: e.target.value })}
+                      title="Picks the checklist of clauses the contract should contain"
+                      className="flex-1 px-2 py-1 border border-gray-300 rounded text-sm focus:ring-2 focus:ring-blue-500"
+                    >
+                      <option value="auto">Detect from title</option>
+                      {contractTypes.map(type => (
+                        <option key={type.id} value={type.id}>{type.label}</option>
+                      ))}
+                      <option value="">Skip missing-clause check</option>
+                    </select>
+                  </label>
+                  <label className="flex items-center gap-2 text-sm">
+                    <span className="text-gray-700">Preferred law</span>
+                    <input
+                      type="text"
+                      value={options.preferredJurisdictions.join(', ')}
+                      onChange={(e) => setOptions({
+                        ...options,
+                        preferredJurisdictions: e.target.value.split(',').map(name => name.trim()).filter(Boolean)
+                      })}
+                      placeholder="e.g. New York, Delaware"
+                      title="Governing-law and venue clauses naming other jurisdictions are flagged"
+                      className="flex-1 px-2 py-1 border border-gray-300 rounded text-sm focus:ring-2 focus:ring-blue-500"
+                    />
+                  </label>
                   <div className="grid grid-cols-2 gap-3">
                     <label className="flex items-center gap-2 text-sm">
                       <input
@@ -514,6 +723,24 @@ export default function Home() {
                       />
                       Redact PHI
                     </label>
+                    <label className="flex items-center gap-2 text-sm">
+                      <input
+                        type="checkbox"
+                        checked={options.redactFinancial}
+                        onChange={(e) => setOptions({ ...options, redactFinancial: e.target.checked })}
+                        className="rounded text-blue-600"
+                      />
+                      Redact Financial
+                    </label>
+                    <label className="flex items-center gap-2 text-sm">
+                      <input
+                        type="checkbox"
+                        checked={options.redactTechnical}
+                        onChange={(e) => setOptions({ ...options, redactTechnical: e.target.checked })}
+                        className="rounded text-blue-600"
+                      />
+                      Redact Technical
+                    </label>
                     <label className="flex items-center gap-2 text-sm">
                       <input
                         type="checkbox"
@@ -532,6 +759,29 @@ export default function Home() {
                       />
                       Flag Confidentiality
                     </label>
+                    <label className="flex items-center gap-2 text-sm">
+                      <input
+                        type="checkbox"
+                        checked={options.safeHarbor}
+                        onChange={(e) => setOptions({ ...options, safeHarbor: e.target.checked })}
+                        className="rounded text-blue-600"
+                      />
+                      Safe Harbor Generalization
+                    </label>
+                  </div>
+                  <div className="flex flex-wrap items-center gap-3 text-sm border-t pt-3">
+                    <span className="text-gray-700">Show last 4 of:</span>
+                    {partialMaskTypes.map(({ type, label }) => (
+                      <label key={type} className="flex items-center gap-2">
+                        <input
+                          type="checkbox"
+                          checked={options.strategies[type] === 'partial'}
+                          onChange={(e) => togglePartialMask(type, e.target.checked)}
+                          className="rounded text-blue-600"
+                        />
+                        {label}
+                      </label>
+                    ))}
                   </div>
                   <label className="flex items-center gap-2 text-sm border-t pt-3">
                     <input
@@ -588,6 +838,47 @@ export default function Home() {
                           onChange={(e) => setNewRule({ ...newRule, pattern: e.target.value })}
                           className="w-full px-3 py-2 border border-gray-300 rounded text-sm font-mono focus:ring-2 focus:ring-blue-500 focus:border-transparent"
                         />
+                        <div className="flex gap-2">
+                          <input
+                            type="text"
+                            placeholder="Flags"
+                            title="Regex flags: i (ignore case), m (multiline), s (dot matches newline), u (unicode)"
+                            value={newRule.flags}
+                            onChange={(e) => setNewRule({ ...newRule, flags: e.target.value.trim() })}
+                            className="w-20 px-3 py-2 border border-gray-300 rounded text-sm font-mono focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                          />
+                          <select
+                            value={newRule.validator}
+                            onChange={(e) => setNewRule({ ...newRule, validator: e.target.value })}
+                            className="flex-1 px-3 py-2 border border-gray-300 rounded text-sm focus:ring-2 focus:ring-blue-500"
+                          >
+                            <option value="">No validator</option>
+                            <option value="luhn">Luhn check digit</option>
+                            <option value="length">Length range</option>
+                            <option value="mod97">Checksum (mod 97)</option>
+                            <option value="mod11">Checksum (mod 11)</option>
+                          </select>
+                        </div>
+                        {newRule.validator === 'length' && (
+                          <div className="flex gap-2">
+                            <input
+                              type="number"
+                              min="0"
+                              placeholder="Min length"
+                              value={newRule.minLength}
+                              onChange={(e) => setNewRule({ ...newRule, minLength: e.target.value })}
+                              className="flex-1 px-3 py-2 border border-gray-300 rounded text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                            />
+                            <input
+                              type="number"
+                              min="0"
+                              placeholder="Max length"
+                              value={newRule.maxLength}
+                              onChange={(e) => setNewRule({ ...newRule, maxLength: e.target.value })}
+                              className="flex-1 px-3 py-2 border border-gray-300 rounded text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                            />
+                          </div>
+                        )}
                         <div className="flex gap-2">
                           <select
                             value={newRule.type}
@@ -617,7 +908,10 @@ export default function Home() {
                             <div key={rule.id} className="flex items-center justify-between p-2 bg-gray-50 rounded text-sm">
                               <div className="flex-1">
                                 <span className="font-medium">{rule.name}</span>
-                                <span className="text-gray-500 ml-2 font-mono text-xs">{rule.pattern}</span>
+                                <span className="text-gray-500 ml-2 font-mono text-xs">/{rule.pattern}/{rule.flags}</span>
+                                {rule.validator && (
+                                  <span className="text-gray-400 ml-2 text-xs">{rule.validator} check</span>
+                                )}
                               </div>
                               <div className="flex items-center gap-2">
                                 <span className="text-xs bg-gray-200 px-2 py-0.5 rounded">{rule.type}</span>
@@ -637,6 +931,29 @@ export default function Home() {
                       <p className="text-xs text-gray-500">
                         Add custom patterns to redact specific information unique to your organization.
                       </p>
+
+                      <div className="grid grid-cols-2 gap-2 border-t pt-3">
+                        <label className="text-xs text-gray-600">
+                          Never redact (one per line, /regex/ allowed)
+                          <textarea
+                            rows={3}
+                            value={allowListText}
+                            onChange={(e) => setAllowListText(e.target.value)}
+                            placeholder="info@acme.com"
+                            className="mt-1 w-full px-2 py-1 border border-gray-300 rounded text-sm font-mono focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                          />
+                        </label>
+                        <label className="text-xs text-gray-600">
+                          Always redact (one term per line)
+                          <textarea
+                            rows={3}
+                            value={denyListText}
+                            onChange={(e) => setDenyListText(e.target.value)}
+                            placeholder="Project Falcon"
+                            className="mt-1 w-full px-2 py-1 border border-gray-300 rounded text-sm font-mono focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                          />
+                        </label>
+                      </div>
                     </div>
                   )}
                 </div>
@@ -683,7 +1000,10 @@ export default function Home() {
                   <div className="grid grid-cols-3 gap-4 text-center">
                     <div className="p-3 bg-blue-50 rounded-lg">
                       <div className="text-2xl font-bold text-blue-600">{result.summary?.totalRedactions || 0}</div>
-                      <div className="text-xs text-gray-600">Redactions</div>
+                      <div className="text-xs text-gray-600">
+                        Redactions
+                        {result.summary?.totalEntities !== undefined && ` (${result.summary.totalEntities} unique)`}
+                      </div>
                     </div>
                     <div className="p-3 bg-yellow-50 rounded-lg">
                       <div className="text-2xl font-bold text-yellow-600">{result.summary?.flags || 0}</div>
@@ -783,6 +1103,19 @@ export default function Home() {
                           {result.redactedText || 'No text to display'}
                         </div>
                       </div>
+                      {result.redactions?.some(r => r.strategy === 'partial') && (
+                        <div className="col-span-2">
+                          <h3 className="text-sm font-medium text-gray-600 mb-2">Partially Masked Values</h3>
+                          <div className="space-y-1 text-sm font-mono">
+                            {result.redactions.filter(r => r.strategy === 'partial').map((redaction, index) => (
+                              <div key={index} className="grid grid-cols-2 gap-4">
+                                <span className="text-red-700">{redaction.original}</span>
+                                <span className="text-green-700">{redaction.replacement}</span>
+                              </div>
+                            ))}
+                          </div>
+                        </div>
+                      )}
                     </div>
                   ) : (
                     <div className="max-h-64 overflow-y-auto p-4 bg-gray-50 rounded-lg text-sm font-mono whitespace-pre-wrap">
@@ -795,11 +1128,102 @@ export default function Home() {
                 {result.redactions?.length > 0 && (
                   <div className="bg-white rounded-lg shadow p-6">
                     <h2 className="text-lg font-semibold mb-4">Redactions ({result.redactions.length})</h2>
+                    {result.categories?.length > 0 && (
+                      <p className="text-xs text-gray-500 mb-2">
+                        Categories: {result.categories.join(', ')}
+                      </p>
+                    )}
                     <div className="space-y-2 max-h-48 overflow-y-auto">
                       {result.redactions.map((redaction, index) => (
+                        <div
+                          key={index}
+                          title={describeExplanation(redaction)}
+                          className="flex items-center justify-between p-2 bg-gray-50 rounded text-sm cursor-help"
+                        >
+                          <span className="font-medium text-blue-600">[{redaction.id || redaction.type}]</span>
+                          <span className="text-gray-500 truncate max-w-xs">
+                            {redaction.original}
+                            {redaction.strategy === 'partial' && ` → ${redaction.replacement}`}
+                          </span>
+                          {redaction.parent && (
+                            <span className="text-xs text-gray-400">in {redaction.parent.id}</span>
+                          )}
+                          {redaction.field && (
+                            <span className="text-xs text-gray-400">{redaction.field} field</span>
+                          )}
+                          {redaction.clause && (
+                            <span className="text-xs text-gray-400">§ {redaction.clause.path}</span>
+                          )}
+                          {redaction.list === 'deny' && (
+                            <span className="text-xs bg-red-100 text-red-700 px-2 py-0.5 rounded">deny-list</span>
+                          )}
+                        </div>
+                      ))}
+                    </div>
+                  </div>
+                )}
+
+                {/* Matches held below the review threshold */}
+                {result.needsReview?.length > 0 && (
+                  <div className="bg-white rounded-lg shadow p-6">
+                    <div className="flex items-center justify-between mb-4">
+                      <h2 className="text-lg font-semibold">Needs Review ({result.needsReview.length})</h2>
+                      <button
+                        type="button"
+                        onClick={applyReviewDecisions}
+                        disabled={applyingReview || (reviewDecisions.accept.length === 0 && reviewDecisions.reject.length === 0)}
+                        className="px-3 py-1.5 bg-blue-600 text-white rounded text-sm hover:bg-blue-700 disabled:bg-gray-400 disabled:cursor-not-allowed flex items-center gap-1"
+                      >
+                        {applyingReview ? <Loader2 className="h-4 w-4 animate-spin" /> : <RefreshCw className="h-4 w-4" />}
+                        Apply Decisions
+                      </button>
+                    </div>
+                    <div className="space-y-2 max-h-64 overflow-y-auto">
+                      {result.needsReview.map(item => {
+                        const accepted = reviewDecisions.accept.includes(item.key);
+                        const rejected = reviewDecisions.reject.includes(item.key);
+                        return (
+                          <div key={item.key} className="flex items-center justify-between gap-3 p-2 bg-yellow-50 border border-yellow-200 rounded text-sm">
+                            <div className="flex-1 min-w-0">
+                              <span className="font-medium text-yellow-800">{item.type}</span>
+                              <span className="text-xs text-gray-500 ml-2">{item.confidence} confidence</span>
+                              <p className="text-gray-600 truncate font-mono text-xs mt-1">
+                                …{item.context.before}<mark className="bg-yellow-200">{item.original}</mark>{item.context.after}…
+                              </p>
+                            </div>
+                            <div className="flex gap-1">
+                              <button
+                                type="button"
+                                onClick={() => decideReview(item.key, 'accept')}
+                                className={`px-2 py-1 rounded text-xs border ${accepted ? 'bg-red-600 text-white border-red-600' : 'border-red-300 text-red-700 hover:bg-red-50'}`}
+                              >
+                                Redact
+                              </button>
+                              <button
+                                type="button"
+                                onClick={() => decideReview(item.key, 'reject')}
+                                className={`px-2 py-1 rounded text-xs border ${rejected ? 'bg-green-600 text-white border-green-600' : 'border-green-300 text-green-700 hover:bg-green-50'}`}
+                              >
+                                Keep
+                              </button>
+                            </div>
+                          </div>
+                        );
+                      })}
+                    </div>
+                  </div>
+                )}
+
+                {/* Values spared by the allow-list */}
+                {result.allowed?.length > 0 && (
+                  <div className="bg-white rounded-lg shadow p-6">
+                    <h2 className="text-lg font-semibold mb-4">Allowed ({result.allowed.length})</h2>
+                    <div className="space-y-2 max-h-48 overflow-y-auto">
+                      {result.allowed.map((item, index) => (
                         <div key={index} className="flex items-center justify-between p-2 bg-gray-50 rounded text-sm">
-                          <span className="font-medium text-blue-600">[{redaction.type}]</span>
-                          <span className="text-gray-500 truncate max-w-xs">{redaction.original}</span>
+                          <span className="font-medium text-green-600">{item.type}</span>
+                          <span className="text-gray-500 truncate max-w-xs">{item.original}</span>
+                          <span className="text-xs bg-green-100 text-green-700 px-2 py-0.5 rounded font-mono">{item.listRule}</span>
                         </div>
                       ))}
                     </div>
@@ -812,18 +1236,68 @@ export default function Home() {
                     <h2 className="text-lg font-semibold mb-4 flex items-center gap-2">
                       <AlertTriangle className="h-5 w-5 text-yellow-600" />
                       Flags ({result.flags.length})
+                      {result.contractType && (
+                        <span className="text-xs font-normal text-gray-500">
+                          {result.contractType.label}{result.contractType.detected && ' (detected)'}
+                        </span>
+                      )}
                     </h2>
                     <div className="space-y-2 max-h-48 overflow-y-auto">
                       {result.flags.map((flag, index) => (
                         <div key={index} className={`p-3 rounded-lg border ${getSeverityColor(flag.severity)}`}>
                           <div className="flex items-center justify-between">
                             <span className="font-medium">{flag.type}</span>
-                            <span className="text-xs uppercase">{flag.severity}</span>
+                            <span className="text-xs uppercase">
+                              {flag.severity}
+                              {flag.qualifier?.originalSeverity && ` (was ${flag.qualifier.originalSeverity})`}
+                            </span>
                           </div>
                           <p className="text-sm mt-1 opacity-80">{flag.reason || flag.description || flag.match}</p>
+                          {flag.explanation && (
+                            <p className="text-xs mt-1 opacity-80">{flag.explanation}</p>
+                          )}
+                          {flag.fallback && (
+                            <p className="text-xs mt-1"><span className="font-medium">Fallback:</span> {flag.fallback}</p>
+                          )}
+                          {flag.recommendation && (
+                            <p className="text-xs mt-1"><span className="font-medium">Recommended clause:</span> {flag.recommendation}</p>
+                          )}
+                          {flag.clause && (
+                            <p className="text-xs mt-1 opacity-70">§ {describeClause(flag.clause)}</p>
+                          )}
                         </div>
                       ))}
                     </div>
+                    {result.suppressedFlags?.length > 0 && (
+                      <details className="mt-3 text-sm text-gray-600">
+                        <summary className="cursor-pointer">
+                          {result.suppressedFlags.length} suppressed as negated
+                        </summary>
+                        <div className="space-y-1 mt-2">
+                          {result.suppressedFlags.map((flag, index) => (
+                            <div key={index} className="p-2 bg-gray-50 rounded" title={flag.reason}>
+                              <span className="font-medium">{flag.type}</span>
+                              <span className="text-xs text-gray-500 ml-2">"{flag.qualifier.cue}": {flag.excerpt}</span>
+                            </div>
+                          ))}
+                        </div>
+                      </details>
+                    )}
+                    {result.terms?.length > 0 && (
+                      <details className="mt-3 text-sm text-gray-600">
+                        <summary className="cursor-pointer">
+                          {result.terms.length} key terms
+                        </summary>
+                        <div className="space-y-1 mt-2">
+                          {result.terms.map((term, index) => (
+                            <div key={index} className="p-2 bg-gray-50 rounded" title={term.text}>
+                              <span className="font-medium">{TERM_KINDS[term.kind].label}</span>
+                              <span className="text-xs text-gray-500 ml-2">{describeTermValue(term.value, term.unit)}</span>
+                            </div>
+                          ))}
+                        </div>
+                      </details>
+                    )}
                   </div>
                 )}
 
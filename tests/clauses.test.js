@@ -0,0 +1,144 @@
+/**
+ * Tests for clause segmentation
+ */
+
+import { segmentClauses, findClause, clauseAt, outlineClauses, formatClause } from '../lib/clauses';
+import { redactText } from '../lib/redact';
+import { flagSensitiveContent } from '../lib/flagging';
+
+const CONTRACT = `MASTER SERVICES AGREEMENT
+This Agreement is entered into by Acme Corp and Vendor LLC.
+
+ARTICLE I - DEFINITIONS
+1. Definitions
+1.1 "Services" means the work described in Exhibit A.
+1.2 "Confidential Information" means non-public information.
+
+ARTICLE II - PAYMENT
+2. Payment
+2.1 Invoices. Vendor shall invoice monthly.
+2.2 Late Payment. Customer shall pay within 30 days, except:
+(a) disputed amounts, which shall be:
+(i) notified by email to billing@acme.com;
+(ii) resolved within 10 days;
+(b) amounts withheld under Section 4 of this Agreement.
+
+Section 4(b) Indemnification. Vendor shall indemnify Customer.
+`;
+
+describe('Clause Tree', () => {
+  const segmentation = segmentClauses(CONTRACT);
+
+  test('nests articles, numbers, letters and romans', () => {
+    const outline = segmentation.flat.map(node => `${node.citation}|${node.parent === null ? '-' : segmentation.flat[node.parent].label}`);
+
+    expect(outline).toEqual([
+      'Article I|-',
+      'Article I, 1|Article I',
+      'Article I, 1.1|1',
+      'Article I, 1.2|1',
+      'Article II|-',
+      'Article II, 2|Article II',
+      'Article II, 2.1|2',
+      'Article II, 2.2|2',
+      'Article II, 2.2(a)|2.2',
+      'Article II, 2.2(a)(i)|(a)',
+      'Article II, 2.2(a)(ii)|(a)',
+      'Article II, 2.2(b)|2.2',
+      'Article II, 4(b)|Article II'
+    ]);
+    expect(segmentation.clauses.map(node => node.label)).toEqual(['Article I', 'Article II']);
+  });
+
+  test('reads headings from captions and run-in titles', () => {
+    const headings = Object.fromEntries(segmentation.flat.map(node => [node.citation, node.heading]));
+
+    expect(headings['Article I']).toBe('DEFINITIONS');
+    expect(headings['Article II, 2']).toBe('Payment');
+    expect(headings['Article II, 2.1']).toBe('Invoices');
+    expect(headings['Article II, 2.2']).toBe('Late Payment');
+    expect(headings['Article II, 4(b)']).toBe('Indemnification');
+  });
+
+  test('leaves sentences and lettered clauses untitled', () => {
+    const headings = Object.fromEntries(segmentation.flat.map(node => [node.citation, node.heading]));
+
+    expect(headings['Article I, 1.1']).toBeNull();
+    expect(headings['Article II, 2.2(a)']).toBeNull();
+  });
+
+  test('does not treat a line-initial cross-reference as a heading', () => {
+    const text = '3. Term\nThe term is set out in\nSection 4 of this Agreement and\n10.5 million units apply.';
+    const { flat } = segmentClauses(text);
+
+    expect(flat.map(node => node.label)).toEqual(['3']);
+  });
+
+  test('a bare number needs a full stop to be a heading', () => {
+    const { flat } = segmentClauses('Pay\n30 days after receipt.\n4. Notices');
+    expect(flat.map(node => node.label)).toEqual(['4']);
+  });
+
+  test('a letter after (h) continues the list instead of starting romans', () => {
+    const letters = 'abcdefghi'.split('').map(letter => `(${letter}) item`).join('\n');
+    const { flat } = segmentClauses(`5. Covenants\n${letters}`);
+
+    expect(flat[flat.length - 1].citation).toBe('5(i)');
+    expect(flat[flat.length - 1].kind).toBe('letter');
+  });
+});
+
+describe('Clause Lookup', () => {
+  const segmentation = segmentClauses(CONTRACT);
+
+  test('finds the deepest clause around a position', () => {
+    const position = CONTRACT.indexOf('billing@acme.com');
+    expect(findClause(segmentation, position).citation).toBe('Article II, 2.2(a)(i)');
+  });
+
+  test('annotates with labels and the nearest heading', () => {
+    const clause = clauseAt(segmentation, CONTRACT.indexOf('billing@acme.com'));
+
+    expect(clause).toEqual({
+      path: 'Article II, 2.2(a)(i)',
+      labels: ['Article II', '2', '2.2', '(a)', '(i)'],
+      heading: 'Late Payment'
+    });
+    expect(formatClause(clause)).toBe('Article II, 2.2(a)(i) (Late Payment)');
+  });
+
+  test('text before the first heading has no clause', () => {
+    expect(clauseAt(segmentation, CONTRACT.indexOf('Acme Corp'))).toBeNull();
+  });
+
+  test('outline keeps the tree without bookkeeping fields', () => {
+    const [first] = outlineClauses(segmentation);
+
+    expect(first.label).toBe('Article I');
+    expect(first.children[0].children.map(node => node.citation)).toEqual(['Article I, 1.1', 'Article I, 1.2']);
+    expect(first.parent).toBeUndefined();
+  });
+
+  test('handles empty input', () => {
+    expect(segmentClauses('')).toEqual({ clauses: [], flat: [] });
+    expect(clauseAt(segmentClauses(''), 0)).toBeNull();
+  });
+});
+
+describe('Clause Annotations', () => {
+  test('redactions cite their clause', () => {
+    const result = redactText(CONTRACT);
+    const email = result.redactions.find(r => r.type === 'EMAIL');
+
+    expect(email.clause.path).toBe('Article II, 2.2(a)(i)');
+    expect(email.clause.heading).toBe('Late Payment');
+  });
+
+  test('flags cite their clause', () => {
+    const result = flagSensitiveContent(CONTRACT);
+    const indemnity = result.flags.find(f => f.type === 'INDEMNIFICATION');
+
+    expect(indemnity.clause.path).toBe('Article II, 4(b)');
+    expect(indemnity.clause.heading).toBe('Indemnification');
+  });
+});
@@ -0,0 +1,151 @@
+/**
+ * Test suite for custom pattern compilation and safety checks
+ */
+
+import { compileCustomPatterns, findNestedQuantifier } from '../lib/customPatterns';
+import { redactText } from '../lib/redact';
+
+describe('Custom Pattern Safety', () => {
+
+  describe('Compilation', () => {
+    test('should compile valid rules case-insensitively by default', () => {
+      const { patterns, errors } = compileCustomPatterns([{ type: 'EMPLOYEE_ID', regex: 'EMP-\\d{5}' }]);
+
+      expect(errors).toEqual([]);
+      expect(patterns[0].regex.flags).toBe('gi');
+      expect(patterns[0].priority).toBe(5);
+      expect(patterns[0].confidence).toBe('medium');
+    });
+
+    test('should honor the flags a rule asks for', () => {
+      const { patterns } = compileCustomPatterns([{ type: 'CODE', regex: 'ABC-\\d+', flags: 'm' }]);
+      const result = redactText('ABC-12 and abc-34', { customPatterns: patterns });
+
+      expect(patterns[0].regex.flags).toBe('gm');
+      expect(result.redactions.map(r => r.original)).toEqual(['ABC-12']);
+    });
+
+    test('should report each broken rule without stopping at the first', () => {
+      const { patterns, errors } = compileCustomPatterns([
+        { type: 'GOOD', regex: 'G-\\d+' },
+        { type: 'BROKEN', regex: 'EMP-(\\d{5}' },
+        { type: 'STICKY', regex: 'X', flags: 'y' },
+        { regex: 'Y' }
+      ]);
+
+      expect(patterns).toHaveLength(1);
+      expect(errors.map(e => e.index)).toEqual([1, 2, 3]);
+      expect(errors[0]).toMatchObject({ type: 'BROKEN' });
+      expect(errors[0].message).toMatch(/Invalid regular expression/);
+      expect(errors[1].message).toBe('Unsupported flag "y"; use any of g, i, m, s, u');
+      expect(errors[2].message).toBe('Rule type is required');
+    });
+
+    test('should reject a non-array rule list', () => {
+      expect(compileCustomPatterns('EMP-\\d+').errors[0].message).toBe('customPatterns must be an array');
+    });
+  });
+
+  describe('Backtracking detection', () => {
+    test.each([
+      ['(a+)+$', '(a+)+'],
+      ['^(\\w+\\s?)*$', '(\\w+\\s?)*'],
+      ['(?:\\d+-?)+X', '(?:\\d+-?)+'],
+      ['((ab)*c)+', '((ab)*c)+']
+    ])('should flag %s', (source, fragment) => {
+      expect(findNestedQuantifier(source)).toBe(fragment);
+    });
+
+    test.each([
+      'EMP-\\d{5}',
+      '(\\d{1,3}\\.){3}\\d{1,3}',
+      '[(+)]+\\d+',
+      '(?:Mr|Ms)\\.?\\s+[A-Z][a-z]+',
+      '\\(\\d+\\)+'
+    ])('should accept %s', (source) => {
+      expect(findNestedQuantifier(source)).toBeNull();
+    });
+
+    test('should refuse to compile a nested quantifier', () => {
+      const { errors } = compileCustomPatterns([{ type: 'BAD', regex: '(a+)+$' }]);
+
+      expect(errors[0].message).toBe('Nested quantifier "(a+)+" can backtrack catastrophically; make the inner repeat bounded');
+    });
+
+    test('should stop a rule that exceeds its time budget on the document', () => {
+      // Polynomial backtracking the static check cannot see: each start position rescans the run
+      const rule = { type: 'SLOW', regex: '\\d*\\d*\\d*\\d*x' };
+      const { errors } = compileCustomPatterns([rule], { text: '1'.repeat(3000), timeBudget: 50 });
+
+      expect(errors[0].message).toBe('Pattern took longer than 50ms to scan this document');
+    });
+
+    test('should pass a fast rule under the time budget', () => {
+      const { errors } = compileCustomPatterns([{ type: 'FAST', regex: 'EMP-\\d{5}' }], { text: 'x'.repeat(100000) });
+
+      expect(errors).toEqual([]);
+    });
+  });
+
+  describe('Validators', () => {
+    const scan = (rule, text) => {
+      const { patterns, errors } = compileCustomPatterns([rule]);
+      expect(errors).toEqual([]);
+      return redactText(text, { customPatterns: patterns, types: [] }).redactions.map(r => r.original);
+    };
+
+    test('should keep only Luhn-valid numbers', () => {
+      const found = scan({ type: 'LOYALTY', regex: 'LC-[\\d-]+', validator: 'luhn' }, 'LC-7992-7398-713 and LC-7992-7398-714');
+
+      expect(found).toEqual(['LC-7992-7398-713']);
+    });
+
+    test('should enforce a length range on alphanumerics', () => {
+      const rule = { type: 'TICKET', regex: 'T-[A-Z0-9]+', validator: { type: 'length', min: 6, max: 8 } };
+
+      expect(scan(rule, 'T-1234 T-12345 T-12345678')).toEqual(['T-12345']);
+    });
+
+    test('should check mod-97 checksums such as LEI codes', () => {
+      const rule = { type: 'LEI', regex: '\\b[A-Z0-9]{18}\\d{2}\\b', flags: '', validator: { type: 'checksum', algorithm: 'mod97' } };
+
+      expect(scan(rule, 'LEI 5493001KJTIIGC8Y1R12 vs 5493001KJTIIGC8Y1R13')).toEqual(['5493001KJTIIGC8Y1R12']);
+    });
+
+    test('should check mod-11 check digits', () => {
+      const rule = { type: 'ISBN', regex: '\\b\\d{9}[\\dX]\\b', validator: { type: 'checksum', algorithm: 'mod11' } };
+
+      expect(scan(rule, 'ISBN 0306406152 or 0306406153')).toEqual(['0306406152']);
+    });
+
+    test('should name the rule and validator in the explanation', () => {
+      const { patterns } = compileCustomPatterns([
+        { type: 'TICKET', regex: 'T-\\d+' },
+        { type: 'LOYALTY', regex: 'LC-([\\d-]+)', validator: 'luhn' }
+      ]);
+      const result = redactText('LC-7992-7398-713', { customPatterns: patterns, types: [] });
+
+      expect(result.redactions[0].explanation).toMatchObject({
+        rule: 'custom/2',
+        source: 'custom',
+        validator: { name: 'luhn', passed: true }
+      });
+    });
+
+    test('should reject unknown or incomplete validators', () => {
+      const { errors } = compileCustomPatterns([
+        { type: 'A', regex: 'A', validator: 'verhoeff' },
+        { type: 'B', regex: 'B', validator: { type: 'length' } },
+        { type: 'C', regex: 'C', validator: { type: 'length', min: 9, max: 3 } },
+        { type: 'D', regex: 'D', validator: { type: 'checksum', algorithm: 'crc32' } }
+      ]);
+
+      expect(errors.map(e => e.message)).toEqual([
+        'Unknown validator "verhoeff"; use one of luhn, length, checksum',
+        'Length validator needs a min or a max',
+        'Length validator needs whole-number min/max with min <= max',
+        'Unknown checksum algorithm "crc32"; use one of mod11, mod97'
+      ]);
+    });
+  });
+});
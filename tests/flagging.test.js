@@ -2,7 +2,7 @@
  * Test suite for flagging functionality
  */
 
-import { flagSensitiveContent } from '../lib/flagging';
+import { flagSensitiveContent, RISKY_CLAUSES } from '../lib/flagging';
 
 describe('Flagging Engine', () => {
 
@@ -70,6 +70,181 @@ describe('Flagging Engine', () => {
     });
   });
 
+  describe('Risky Clause Library', () => {
+    const categoriesOf = input => flagSensitiveContent(input).flags.map(f => f.category).filter(Boolean);
+    const flagFor = (input, category, options) =>
+      flagSensitiveContent(input, options).flags.find(f => f.category === category);
+
+    test('every entry has a severity, explanation and fallback', () => {
+      for (const entry of RISKY_CLAUSES) {
+        expect(['HIGH', 'MEDIUM', 'LOW']).toContain(entry.severity);
+        expect(entry.explanation).toEqual(expect.any(String));
+        expect(entry.fallback).toEqual(expect.any(String));
+      }
+    });
+
+    test('flags carry the explanation and fallback', () => {
+      const flag = flagFor('Client may freely assign this Agreement.', 'ASSIGNMENT_WITHOUT_CONSENT');
+
+      expect(flag.type).toBe('RISKY_CLAUSE');
+      expect(flag.severity).toBe('HIGH');
+      expect(flag.explanation).toMatch(/transferred/);
+      expect(flag.fallback).toMatch(/prior written consent/);
+    });
+
+    test('auto-renewal with a short notice window is high severity', () => {
+      const short = flagFor('This Agreement shall automatically renew for successive one-year terms unless either party gives notice of non-renewal at least fifteen (15) days before the end of the then-current term.', 'AUTO_RENEWAL');
+      const long = flagFor('This Agreement shall automatically renew for successive one-year terms unless either party gives notice of non-renewal at least ninety (90) days before the end of the term.', 'AUTO_RENEWAL');
+
+      expect(short.severity).toBe('HIGH');
+      expect(short.reason).toContain('15-day');
+      expect(long.severity).toBe('MEDIUM');
+    });
+
+    test('flags unilateral amendment rights', () => {
+      expect(categoriesOf('Provider reserves the right to modify these Terms at any time by posting the revised version on its website.'))
+        .toContain('UNILATERAL_AMENDMENT');
+      expect(categoriesOf('Vendor may change the fees upon thirty days notice.')).toContain('UNILATERAL_AMENDMENT');
+    });
+
+    test('flags exclusivity and non-compete covenants', () => {
+      expect(categoriesOf('Distributor shall act as the exclusive distributor of the Products in the Territory.')).toContain('EXCLUSIVITY');
+      expect(categoriesOf('During the Term and for two years thereafter, Consultant shall not directly or indirectly compete with the Company.'))
+        .toContain('NON_COMPETE');
+      expect(categoriesOf('The non-compete period begins on the Effective Date.')).toContain('NON_COMPETE');
+    });
+
+    test('flags liquidated damages', () => {
+      expect(categoriesOf('For each day of delay, Contractor shall pay $1,000 as liquidated damages.')).toContain('LIQUIDATED_DAMAGES');
+    });
+
+    test('flags assignment without consent but not the usual consent requirement', () => {
+      expect(categoriesOf('Licensor may assign this Agreement to any third party without the consent of Licensee.'))
+        .toContain('ASSIGNMENT_WITHOUT_CONSENT');
+      expect(categoriesOf('Neither party may assign this Agreement without the prior written consent of the other party.'))
+        .not.toContain('ASSIGNMENT_WITHOUT_CONSENT');
+    });
+
+    test('flags jury waivers and mandatory arbitration', () => {
+      const input = 'EACH PARTY HEREBY WAIVES ANY RIGHT TO A TRIAL BY JURY. Any dispute shall be finally resolved by binding arbitration administered by the AAA.';
+      const categories = categoriesOf(input);
+
+      expect(categories).toContain('JURY_WAIVER');
+      expect(categories).toContain('MANDATORY_ARBITRATION');
+    });
+
+    test('flags indemnity outside the liability cap', () => {
+      const input = "Supplier's obligation to indemnify Customer under this Section shall not be subject to any limitation of liability.";
+      const flag = flagFor(input, 'UNCAPPED_INDEMNITY');
+
+      expect(flag.severity).toBe('HIGH');
+      expect(flagFor('Supplier shall indemnify Customer against third-party claims.', 'UNCAPPED_INDEMNITY')).toBeUndefined();
+    });
+
+    test('governing law is listed for confirmation without preferences', () => {
+      const flag = flagFor('This Agreement shall be governed by the laws of the State of Texas.', 'GOVERNING_LAW');
+
+      expect(flag.severity).toBe('LOW');
+      expect(flag.reason).toContain('Texas');
+    });
+
+    test('governing law and venue outside the preferred jurisdictions are flagged', () => {
+      const input = 'This Agreement is governed by the laws of the State of New York. The parties submit to the exclusive jurisdiction of the courts located in Harris County, Texas.';
+      const options = { preferredJurisdictions: ['New York'] };
+
+      expect(flagFor(input, 'GOVERNING_LAW', options)).toBeUndefined();
+      const venue = flagFor(input, 'VENUE', options);
+      expect(venue.severity).toBe('MEDIUM');
+      expect(venue.reason).toContain('Harris County');
+    });
+
+    test('neighbouring clauses of different kinds are not merged', () => {
+      const input = 'Licensee waives trial by jury and agrees to binding arbitration.';
+      const categories = categoriesOf(input);
+
+      expect(categories).toEqual(expect.arrayContaining(['JURY_WAIVER', 'MANDATORY_ARBITRATION']));
+    });
+  });
+
+  describe('Qualifier Awareness', () => {
+    test('suppresses protective liability language with a reason', () => {
+      const result = flagSensitiveContent('Notwithstanding anything to the contrary, neither party shall have unlimited liability to the other under this Agreement.');
+      const suppressed = result.suppressed.find(f => f.category === 'UNLIMITED_LIABILITY');
+
+      expect(suppressed.qualifier).toEqual({ scope: 'negation', cue: 'neither', action: 'suppressed' });
+      expect(suppressed.reason).toContain('suppressed: negated by "neither"');
+      expect(result.summary.suppressed).toBe(result.suppressed.length);
+    });
+
+    test('does not flag a statement that there is no waiver', () => {
+      const result = flagSensitiveContent('A delay in enforcing any provision of this Agreement is not a waiver of rights under it.');
+
+      expect(result.flags.some(f => f.category === 'RIGHTS_WAIVER')).toBe(false);
+      expect(result.suppressed.some(f => f.category === 'RIGHTS_WAIVER')).toBe(true);
+    });
+
+    test('does not flag PHI that the text says is absent', () => {
+      const result = flagSensitiveContent('The analytics extract delivered under this SOW does not include any patient information.');
+
+      expect(result.flags.some(f => f.type === 'PHI')).toBe(false);
+      expect(result.suppressed[0].type).toBe('PHI');
+    });
+
+    test('still flags a negated verb acting on sensitive content', () => {
+      const result = flagSensitiveContent('Recipient shall not disclose confidential information to any third party.');
+      expect(result.flags.some(f => f.type === 'CONFIDENTIALITY')).toBe(true);
+    });
+
+    test('downgrades an indemnity subject to the liability cap', () => {
+      const result = flagSensitiveContent('Vendor shall indemnify Customer against third-party claims, subject to the limitations in Section 9.');
+      const flag = result.flags.find(f => f.type === 'INDEMNIFICATION');
+
+      expect(flag.severity).toBe('LOW');
+      expect(flag.qualifier).toEqual({
+        scope: 'limitation',
+        cue: 'subject to the limitations',
+        action: 'downgraded',
+        originalSeverity: 'MEDIUM'
+      });
+      expect(flag.reason).toContain('downgraded: limitation');
+    });
+
+    test('downgrades a term inside an exception', () => {
+      const result = flagSensitiveContent("Each party's aggregate liability is capped at the fees paid, except for unlimited liability arising from fraud.");
+      const flag = result.flags.find(f => f.category === 'UNLIMITED_LIABILITY');
+
+      expect(flag.severity).toBe('MEDIUM');
+      expect(flag.qualifier.scope).toBe('exception');
+    });
+
+    test('keeps PHI, privilege and confidentiality severity inside a capped sentence', () => {
+      const capped = flagSensitiveContent(
+        'Vendor shall hold patient records as confidential information and privileged attorney work product, and its liability for them shall not exceed $50,000.'
+      );
+      const plain = flagSensitiveContent(
+        'Vendor shall hold patient records as confidential information and privileged attorney work product.'
+      );
+
+      for (const type of ['PHI', 'PRIVILEGE', 'CONFIDENTIALITY']) {
+        const flag = capped.flags.find(f => f.type === type);
+        expect(flag.severity).toBe(plain.flags.find(f => f.type === type).severity);
+        expect(flag.qualifier).toBeUndefined();
+      }
+    });
+
+    test('leaves an uncapped indemnity at full severity', () => {
+      const result = flagSensitiveContent("Supplier's obligation to indemnify Customer shall not be subject to any limitation of liability.");
+      expect(result.flags.find(f => f.category === 'UNCAPPED_INDEMNITY').severity).toBe('HIGH');
+    });
+
+    test('can be switched off', () => {
+      const result = flagSensitiveContent('Neither party shall have unlimited liability.', { detectQualifiers: false });
+
+      expect(result.flags.some(f => f.category === 'UNLIMITED_LIABILITY')).toBe(true);
+      expect(result.suppressed).toHaveLength(0);
+    });
+  });
+
   describe('Summary Generation', () => {
     test('should generate accurate summary', () => {
       const input = 'Confidential attorney-client communication regarding patient treatment.';
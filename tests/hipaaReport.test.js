@@ -3,6 +3,7 @@
  */
 
 import { generateHIPAAReport, generateHIPAAReportText, quickHIPAACheck } from '../lib/hipaaReport';
+import { redactText } from '../lib/redact';
 
 describe('HIPAA Report Generator', () => {
 
@@ -100,6 +101,23 @@ describe('HIPAA Report Generator', () => {
       expect(report.detailedFindings.redactionsApplied).toBeDefined();
       expect(report.detailedFindings.flaggedContent).toBeDefined();
     });
+
+    test('should cite the transform strategy applied to each redaction', () => {
+      const report = generateHIPAAReport('Sample text', [
+        { id: 'DATE#1', type: 'DATE', confidence: 'high', strategy: 'generalize' },
+        { id: 'ZIP_CODE#1', type: 'ZIP_CODE', confidence: 'high', strategy: 'truncate' },
+        { id: 'SSN#1', type: 'SSN', confidence: 'high' }
+      ], []);
+
+      expect(report.phiFindings.DATES.transforms).toEqual({ generalize: 1 });
+      expect(report.phiFindings.GEOGRAPHIC.instances[0].strategy).toBe('truncate');
+      expect(report.summary.transformsApplied).toEqual({ generalize: 1, truncate: 1, mask: 1 });
+
+      const applied = report.detailedFindings.redactionsApplied;
+      expect(applied[0].citation).toMatch(/164\.514\(b\)\(2\)/);
+      expect(applied[2].strategy).toBe('mask');
+      expect(generateHIPAAReportText(report)).toContain('Transforms: truncate (1)');
+    });
   });
 
   describe('generateHIPAAReportText', () => {
@@ -176,7 +194,7 @@ describe('HIPAA Report Generator', () => {
   describe('PHI Category Mapping', () => {
     test('should map all standard HIPAA identifiers', () => {
       const comprehensiveRedactions = [
-        { id: '1', type: 'TITLE_NAME', confidence: 'high' },
+        { id: '1', type: 'PERSON_NAME', confidence: 'high' },
         { id: '2', type: 'ADDRESS', confidence: 'high' },
         { id: '3', type: 'DATE', confidence: 'high' },
         { id: '4', type: 'PHONE', confidence: 'high' },
@@ -196,5 +214,35 @@ describe('HIPAA Report Generator', () => {
 
       expect(report.summary.categoriesAffected).toBeGreaterThan(5);
     });
+
+    test('should fill the device, URL, vehicle, license, biometric and photo categories', () => {
+      const text = [
+        'Patient portal: https://portal.example-clinic.org/p/8812.',
+        'Pacemaker serial number: PM-448210-X. Vehicle VIN 1M8GDM9AXKP042788, license plate: 7ABC123.',
+        'Nursing license number: RN-902211. Fingerprint ID: FP-22817340.',
+        'Patient photo attached: jdoe_admission.jpg'
+      ].join('\n');
+      const { redactions } = redactText(text);
+      const report = generateHIPAAReport(text, redactions, []);
+
+      for (const category of ['URL', 'DEVICE', 'VEHICLE', 'LICENSE', 'BIOMETRIC', 'PHOTO']) {
+        expect(report.phiFindings[category]).toBeDefined();
+      }
+    });
+
+    test('should cite the clause of each finding', () => {
+      const text = '1. Parties\nThis agreement covers the patient.\n2. Records\n2.1 Identifiers. Patient SSN: 123-45-6789.';
+      const { redactions } = redactText(text);
+      const flags = [{ id: 'F1', type: 'PHI', severity: 'HIGH', reason: 'Contains patient data', excerpt: '...', clause: { path: '2.1', labels: ['2', '2.1'], heading: 'Identifiers' } }];
+      const report = generateHIPAAReport(text, redactions, flags, { includeFullDetails: true });
+
+      expect(report.phiFindings.SSN.instances[0].clause.path).toBe('2.1');
+      expect(report.detailedFindings.redactionsApplied[0].clause.heading).toBe('Identifiers');
+      expect(report.concerns[0].clause.path).toBe('2.1');
+
+      const reportText = generateHIPAAReportText(report);
+      expect(reportText).toContain('Clauses: 2.1 (Identifiers)');
+      expect(reportText).toContain('Clause: 2.1 (Identifiers)');
+    });
   });
 });
@@ -0,0 +1,159 @@
+/**
+ * Tests for missing-clause detection
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { detectContractType, findMissingClauses, getContractType, listContractTypes, CONTRACT_TYPES, CLAUSE_CHECKS } from '../lib/missingClauses';
+import { flagSensitiveContent } from '../lib/flagging';
+import { generateHIPAAReport } from '../lib/hipaaReport';
+import { diffRevisions } from '../lib/revisionDiff';
+
+const SERVICES_AGREEMENT = `MASTER SERVICES AGREEMENT
+
+This Master Services Agreement is entered into by Northwind Analytics LLC ("Vendor") and Contoso Retail Inc. ("Customer").
+
+1. Services. Vendor shall perform the services described in each Statement of Work executed by the parties.
+
+2. Fees. Customer shall pay the fees set out in each Statement of Work within thirty (30) days of invoice.
+
+3. Confidentiality. Each party shall protect the other's Confidential Information using at least reasonable care and shall use it only to perform this Agreement.
+
+4. Ownership. All deliverables are works made for hire and are owned by Customer on payment.
+
+5. Indemnification. Vendor shall defend and indemnify Customer against third-party claims that the deliverables infringe intellectual property rights.
+
+6. Term. This Agreement continues for two years unless terminated for material breach not cured within thirty days.
+
+7. Governing Law. This Agreement is governed by the laws of the State of Delaware.
+`;
+
+const HEALTHCARE_AGREEMENT = SERVICES_AGREEMENT
+  .replace('Contoso Retail Inc.', 'Lakeside Medical Group')
+  .replace('1. Services. Vendor shall perform the services', '1. Services. Vendor shall host and analyze patient scheduling records and perform the services');
+
+describe('Contract Type Detection', () => {
+  test('reads the type from the title', () => {
+    expect(detectContractType(SERVICES_AGREEMENT)).toBe('services');
+  });
+
+  test('reads a services contract title', () => {
+    const sample = fs.readFileSync(path.join(__dirname, '../sample-contracts/vendor-services-contract.txt'), 'utf8');
+
+    expect(detectContractType(sample)).toBe('services');
+    expect(findMissingClauses(sample).contractType.id).toBe('services');
+  });
+
+  test('a services agreement touching patient data is a healthcare one', () => {
+    expect(detectContractType(HEALTHCARE_AGREEMENT)).toBe('healthcare-services');
+  });
+
+  test('the earliest type named in the opening wins', () => {
+    const nda = 'MUTUAL NON-DISCLOSURE AGREEMENT\nThe parties may later enter into a services agreement. ' + 'Recitals. '.repeat(80);
+    expect(detectContractType(nda)).toBe('nda');
+  });
+
+  test('excerpts and untitled text have no type', () => {
+    expect(detectContractType('This NDA agreement is binding on all parties.')).toBeNull();
+    expect(detectContractType('Meeting notes. '.repeat(100))).toBeNull();
+  });
+
+  test('every checklist names known clauses and severities', () => {
+    for (const type of Object.values(CONTRACT_TYPES)) {
+      for (const [clause, severity] of Object.entries(type.checklist)) {
+        expect(CLAUSE_CHECKS[clause]).toBeDefined();
+        expect(['HIGH', 'MEDIUM', 'LOW']).toContain(severity);
+      }
+    }
+    expect(listContractTypes().map(type => type.id)).toContain('nda');
+  });
+});
+
+describe('Missing Clauses', () => {
+  test('lists the services protections the agreement lacks', () => {
+    const { contractType, missing } = findMissingClauses(SERVICES_AGREEMENT);
+
+    expect(contractType).toEqual({ id: 'services', label: 'Services agreement', detected: true });
+    expect(missing.map(m => m.clause)).toEqual(['LIMITATION_OF_LIABILITY', 'TERMINATION_FOR_CONVENIENCE', 'BREACH_NOTIFICATION']);
+    expect(missing[0].severity).toBe('HIGH');
+    expect(missing[0].recommendation).toMatch(/aggregate liability/);
+  });
+
+  test('a healthcare services agreement also needs BAA terms', () => {
+    const { missing } = findMissingClauses(HEALTHCARE_AGREEMENT);
+    const baa = missing.find(m => m.clause === 'BUSINESS_ASSOCIATE');
+
+    expect(baa.severity).toBe('HIGH');
+    expect(missing.find(m => m.clause === 'BREACH_NOTIFICATION').severity).toBe('HIGH');
+  });
+
+  test('finds a clause from its wording, not only its heading', () => {
+    const text = SERVICES_AGREEMENT + '\n8. Liability. In no event shall either party be liable for lost profits, and total liability shall not exceed the fees paid.\n' +
+      '9. Security. Vendor shall notify Customer within 72 hours of any security incident affecting Customer data.\n' +
+      '10. Convenience. Customer may terminate this Agreement for convenience on 30 days notice.';
+
+    expect(findMissingClauses(text).missing).toEqual([]);
+  });
+
+  test('an explicit contract type overrides detection', () => {
+    const { contractType, missing } = findMissingClauses(SERVICES_AGREEMENT, { contractType: 'nda' });
+
+    expect(contractType.detected).toBe(false);
+    expect(missing.map(m => m.clause)).toEqual(['RETURN_OF_INFORMATION', 'TERM_AND_SURVIVAL']);
+  });
+
+  test('rejects an unknown contract type', () => {
+    expect(() => findMissingClauses(SERVICES_AGREEMENT, { contractType: 'lease' })).toThrow('Unknown contract type "lease"');
+    expect(() => getContractType('lease')).toThrow('Unknown contract type "lease"');
+    expect(getContractType('auto')).toBeNull();
+    expect(getContractType('nda').label).toBe('Non-disclosure agreement');
+  });
+});
+
+describe('Missing Clause Flags', () => {
+  test('are added to the flags with a recommended clause', () => {
+    const result = flagSensitiveContent(SERVICES_AGREEMENT);
+    const missing = result.flags.filter(f => f.type === 'MISSING_CLAUSE');
+
+    expect(result.contractType.id).toBe('services');
+    expect(missing.map(f => f.category)).toContain('LIMITATION_OF_LIABILITY');
+    expect(missing[0]).toMatchObject({ start: null, end: null, excerpt: null, clause: null, severity: 'HIGH' });
+    expect(missing[0].reason).toBe('No limitation of liability clause found in this services agreement');
+    expect(missing[0].recommendation).toEqual(expect.any(String));
+    expect(result.summary.MISSING_CLAUSE).toBe(missing.length);
+  });
+
+  test('can be switched off', () => {
+    const result = flagSensitiveContent(SERVICES_AGREEMENT, { contractType: false });
+
+    expect(result.flags.some(f => f.type === 'MISSING_CLAUSE')).toBe(false);
+    expect(result.contractType).toBeNull();
+  });
+
+  test('a missing BAA is a HIPAA concern', () => {
+    const { flags } = flagSensitiveContent(HEALTHCARE_AGREEMENT);
+    const report = generateHIPAAReport(HEALTHCARE_AGREEMENT, [], flags);
+    const concern = report.concerns.find(c => c.type === 'MISSING_SAFEGUARD');
+
+    expect(concern.description).toContain('business associate');
+    expect(concern.recommendation).toMatch(/Business Associate Agreement/);
+  });
+
+  test('are listed after positioned flags in a diff', () => {
+    const diff = diffRevisions('Draft terms to follow.', SERVICES_AGREEMENT);
+    const positions = diff.flags.new.map(f => f.start);
+    const firstMissing = positions.indexOf(null);
+
+    expect(firstMissing).toBeGreaterThan(0);
+    expect(positions.slice(firstMissing).every(start => start === null)).toBe(true);
+    expect(positions.slice(0, firstMissing)).toEqual([...positions.slice(0, firstMissing)].sort((a, b) => a - b));
+  });
+
+  test('a clause added in a later draft resolves its flag', () => {
+    const revised = SERVICES_AGREEMENT + '\n8. Limitation of Liability. Total liability shall not exceed the fees paid in the prior twelve months.';
+    const diff = diffRevisions(SERVICES_AGREEMENT, revised);
+
+    expect(diff.flags.resolved.map(f => f.category)).toContain('LIMITATION_OF_LIABILITY');
+    expect(diff.flags.new.some(f => f.type === 'MISSING_CLAUSE')).toBe(false);
+  });
+});
@@ -0,0 +1,129 @@
+/**
+ * Test suite for offline person and organization name detection
+ */
+
+import { detectNames } from '../lib/nameDetector';
+import { redactText } from '../lib/redact';
+
+function find(matches, type, original) {
+  return matches.find(m => m.type === type && m.original === original);
+}
+
+describe('Name Detection', () => {
+
+  describe('Contract cues', () => {
+    test('should detect both parties in a recital', () => {
+      const text = 'This Agreement is entered into by and between John Smith and Acme Corporation.';
+      const matches = detectNames(text);
+
+      const person = find(matches, 'PERSON_NAME', 'John Smith');
+      const org = find(matches, 'ORGANIZATION', 'Acme Corporation');
+
+      expect(person).toMatchObject({ cue: 'party recital', confidence: 'high' });
+      expect(org).toMatchObject({ cue: 'party recital', confidence: 'high' });
+      expect(text.slice(org.start, org.end)).toBe('Acme Corporation');
+    });
+
+    test('should detect names after a Name: field', () => {
+      const matches = detectNames('Name: Priya Sharma\nTitle: Director');
+
+      expect(find(matches, 'PERSON_NAME', 'Priya Sharma')).toMatchObject({ cue: 'name field', confidence: 'high' });
+    });
+
+    test('should detect names on an attention line', () => {
+      const matches = detectNames('Attn: Angela Davis, Legal Department');
+
+      expect(find(matches, 'PERSON_NAME', 'Angela Davis')).toMatchObject({ cue: 'attention line' });
+    });
+
+    test('should detect signatories in a signature block', () => {
+      const matches = detectNames('By: /s/ Kevin Okafor\nIts: Chief Executive Officer');
+
+      // Not in the gazetteer surname list, so the cue alone carries it
+      expect(find(matches, 'PERSON_NAME', 'Kevin Okafor')).toMatchObject({ cue: 'signature block', confidence: 'high' });
+    });
+
+    test('should give medium confidence to cue-only names', () => {
+      const matches = detectNames('Witness: Zora Quillfeather');
+
+      expect(find(matches, 'PERSON_NAME', 'Zora Quillfeather')).toMatchObject({ cue: 'witness line', confidence: 'medium' });
+    });
+
+    test('should strip a leading "For" in signature blocks', () => {
+      const matches = detectNames('FOR RIVERSIDE MANUFACTURING CO.\n\nBy: ____________');
+
+      expect(find(matches, 'ORGANIZATION', 'RIVERSIDE MANUFACTURING CO.')).toBeDefined();
+    });
+  });
+
+  describe('Free text', () => {
+    test('should detect gazetteer names without an honorific', () => {
+      const matches = detectNames('The report was prepared by Susan Thompson last week.');
+
+      expect(find(matches, 'PERSON_NAME', 'Susan Thompson')).toMatchObject({ confidence: 'medium' });
+    });
+
+    test('should give low confidence when only the first name is known', () => {
+      const matches = detectNames('Please copy Richard Quillfeather on the response.');
+
+      expect(find(matches, 'PERSON_NAME', 'Richard Quillfeather')).toMatchObject({ confidence: 'low', review: true });
+      expect(find(detectNames('The report was prepared by Susan Thompson.'), 'PERSON_NAME', 'Susan Thompson').review).toBeUndefined();
+    });
+
+    test('should detect organizations by legal suffix', () => {
+      const matches = detectNames('Payments are routed through Northgate Ventures LLC each month.');
+
+      expect(find(matches, 'ORGANIZATION', 'Northgate Ventures LLC')).toBeDefined();
+    });
+
+    test('should not treat generic service phrases or headings as organizations', () => {
+      const matches = detectNames('SCOPE OF SERVICES\nVendor provides Transportation Services and Value-Added Services.');
+
+      expect(matches.filter(m => m.type === 'ORGANIZATION')).toHaveLength(0);
+    });
+
+    test('should not merge names across table columns', () => {
+      const matches = detectNames('James Wilson                       John Carter');
+
+      expect(matches.every(m => !m.original.includes('  '))).toBe(true);
+    });
+
+    test('should drop possessive and sentence punctuation', () => {
+      const matches = detectNames("Fees are set by MedCare Health Systems' board and paid to TechCorp Industries.");
+
+      expect(find(matches, 'ORGANIZATION', 'MedCare Health Systems')).toBeDefined();
+      expect(find(matches, 'ORGANIZATION', 'TechCorp Industries')).toBeDefined();
+    });
+  });
+
+  describe('Redaction integration', () => {
+    test('should redact detected names and organizations', () => {
+      const result = redactText('This Agreement is made between Acme Corporation and Mary Johnson.');
+
+      expect(result.redactions.some(r => r.type === 'ORGANIZATION')).toBe(true);
+      expect(result.redactions.some(r => r.type === 'PERSON_NAME')).toBe(true);
+      expect(result.redactedText).not.toContain('Mary Johnson');
+    });
+
+    test('should link repeated mentions of a party', () => {
+      const result = redactText('Name: Mary Johnson\nMary Johnson agrees to the terms.');
+      const names = result.redactions.filter(r => r.type === 'PERSON_NAME');
+
+      expect(names).toHaveLength(2);
+      expect(names[0].id).toBe(names[1].id);
+    });
+
+    test('should not read a city after a street address as a company suffix', () => {
+      const result = redactText('Premier Logistics Solutions LLC\n9800 Distribution Center Blvd, Columbus, OH 43201');
+
+      expect(result.redactions.some(r => r.type === 'ORGANIZATION' && /, Co$/.test(r.original))).toBe(false);
+      expect(result.redactedText).not.toMatch(/\]lumbus/);
+    });
+
+    test('should skip name detection when disabled', () => {
+      const result = redactText('Name: Mary Johnson', { detectNames: false });
+
+      expect(result.redactions.some(r => r.type === 'PERSON_NAME')).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,192 @@
+/**
+ * Tests for numeric term extraction and threshold rules
+ */
+
+import { extractNumericTerms, readNumber, wordsToNumber, resolveTermPolicy, checkTermPolicy, describeTermValue, DEFAULT_TERM_POLICY } from '../lib/numericTerms';
+import { flagSensitiveContent } from '../lib/flagging';
+
+const termOf = (text, kind) => extractNumericTerms(text).find(term => term.kind === kind);
+
+describe('Number Reading', () => {
+  test('reads written numbers', () => {
+    expect(wordsToNumber('thirty')).toBe(30);
+    expect(wordsToNumber('forty-five')).toBe(45);
+    expect(wordsToNumber('one hundred and twenty')).toBe(120);
+    expect(wordsToNumber('several')).toBeNull();
+  });
+
+  test('reads a written number with its numeral', () => {
+    expect(readNumber('thirty (30)')).toEqual({ value: 30, written: 30 });
+    expect(readNumber('ninety (90)')).toEqual({ value: 90, written: 90 });
+    expect(readNumber('1,000')).toEqual({ value: 1000, written: null });
+    expect(readNumber('sixty')).toEqual({ value: 60, written: null });
+  });
+});
+
+describe('Term Extraction', () => {
+  test('notice periods in days', () => {
+    const term = termOf('Either party may terminate this Agreement upon thirty (30) days\' prior written notice.', 'NOTICE_PERIOD');
+
+    expect(term).toMatchObject({ value: 30, unit: 'days', written: 30, stated: { value: 30, unit: 'day' } });
+    expect(term.text).toBe("thirty (30) days' prior written notice");
+    expect(termOf('Customer may cancel on notice of not less than two (2) months.', 'NOTICE_PERIOD').value).toBe(60);
+  });
+
+  test('payment terms as net days or days from invoice', () => {
+    expect(termOf('All invoices are payable net 60.', 'PAYMENT_TERMS')).toMatchObject({ value: 60, unit: 'days' });
+    expect(termOf('Customer shall pay each invoice within forty-five (45) days of receipt.', 'PAYMENT_TERMS').value).toBe(45);
+    expect(termOf('Fees are due ninety (90) days after receipt of invoice.', 'PAYMENT_TERMS').value).toBe(90);
+  });
+
+  test('liability caps as months of fees or an amount', () => {
+    const months = termOf('Supplier\'s total liability shall not exceed the fees paid by Customer in the six (6) months preceding the claim.', 'LIABILITY_CAP');
+    expect(months).toMatchObject({ value: 6, unit: 'months-of-fees' });
+
+    const years = termOf('Each party\'s aggregate liability is limited to the amounts paid under this Agreement during the prior two years.', 'LIABILITY_CAP');
+    expect(years).toMatchObject({ value: 24, unit: 'months-of-fees' });
+
+    const cueFirst = termOf('In no event shall either party\'s liability exceed the fees paid in the six (6) months preceding the claim.', 'LIABILITY_CAP');
+    expect(cueFirst).toMatchObject({ value: 6, unit: 'months-of-fees' });
+
+    const amount = termOf('In no event shall Vendor\'s liability exceed $250,000.', 'LIABILITY_CAP');
+    expect(amount).toMatchObject({ value: 250000, unit: 'USD' });
+  });
+
+  test('a capped-liability term starts in its own block, not at the heading above', () => {
+    const text = '9. LIABILITY:\n\nVendor\'s total liability shall not exceed the fees paid in the six (6) months before the claim.';
+    const term = termOf(text, 'LIABILITY_CAP');
+
+    expect(term.text).toBe('liability shall not exceed the fees paid in the six (6) months');
+    expect(text.slice(term.start, term.end)).toBe(term.text);
+  });
+
+  test('late-payment interest as an annual rate', () => {
+    const monthly = termOf('Late payments accrue interest at one and one-half percent (1.5%) per month.', 'LATE_INTEREST');
+    expect(monthly).toMatchObject({ value: 18, unit: 'percent-per-year', stated: { value: 1.5, unit: 'percent-per-month' } });
+
+    expect(termOf('Overdue amounts bear interest at 10% per annum.', 'LATE_INTEREST').value).toBe(10);
+  });
+
+  test('renewal terms and non-compete durations in months', () => {
+    const renewal = termOf('This Agreement shall automatically renew for successive two (2) year terms.', 'RENEWAL_TERM');
+    expect(renewal).toMatchObject({ value: 24, unit: 'months' });
+
+    const nonCompete = termOf('Employee shall not compete with the Company for a period of eighteen (18) months after termination.', 'NON_COMPETE_DURATION');
+    expect(nonCompete).toMatchObject({ value: 18, unit: 'months' });
+  });
+
+  test('durations only count in a sentence about that kind of term', () => {
+    const text = 'The initial term is two (2) years. The pilot runs for six months.';
+    const kinds = extractNumericTerms(text).map(term => term.kind);
+
+    expect(kinds).not.toContain('RENEWAL_TERM');
+    expect(kinds).not.toContain('NON_COMPETE_DURATION');
+  });
+
+  test('marks a written number that disagrees with its numeral', () => {
+    const term = termOf('Customer shall pay each invoice within thirty (60) days.', 'PAYMENT_TERMS');
+    expect(term).toMatchObject({ value: 60, written: 30, mismatch: true });
+  });
+
+  test('returns terms in document order', () => {
+    const text = 'Invoices are payable net 30. Either party may terminate on ninety (90) days notice.';
+    const terms = extractNumericTerms(text);
+
+    expect(terms.map(term => term.kind)).toEqual(['PAYMENT_TERMS', 'NOTICE_PERIOD']);
+    expect(text.slice(terms[1].start, terms[1].end)).toBe(terms[1].text);
+  });
+});
+
+describe('Term Policy', () => {
+  test('overrides merge over the defaults and false turns a kind off', () => {
+    const policy = resolveTermPolicy({ PAYMENT_TERMS: { max: 60 }, RENEWAL_TERM: false });
+
+    expect(policy.PAYMENT_TERMS).toEqual({ max: 60, severity: 'MEDIUM' });
+    expect(policy.RENEWAL_TERM).toBeUndefined();
+    expect(policy.NOTICE_PERIOD).toEqual(DEFAULT_TERM_POLICY.NOTICE_PERIOD);
+  });
+
+  test('rejects an unknown term kind', () => {
+    expect(() => resolveTermPolicy({ DEPOSIT: { max: 10 } })).toThrow('Unknown term kind "DEPOSIT"');
+    expect(() => resolveTermPolicy({ PAYMENT_TERMS: 60 })).toThrow('Invalid term policy for "PAYMENT_TERMS"');
+  });
+
+  test('reports values above a maximum or below a minimum', () => {
+    const terms = extractNumericTerms('Invoices are payable net 60. Liability shall not exceed the fees paid in the prior six (6) months.');
+    const violations = checkTermPolicy(terms, resolveTermPolicy());
+
+    expect(violations.map(v => v.reason)).toEqual([
+      'Payment terms: 60 days, above the policy maximum of 45 days',
+      "Liability cap: 6 months' fees, below the policy minimum of 12 months' fees"
+    ]);
+    expect(violations[1]).toMatchObject({ severity: 'HIGH', limit: { min: 12 } });
+    expect(violations[1].fallback).toBe("Propose at least 12 months' fees.");
+  });
+
+  test('an amount cap is only checked against minAmount', () => {
+    const terms = extractNumericTerms('In no event shall Vendor\'s liability exceed $50,000.');
+
+    expect(checkTermPolicy(terms, resolveTermPolicy())).toEqual([]);
+    expect(checkTermPolicy(terms, resolveTermPolicy({ LIABILITY_CAP: { minAmount: 100000 } }))[0].reason)
+      .toBe('Liability cap: USD 50,000, below the policy minimum of USD 100,000');
+  });
+
+  test('describes values in plain language', () => {
+    expect(describeTermValue(1, 'days')).toBe('1 day');
+    expect(describeTermValue(1, 'months-of-fees')).toBe("1 month's fees");
+    expect(describeTermValue(18, 'percent-per-year')).toBe('18% per year');
+  });
+});
+
+describe('Out-of-Policy Flags', () => {
+  const AGREEMENT = '4. Payment. Customer shall pay each invoice within ninety (90) days of receipt. ' +
+    'Late payments bear interest at 2% per month.\n' +
+    '9. Liability. Vendor\'s aggregate liability shall not exceed the fees paid in the three (3) months before the claim.';
+
+  test('flag terms outside the default policy with the clause they fall in', () => {
+    const result = flagSensitiveContent(AGREEMENT, { contractType: false });
+    const outOfPolicy = result.flags.filter(f => f.type === 'OUT_OF_POLICY');
+
+    expect(outOfPolicy.map(f => f.category)).toEqual(['PAYMENT_TERMS', 'LATE_INTEREST', 'LIABILITY_CAP']);
+    expect(outOfPolicy[0]).toMatchObject({
+      reason: 'Payment terms: 90 days, above the policy maximum of 45 days',
+      severity: 'MEDIUM',
+      policy: { max: 45 },
+      fallback: 'Propose no more than 45 days.'
+    });
+    expect(outOfPolicy[0].term).toMatchObject({ value: 90, unit: 'days' });
+    expect(outOfPolicy[2].clause.path).toBe('9');
+    expect(result.terms).toHaveLength(3);
+  });
+
+  test('follow a team policy', () => {
+    const result = flagSensitiveContent(AGREEMENT, {
+      contractType: false,
+      termPolicy: { PAYMENT_TERMS: { max: 90 }, LATE_INTEREST: { max: 24 }, LIABILITY_CAP: { min: 3 } }
+    });
+
+    expect(result.flags.some(f => f.type === 'OUT_OF_POLICY')).toBe(false);
+    expect(flagSensitiveContent(AGREEMENT, { contractType: false, termPolicy: false }).terms).toHaveLength(3);
+  });
+
+  test('a cap worded as "shall not exceed" is not treated as negated', () => {
+    const result = flagSensitiveContent(AGREEMENT, { contractType: false });
+    expect(result.suppressed.some(f => f.type === 'OUT_OF_POLICY')).toBe(false);
+  });
+
+  test('a cap worded as "in no event shall ... exceed" is flagged, not treated as negated', () => {
+    const result = flagSensitiveContent('9. Liability. In no event shall either party\'s liability exceed the fees paid in the six (6) months preceding the claim.', { contractType: false });
+    const cap = result.flags.find(f => f.type === 'OUT_OF_POLICY');
+
+    expect(cap).toMatchObject({ category: 'LIABILITY_CAP', reason: "Liability cap: 6 months' fees, below the policy minimum of 12 months' fees" });
+    expect(result.suppressed.some(f => f.type === 'OUT_OF_POLICY')).toBe(false);
+  });
+
+  test('flag a written number that disagrees with its numeral', () => {
+    const result = flagSensitiveContent('Either party may terminate on sixty (30) days written notice.', { contractType: false });
+    const mismatch = result.flags.find(f => f.type === 'NUMBER_MISMATCH');
+
+    expect(mismatch.reason).toBe('Written and numeric values disagree: 60 in words, 30 in figures');
+    expect(mismatch.excerpt).toContain('sixty (30)');
+  });
+});
@@ -0,0 +1,79 @@
+/**
+ * Benchmark suite for the redaction engine on documents at the API size cap
+ */
+
+import { redactText, addCustomPattern } from '../lib/redact';
+
+// The /api/review text limit
+const MAX_TEXT_LENGTH = 500000;
+
+// Generous floor for a single slow core; the engine runs well above it
+const MIN_CHARACTERS_PER_SECOND = 150000;
+
+const PARAGRAPH = [
+  'Patient Mary Johnson (MRN: 12345678) called from (415) 555-0100 about invoice 4471.',
+  'Email mary.johnson@example.com, SSN 123-45-6789, card 4111 1111 1111 1111.',
+  'She lives at 742 Evergreen Terrace, Springfield, IL 62704 and signed on January 5, 2024.'
+].join(' ') + '\n';
+
+function timed(fn) {
+  const started = Date.now();
+  const result = fn();
+  return { result, elapsed: Date.now() - started };
+}
+
+describe('Redaction Performance', () => {
+
+  test('should redact a document at the size cap within the throughput floor', () => {
+    const text = PARAGRAPH.repeat(Math.ceil(MAX_TEXT_LENGTH / PARAGRAPH.length)).slice(0, MAX_TEXT_LENGTH);
+    const { result, elapsed } = timed(() => redactText(text));
+
+    expect(result.redactedText).not.toContain('123-45-6789');
+    expect(MAX_TEXT_LENGTH / Math.max(elapsed, 1) * 1000).toBeGreaterThan(MIN_CHARACTERS_PER_SECOND);
+  });
+
+  test('should find every value exactly once across scan windows', () => {
+    const paragraphs = 500;
+    const single = redactText(PARAGRAPH).redactions.length;
+    const result = redactText(PARAGRAPH.repeat(paragraphs));
+
+    expect(PARAGRAPH.length * paragraphs).toBeGreaterThan(100000);
+    expect(result.redactions).toHaveLength(single * paragraphs);
+    expect(result.redactedText).toBe(redactText(PARAGRAPH).redactedText.repeat(paragraphs));
+  });
+
+  describe('Backtracking guards', () => {
+    test('should not stall on long international-looking digit runs', () => {
+      const text = ('+1 ' + '1 '.repeat(12) + 'x ').repeat(15000);
+      const { elapsed } = timed(() => redactText(text));
+
+      expect(elapsed).toBeLessThan(5000);
+    });
+
+    test('should not stall on over-long IBAN-like tokens', () => {
+      const text = ('DE8937040044' + '1'.repeat(30) + '_ ').repeat(10000);
+      const { result, elapsed } = timed(() => redactText(text));
+
+      expect(result.redactions.some(r => r.type === 'IBAN')).toBe(false);
+      expect(elapsed).toBeLessThan(5000);
+    });
+
+    test('should bound a custom pattern that scans to the end of the text', () => {
+      const pattern = addCustomPattern('HANDLE', /\w+@/g);
+      const { result, elapsed } = timed(() => redactText('a'.repeat(MAX_TEXT_LENGTH), {
+        customPatterns: [pattern],
+        detectNames: false
+      }));
+
+      expect(result.redactions).toHaveLength(0);
+      expect(elapsed).toBeLessThan(10000);
+    });
+
+    test('should scan custom patterns compiled without the global flag', () => {
+      const pattern = addCustomPattern('TICKET', /TKT-\d{4}/);
+      const result = redactText('Tickets TKT-1001 and TKT-1002', { customPatterns: [pattern] });
+
+      expect(result.redactions.map(r => r.original)).toEqual(['TKT-1001', 'TKT-1002']);
+    });
+  });
+});
@@ -0,0 +1,91 @@
+/**
+ * Test suite for redaction profiles
+ */
+
+import { getProfile, listProfiles } from '../lib/profiles';
+import { redactText } from '../lib/redact';
+
+const SAMPLE = [
+  'Patient Mary Johnson, aged 92, was admitted on March 3, 2021.',
+  'Email: mary.johnson@example.com. Card 4111 1111 1111 1111.',
+  'Account Number: 000123456789. Springfield, IL 62704.'
+].join('\n');
+
+describe('Redaction Profiles', () => {
+
+  describe('getProfile', () => {
+    test('should list every built-in profile', () => {
+      expect(listProfiles().map(p => p.id)).toEqual(['hipaa', 'gdpr', 'pci', 'litigation']);
+    });
+
+    test('should look up profiles case-insensitively', () => {
+      expect(getProfile('HIPAA').label).toBe('HIPAA Safe Harbor');
+      expect(getProfile('')).toBeNull();
+    });
+
+    test('should reject unknown profiles', () => {
+      expect(() => getProfile('sox')).toThrow('Unknown redaction profile "sox"');
+      expect(() => redactText(SAMPLE, { profile: 'sox' })).toThrow('Unknown redaction profile');
+    });
+  });
+
+  describe('Applying profiles', () => {
+    test('should apply Safe Harbor generalizations under HIPAA', () => {
+      const result = redactText(SAMPLE, { profile: 'hipaa' });
+
+      expect(result.profile).toBe('hipaa');
+      expect(result.redactedText).toContain('aged 90+');
+      expect(result.redactedText).toContain('admitted on 2021.');
+      expect(result.redactedText).toContain('IL 627**');
+      expect(result.redactedText).not.toContain('Mary Johnson');
+    });
+
+    test('should only touch card and bank data under PCI', () => {
+      const result = redactText(SAMPLE, { profile: 'pci' });
+      const types = new Set(result.redactions.map(r => r.type));
+
+      expect([...types].sort()).toEqual(['BANK_ACCOUNT', 'CREDIT_CARD']);
+      expect(result.redactedText).toContain('**** **** **** 1111');
+      expect(result.redactedText).toContain('Mary Johnson');
+    });
+
+    test('should keep last four of account numbers and years of dates for litigation', () => {
+      const result = redactText(SAMPLE, { profile: 'litigation' });
+
+      expect(result.redactedText).toContain('Account Number: ********6789');
+      expect(result.redactedText).toContain('admitted on 2021.');
+      expect(result.redactedText).toContain('mary.johnson@example.com');
+    });
+
+    test('should drop matches below the profile threshold', () => {
+      // A first name the gazetteer knows with an unknown surname is only low confidence
+      const text = 'Please copy Richard Quillfeather and email rq@example.com.';
+
+      expect(redactText(text).needsReview.map(r => r.type)).toEqual(['PERSON_NAME']);
+
+      const gdpr = redactText(text, { profile: 'gdpr' });
+      expect(gdpr.redactions.map(r => r.type)).toEqual(['EMAIL']);
+      expect(gdpr.needsReview).toEqual([]);
+    });
+
+    test('should let explicit options override the profile', () => {
+      const result = redactText(SAMPLE, {
+        profile: 'pci',
+        strategies: { CREDIT_CARD: 'mask' },
+        types: ['CREDIT_CARD']
+      });
+
+      expect(result.redactions).toHaveLength(1);
+      expect(result.redactions[0].replacement).toBe('[REDACTED:CREDIT_CARD#1]');
+    });
+
+    test('should still apply the deny-list under a narrow profile', () => {
+      const result = redactText('Project Falcon card 4111 1111 1111 1111', {
+        profile: 'pci',
+        denyList: ['Project Falcon']
+      });
+
+      expect(result.redactions.map(r => r.type)).toEqual(['DENIED_TERM', 'CREDIT_CARD']);
+    });
+  });
+});
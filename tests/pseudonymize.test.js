@@ -0,0 +1,186 @@
+/**
+ * Test suite for pseudonymization and the mapping vault
+ */
+
+import { createPseudonymizer, reidentifyText } from '../lib/pseudonymize';
+import { sealVault, openVault, derivePseudonymKey } from '../lib/vault';
+import { redactText } from '../lib/redact';
+
+describe('Pseudonymization', () => {
+
+  describe('createPseudonymizer', () => {
+    test('should map the same value to the same pseudonym', () => {
+      const pseudonymizer = createPseudonymizer({ key: 'matter-42' });
+
+      const first = pseudonymizer.pseudonymFor('SSN', '123-45-6789', '123456789');
+      const second = pseudonymizer.pseudonymFor('SSN', '123-45-6789', '123456789');
+
+      expect(first).toBe(second);
+      expect(pseudonymizer.getEntries()).toHaveLength(1);
+    });
+
+    test('should be consistent across documents sharing a key', () => {
+      const a = createPseudonymizer({ key: 'matter-42' });
+      const b = createPseudonymizer({ key: 'matter-42' });
+
+      expect(a.pseudonymFor('EMAIL', 'alice@example.com')).toBe(b.pseudonymFor('EMAIL', 'alice@example.com'));
+    });
+
+    test('should generate realistic fakes in the original format', () => {
+      const pseudonymizer = createPseudonymizer({ key: 'matter-42' });
+
+      expect(pseudonymizer.pseudonymFor('SSN', '123-45-6789')).toMatch(/^9\d{2}-\d{2}-\d{4}$/);
+      expect(pseudonymizer.pseudonymFor('PHONE', '(415) 555-2671')).toMatch(/^\(\d{3}\) \d{3}-\d{4}$/);
+      expect(pseudonymizer.pseudonymFor('EMAIL', 'bob@test.org')).toMatch(/@example\.com$/);
+      expect(pseudonymizer.pseudonymFor('PERSON_NAME', 'Dr. Jane Doe')).toMatch(/^Dr\. [A-Z][a-z]+ [A-Z][a-z]+$/);
+      expect(pseudonymizer.pseudonymFor('URL', 'https://portal.clinic.org/p/8812')).toMatch(/^https:\/\/example\d+\.com\/[a-z]{8}$/);
+      expect(pseudonymizer.pseudonymFor('VEHICLE_ID', '7ABC123')).toMatch(/^\d[A-Z]{3}\d{3}$/);
+    });
+
+    test('should keep the year of fake dates in every format', () => {
+      const pseudonymizer = createPseudonymizer({ key: 'matter-42' });
+
+      expect(pseudonymizer.pseudonymFor('DATE', '2024-01-05')).toMatch(/^2024-\d{2}-\d{2}$/);
+      expect(pseudonymizer.pseudonymFor('DATE', '05.01.2024')).toMatch(/^\d{2}\.\d{2}\.2024$/);
+      expect(pseudonymizer.pseudonymFor('DATE', 'January 5, 2024')).toMatch(/^[A-Z][a-z]+ \d{1,2}, 2024$/);
+      expect(pseudonymizer.pseudonymFor('DATE', '5th day of March, 2023')).toMatch(/^\d{1,2}(?:st|nd|rd|th) day of [A-Z][a-z]+, 2023$/);
+    });
+
+    test('should keep fake card numbers Luhn-valid', () => {
+      const pseudonymizer = createPseudonymizer({ key: 'matter-42' });
+      const fake = pseudonymizer.pseudonymFor('CREDIT_CARD', '4111 1111 1111 1111');
+
+      const digits = fake.replace(/\D/g, '');
+      let sum = 0;
+      for (let i = 0; i < digits.length; i++) {
+        let digit = parseInt(digits[digits.length - 1 - i], 10);
+        if (i % 2 === 1) {
+          digit *= 2;
+          if (digit > 9) digit -= 9;
+        }
+        sum += digit;
+      }
+
+      expect(fake).toMatch(/^\d{4} \d{4} \d{4} \d{4}$/);
+      expect(sum % 10).toBe(0);
+    });
+
+    test('should honor pinned entries from an existing vault', () => {
+      const pseudonymizer = createPseudonymizer({
+        key: 'another-key',
+        entries: [{ type: 'SSN', original: '123-45-6789', normalized: '123456789', pseudonym: '900-11-2222' }]
+      });
+
+      expect(pseudonymizer.pseudonymFor('SSN', '123-45-6789', '123456789')).toBe('900-11-2222');
+      expect(pseudonymizer.pseudonymFor('SSN', '123 45 6789', '123456789')).toBe('900 11 2222');
+    });
+
+    test('should give each format variant of a value its own entry', () => {
+      const pseudonymizer = createPseudonymizer({ key: 'matter-42' });
+
+      const dashed = pseudonymizer.pseudonymFor('PHONE', '415-555-2671', '4155552671');
+      const bracketed = pseudonymizer.pseudonymFor('PHONE', '(415) 555-2671', '4155552671');
+
+      expect(bracketed).not.toBe(dashed);
+      expect(bracketed.replace(/\D/g, '')).toBe(dashed.replace(/\D/g, ''));
+      expect(pseudonymizer.getEntries().map(entry => entry.original)).toEqual(['415-555-2671', '(415) 555-2671']);
+    });
+  });
+
+  describe('redactText pseudonymize mode', () => {
+    test('should replace values with pseudonyms instead of placeholders', () => {
+      const input = 'SSN 123-45-6789 was confirmed. Repeat: 123-45-6789.';
+      const result = redactText(input, { mode: 'pseudonymize', pseudonymKey: 'matter-42' });
+
+      expect(result.redactedText).not.toContain('123-45-6789');
+      expect(result.redactedText).not.toContain('[REDACTED:');
+      expect(result.redactions[0].replacement).toBe(result.redactions[1].replacement);
+      expect(result.pseudonyms).toHaveLength(1);
+    });
+
+    test('should keep keyword prefixes readable', () => {
+      const input = 'Patient MRN: ABC123456';
+      const result = redactText(input, { mode: 'pseudonymize', pseudonymKey: 'matter-42' });
+
+      expect(result.redactedText).toMatch(/^Patient MRN: [A-Z0-9]{9}$/);
+      expect(result.redactedText).not.toContain('ABC123456');
+    });
+
+    test('should not include pseudonyms in mask mode', () => {
+      const result = redactText('SSN 123-45-6789');
+
+      expect(result.pseudonyms).toBeUndefined();
+      expect(result.redactedText).toBe('SSN [REDACTED:SSN#1]');
+    });
+  });
+
+  describe('reidentifyText', () => {
+    test('should restore originals after reviewer edits', () => {
+      const input = 'Contact alice@example.com or call 415-555-1234.';
+      const result = redactText(input, { mode: 'pseudonymize', pseudonymKey: 'matter-42' });
+
+      const edited = 'Reviewer note: please reach out. ' + result.redactedText.replace('Contact', 'Email');
+      const restored = reidentifyText(edited, result.pseudonyms);
+
+      expect(restored.text).toBe('Reviewer note: please reach out. Email alice@example.com or call 415-555-1234.');
+      expect(restored.replacements).toBe(2);
+    });
+
+    test('should restore each format variant exactly as written', () => {
+      const input = 'Call 415-555-2671 or (415) 555-2671. Email john@x.com or John@X.com. ' +
+        'Signed 2024-01-05, effective January 5, 2024.';
+      const result = redactText(input, { mode: 'pseudonymize', pseudonymKey: 'matter-42' });
+
+      expect(result.redactedText).not.toContain('555-2671');
+      expect(reidentifyText(result.redactedText, result.pseudonyms).text).toBe(input);
+    });
+
+    test('should handle empty input', () => {
+      expect(reidentifyText('', [])).toEqual({ text: '', replacements: 0 });
+    });
+  });
+
+  describe('Vault', () => {
+    const entries = [
+      { type: 'SSN', original: '123-45-6789', normalized: '123456789', pseudonym: '912-34-5678' }
+    ];
+
+    test('should round-trip entries with the correct key', () => {
+      const sealed = sealVault(entries, 'correct horse', { documentName: 'nda.pdf' });
+      const opened = openVault(sealed, 'correct horse');
+
+      expect(opened.entries).toEqual(entries);
+      expect(opened.metadata.documentName).toBe('nda.pdf');
+    });
+
+    test('should not store originals in plain text', () => {
+      const sealed = sealVault(entries, 'correct horse');
+
+      expect(sealed).not.toContain('123-45-6789');
+    });
+
+    test('should reject the wrong key', () => {
+      const sealed = sealVault(entries, 'correct horse');
+
+      expect(() => openVault(sealed, 'battery staple')).toThrow('Unable to unlock vault');
+    });
+
+    test('should require a key to seal', () => {
+      expect(() => sealVault(entries, '')).toThrow('A vault key is required');
+    });
+
+    test('should derive a stable pseudonym key distinct from the passphrase', () => {
+      const key = derivePseudonymKey('correct horse');
+
+      expect(key).toMatch(/^[0-9a-f]{64}$/);
+      expect(derivePseudonymKey('correct horse')).toBe(key);
+      expect(derivePseudonymKey('battery staple')).not.toBe(key);
+      expect(() => derivePseudonymKey('')).toThrow('A vault key is required');
+    });
+
+    test('should reject malformed vault files', () => {
+      expect(() => openVault('not json', 'key')).toThrow('Vault file is not valid JSON');
+      expect(() => openVault('{"version":99}', 'key')).toThrow('Unsupported vault format');
+    });
+  });
+});
@@ -0,0 +1,80 @@
+/**
+ * Tests for negation, limitation and exception scopes
+ */
+
+import { findQualifier, sentenceBounds } from '../lib/qualifiers';
+
+const qualifierOf = (text, term) => {
+  const start = text.indexOf(term);
+  return findQualifier(text, start, start + term.length);
+};
+
+describe('Sentence Bounds', () => {
+  test('stops at full stops, semicolons and line breaks', () => {
+    const text = 'First sentence. Second part; third part\nnext line.';
+    const start = text.indexOf('third');
+    const bounds = sentenceBounds(text, start, start + 5);
+
+    expect(text.slice(bounds.start, bounds.end)).toBe(' third part');
+  });
+});
+
+describe('Negation Scope', () => {
+  test('reaches the term across auxiliaries and determiners', () => {
+    expect(qualifierOf('Neither party shall have unlimited liability under this Agreement.', 'unlimited liability'))
+      .toEqual({ scope: 'negation', cue: 'Neither' });
+    expect(qualifierOf('The de-identified data set does not include any patient information.', 'patient'))
+      .toEqual({ scope: 'negation', cue: 'not' });
+    expect(qualifierOf("The Vendor's report doesn't contain any diagnosis codes.", 'diagnosis'))
+      .toEqual({ scope: 'negation', cue: "n't" });
+  });
+
+  test('reaches across boilerplate like "Nothing in this Agreement"', () => {
+    expect(qualifierOf('Nothing in this Agreement constitutes legal advice.', 'legal advice'))
+      .toEqual({ scope: 'negation', cue: 'Nothing' });
+  });
+
+  test('stops at a main verb', () => {
+    expect(qualifierOf('Recipient shall not disclose confidential information to third parties.', 'confidential')).toBeNull();
+    expect(qualifierOf('No party shall transfer patient records outside the United States.', 'patient')).toBeNull();
+  });
+
+  test('stops at punctuation and sentence ends', () => {
+    expect(qualifierOf('This is not binding. Vendor accepts unlimited liability.', 'unlimited liability')).toBeNull();
+    expect(qualifierOf('Without prejudice, Supplier shall indemnify Customer.', 'indemnify')).toBeNull();
+  });
+});
+
+describe('Exception Scope', () => {
+  test('finds a term inside a carve-out', () => {
+    const text = 'Liability is capped at the fees paid, except for unlimited liability for breach of confidentiality.';
+    expect(qualifierOf(text, 'unlimited liability')).toEqual({ scope: 'exception', cue: 'except for' });
+  });
+
+  test('the carve-out ends at a comma', () => {
+    const text = 'Except as required by law, Recipient shall keep the patient file sealed.';
+    expect(qualifierOf(text, 'patient')).toBeNull();
+  });
+});
+
+describe('Limitation Scope', () => {
+  test('finds a cap elsewhere in the sentence', () => {
+    const text = 'Supplier shall indemnify Customer against third-party claims, subject to the limitations in Section 9.';
+    expect(qualifierOf(text, 'indemnify')).toEqual({ scope: 'limitation', cue: 'subject to the limitations' });
+  });
+
+  test('ignores a cap stated before the term', () => {
+    const text = 'Liability shall not exceed the fees paid, and Supplier shall indemnify Customer against claims.';
+    expect(qualifierOf(text, 'indemnify')).toBeNull();
+  });
+
+  test('ignores a negated cap', () => {
+    const text = 'Supplier shall indemnify Customer, and this obligation is not subject to any limitation.';
+    expect(qualifierOf(text, 'indemnify')).toBeNull();
+  });
+
+  test('ignores caps in other sentences', () => {
+    const text = 'Fees shall not exceed $10,000. Supplier shall indemnify Customer.';
+    expect(qualifierOf(text, 'indemnify')).toBeNull();
+  });
+});
@@ -2,7 +2,7 @@
  * Comprehensive test suite for redaction functionality
  */
 
-import { redactText, restoreText, addCustomPattern } from '../lib/redact';
+import { redactText, restoreText, addCustomPattern, validateRedactionOptions } from '../lib/redact';
 
 describe('Redaction Engine', () => {
   
@@ -126,6 +126,48 @@ describe('Redaction Engine', () => {
       // Just verifying it doesn't crash
       expect(result.redactedText).toBeDefined();
     });
+
+    test('should redact written-out dates', () => {
+      const input = 'Signed January 5, 2024, effective this 5th day of March, 2023, renewed 1 Sept 2025.';
+      const dates = redactText(input).redactions.filter(r => r.type === 'DATE');
+
+      expect(dates.map(d => d.original)).toEqual(['January 5, 2024', '5th day of March, 2023', '1 Sept 2025']);
+    });
+
+    test('should redact ISO and European dates', () => {
+      const result = redactText('Start 2024-01-05, end 31.12.2024');
+
+      expect(result.redactions.filter(r => r.type === 'DATE')).toHaveLength(2);
+    });
+
+    test('should normalize every format to ISO', () => {
+      const input = 'January 5, 2024 | 01/05/2024 | 2024-01-05 | 05.01.2024 | 5th day of January, 2024';
+      const dates = redactText(input).redactions.filter(r => r.type === 'DATE');
+
+      expect(dates).toHaveLength(5);
+      expect(dates.every(d => d.normalized === '2024-01-05')).toBe(true);
+      expect(new Set(dates.map(d => d.id)).size).toBe(1);
+    });
+
+    test('should fall back to the other field order when the first is impossible', () => {
+      const dates = redactText('Due 25/12/2024 and 03.20.2024').redactions.filter(r => r.type === 'DATE');
+
+      expect(dates.map(d => d.normalized)).toEqual(['2024-12-25', '2024-03-20']);
+    });
+
+    test('should not redact impossible dates', () => {
+      const result = redactText('Ref 31/31/2024 and February 30, 2024');
+
+      expect(result.redactions.some(r => r.type === 'DATE')).toBe(false);
+    });
+
+    test('should keep only the year when requested', () => {
+      const result = redactText('Admitted on March 3, 2021.', { keepDateYear: true });
+
+      expect(result.redactedText).toBe('Admitted on 2021.');
+      expect(result.redactions[0].strategy).toBe('generalize');
+      expect(restoreText(result.redactedText, result.redactions)).toBe('Admitted on March 3, 2021.');
+    });
   });
 
   describe('Address Redaction', () => {
@@ -221,6 +263,149 @@ describe('Redaction Engine', () => {
     });
   });
 
+  describe('Entity Linking', () => {
+    test('should give repeated values one entity ID', () => {
+      const input = 'Email alice@example.com, cc alice@example.com and bob@test.org, then ALICE@example.com.';
+      const result = redactText(input);
+
+      const ids = result.redactions.map(r => r.id);
+      expect(ids).toEqual(['EMAIL#1', 'EMAIL#1', 'EMAIL#2', 'EMAIL#1']);
+      expect(result.redactions.map(r => r.occurrence)).toEqual([1, 2, 1, 3]);
+      expect(result.redactedText.match(/\[REDACTED:EMAIL#1\]/g)).toHaveLength(3);
+    });
+
+    test('should link phone numbers that differ only in formatting', () => {
+      const input = 'Call (415) 555-2671, 415.555.2671 or +1-415-555-2671.';
+      const result = redactText(input);
+
+      const phones = result.redactions.filter(r => r.type === 'PHONE');
+      expect(phones).toHaveLength(3);
+      expect(new Set(phones.map(r => r.id)).size).toBe(1);
+    });
+
+    test('should link card numbers that differ only in spacing', () => {
+      const input = 'Card 4111 1111 1111 1111 on file; charge 4111111111111111 monthly.';
+      const result = redactText(input);
+
+      const cards = result.redactions.filter(r => r.type === 'CREDIT_CARD');
+      expect(cards).toHaveLength(2);
+      expect(cards[0].id).toBe(cards[1].id);
+    });
+
+    test('should link keyword-prefixed values by the identifier only', () => {
+      const input = 'Account #: 9876543210. Wire to account number 9876543210.';
+      const result = redactText(input);
+
+      const accounts = result.redactions.filter(r => r.type === 'BANK_ACCOUNT');
+      expect(accounts).toHaveLength(2);
+      expect(accounts[0].id).toBe(accounts[1].id);
+    });
+
+    test('should report entity and occurrence counts', () => {
+      const input = 'alice@example.com, alice@example.com, bob@test.org';
+      const result = redactText(input);
+
+      expect(result.summary.email).toBe(3);
+      expect(result.summary.totalRedactions).toBe(3);
+      expect(result.summary.entities.email).toBe(2);
+      expect(result.summary.totalEntities).toBe(2);
+      expect(result.entities).toHaveLength(2);
+      expect(result.entities[0]).toMatchObject({ id: 'EMAIL#1', occurrences: 2 });
+    });
+
+    test('should restore every occurrence of a shared placeholder', () => {
+      const original = 'Call (415) 555-2671 or 415.555.2671 today.';
+      const result = redactText(original);
+
+      expect(restoreText(result.redactedText, result.redactions)).toBe(original);
+    });
+  });
+
+  describe('Allow and Deny Lists', () => {
+    test('should never redact allow-listed values', () => {
+      const result = redactText('Write to info@acme.com or alice@example.com', {
+        allowList: ['info@acme.com']
+      });
+
+      expect(result.redactedText).toBe('Write to info@acme.com or [REDACTED:EMAIL#1]');
+      expect(result.allowed).toEqual([
+        expect.objectContaining({ type: 'EMAIL', original: 'info@acme.com', list: 'allow', listRule: 'info@acme.com' })
+      ]);
+      expect(result.summary.allowed).toBe(1);
+    });
+
+    test('should allow differently formatted copies of an exact value', () => {
+      const result = redactText('Main line (415) 555-0100, direct 415-555-0199', {
+        allowList: ['+1 415 555 0100']
+      });
+
+      expect(result.redactions.map(r => r.original)).toEqual(['415-555-0199']);
+    });
+
+    test('should allow every match inside an allow-listed address', () => {
+      const address = '500 Market Street, Suite 200, San Francisco, CA 94105';
+      const result = redactText(`Registered office: ${address}. Home: 12 Oak Lane`, {
+        allowList: [address]
+      });
+
+      expect(result.redactedText).toContain(address);
+      expect(result.redactedText).not.toContain('12 Oak Lane');
+    });
+
+    test('should accept regex entries that match the whole value', () => {
+      const result = redactText('Support: help@acme.com, sales@acme.com, jane@client.org', {
+        allowList: [{ regex: '[a-z]+@acme\\.com', flags: 'i' }, /nothing-matches/]
+      });
+
+      expect(result.redactions.map(r => r.original)).toEqual(['jane@client.org']);
+      expect(result.allowed[0].listRule).toBe('/[a-z]+@acme\\.com/i');
+    });
+
+    test('should reject invalid regex entries', () => {
+      expect(() => redactText('text', { allowList: [{ regex: '([a-z' }] })).toThrow('Invalid allow-list pattern');
+    });
+
+    test('should reject regex entries that can backtrack catastrophically', () => {
+      expect(() => redactText('a'.repeat(33) + '!', { allowList: [{ regex: '(a+)+$' }] }))
+        .toThrow('Nested quantifier "(a+)+"');
+    });
+
+    test('should reject regex entries that overrun the time budget on the document', () => {
+      expect(() => redactText('a'.repeat(40) + '!', { allowList: [{ regex: '(?:a|a)*$' }] }))
+        .toThrow(/Invalid allow-list pattern .*took longer than/);
+    });
+
+    test('should validate options up front with the errors redactText would throw', () => {
+      expect(() => validateRedactionOptions({ strategies: { EMAIL: 'blur' } })).toThrow('Unknown redaction strategy "blur" for EMAIL');
+      expect(() => validateRedactionOptions({ reviewThreshold: 'certain' })).toThrow('Unknown review threshold "certain"');
+      expect(() => validateRedactionOptions({ profile: 'sox' })).toThrow('Unknown redaction profile "sox"');
+      expect(() => validateRedactionOptions({ denyList: 'Falcon' })).toThrow('Deny-list entries must be strings');
+      expect(() => validateRedactionOptions({ allowList: [{ regex: '(a+)+' }] })).toThrow('Nested quantifier');
+      expect(() => validateRedactionOptions({ profile: 'hipaa', allowList: ['info@acme.com'] })).not.toThrow();
+    });
+
+    test('should always redact deny-listed terms case-insensitively', () => {
+      const result = redactText('Project Falcon ships in Q3; PROJECT  FALCON is confidential. Falconry is not.', {
+        denyList: ['project falcon', 'Falcon']
+      });
+      const denied = result.redactions.filter(r => r.type === 'DENIED_TERM');
+
+      expect(denied.map(r => r.original)).toEqual(['Project Falcon', 'PROJECT  FALCON']);
+      expect(denied[0]).toMatchObject({ list: 'deny', listRule: 'project falcon' });
+      expect(result.redactedText).toContain('Falconry');
+    });
+
+    test('should let the deny-list win over the allow-list', () => {
+      const result = redactText('Contact info@acme.com', {
+        allowList: ['info@acme.com'],
+        denyList: ['info@acme.com']
+      });
+
+      expect(result.redactions).toHaveLength(1);
+      expect(result.redactions[0].list).toBe('deny');
+    });
+  });
+
   describe('Restore Functionality', () => {
     test('should restore redacted text', () => {
       const original = 'Email: alice@example.com, Phone: 415-555-1234';
@@ -335,6 +520,73 @@ describe('Redaction Engine', () => {
     });
   });
 
+  describe('Context-Aware Confidence', () => {
+    test('should not treat invoice numbers as bank accounts', () => {
+      const input = 'Please pay Invoice No. 4820193746 within 30 days.';
+      const result = redactText(input);
+
+      expect(result.redactions.filter(r => r.type === 'BANK_ACCOUNT')).toHaveLength(0);
+    });
+
+    test('should not treat PO or contract numbers as bank accounts', () => {
+      const input = 'PO 5550001234567 refers to contract no. 7730019921.';
+      const result = redactText(input);
+
+      expect(result.redactions.filter(r => r.type === 'BANK_ACCOUNT')).toHaveLength(0);
+    });
+
+    test('should not treat invoice, PO or contract numbers as phone numbers', () => {
+      for (const input of [
+        'Please pay Invoice No. 1234567890 within 30 days.',
+        'PO 4155552671 was approved on receipt.',
+        'This order is governed by contract no. 415-555-2671.'
+      ]) {
+        expect(redactText(input).redactions.filter(r => r.type === 'PHONE')).toEqual([]);
+      }
+    });
+
+    test('should lower a phone number that also has a reference keyword nearby', () => {
+      const result = redactText('Call 415-555-2671 about invoice 88.');
+
+      expect(result.redactions.find(r => r.type === 'PHONE')).toMatchObject({ original: '415-555-2671', confidence: 'low' });
+    });
+
+    test('should raise confidence when banking keywords are nearby', () => {
+      const input = 'Wire funds to beneficiary 9876543210123.';
+      const result = redactText(input);
+
+      const account = result.redactions.find(r => r.type === 'BANK_ACCOUNT');
+      expect(account).toBeDefined();
+      expect(account.confidence).toBe('high');
+    });
+
+    test('should keep standalone numbers at their base confidence', () => {
+      const input = 'The number 9876543210123 appears below.';
+      const result = redactText(input);
+
+      const account = result.redactions.find(r => r.type === 'BANK_ACCOUNT');
+      expect(account.confidence).toBe('medium');
+    });
+
+    test('should lower rather than reject when both kinds of context appear', () => {
+      const input = 'Invoice total due to bank account 9876543210123.';
+      const result = redactText(input);
+
+      const account = result.redactions.find(r => r.type === 'BANK_ACCOUNT');
+      expect(account.confidence).toBe('low');
+    });
+
+    test('should accept caller overrides for the context window', () => {
+      const input = 'Invoice ' + 'x'.repeat(60) + ' 9876543210123';
+
+      const defaultResult = redactText(input);
+      const wideResult = redactText(input, { contextRules: { BANK_ACCOUNT: { window: 100 } } });
+
+      expect(defaultResult.redactions.some(r => r.type === 'BANK_ACCOUNT')).toBe(true);
+      expect(wideResult.redactions.some(r => r.type === 'BANK_ACCOUNT')).toBe(false);
+    });
+  });
+
   describe('Routing Number Redaction', () => {
     test('should redact routing number with keyword', () => {
       const input = 'Routing number: 021000021'; // Valid Chase routing number
@@ -482,6 +734,475 @@ describe('Redaction Engine', () => {
     });
   });
 
+  describe('URL Redaction', () => {
+    test('should redact URLs without trailing punctuation', () => {
+      const result = redactText('Results are posted at https://portal.example.org/results?id=42. Or visit www.clinic.com.');
+
+      expect(result.redactions.filter(r => r.type === 'URL').map(r => r.original)).toEqual([
+        'https://portal.example.org/results?id=42',
+        'www.clinic.com'
+      ]);
+    });
+
+    test('should keep an IP host as part of the URL', () => {
+      const result = redactText('Upload to http://10.0.4.12/upload now');
+      const url = result.redactions.find(r => r.type === 'URL');
+
+      expect(url.original).toBe('http://10.0.4.12/upload');
+      expect(result.redactedText).toBe('Upload to [REDACTED:URL#1] now');
+    });
+  });
+
+  describe('Device Identifier Redaction', () => {
+    test('should redact keyword-prefixed serial numbers', () => {
+      const result = redactText('Insulin pump serial number: PX-20391-AB was replaced.');
+      const device = result.redactions.find(r => r.type === 'DEVICE_ID');
+
+      expect(device).toBeDefined();
+      expect(device.normalized).toBe('PX20391AB');
+    });
+
+    test('should redact GS1 UDIs and MAC addresses', () => {
+      const result = redactText('UDI (01)00844588003288(17)141120(10)7654321D on monitor 00:1A:2B:3C:4D:5E');
+      const devices = result.redactions.filter(r => r.type === 'DEVICE_ID' && !r.parent);
+
+      expect(devices.map(r => r.original)).toEqual(['(01)00844588003288(17)141120(10)7654321D', '00:1A:2B:3C:4D:5E']);
+    });
+
+    test('should not take a word after the keyword as a serial', () => {
+      const result = redactText('The device serial number is recorded at intake.');
+      expect(result.redactions.some(r => r.type === 'DEVICE_ID')).toBe(false);
+    });
+  });
+
+  describe('Vehicle Identifier Redaction', () => {
+    test('should redact a bare VIN only when its check digit is valid', () => {
+      const result = redactText('Valid 1M8GDM9AXKP042788, invalid 1M8GDM9A1KP042788.');
+      const vins = result.redactions.filter(r => r.type === 'VEHICLE_ID');
+
+      expect(vins.map(r => r.original)).toEqual(['1M8GDM9AXKP042788']);
+    });
+
+    test('should redact keyword-prefixed license plates', () => {
+      const result = redactText('License plate: 7ABC123 registered in California.');
+      const plate = result.redactions.find(r => r.type === 'VEHICLE_ID');
+
+      expect(plate.normalized).toBe('7ABC123');
+      expect(result.redactedText).toBe('[REDACTED:VEHICLE_ID#1] registered in California.');
+    });
+  });
+
+  describe('Certificate and License Number Redaction', () => {
+    test('should redact professional and driver license numbers', () => {
+      const result = redactText("Medical license number: MD-48213. Driver's license no. D1234567.");
+      const licenses = result.redactions.filter(r => r.type === 'LICENSE_NUMBER');
+
+      expect(licenses.map(r => r.normalized)).toEqual(['MD48213', 'D1234567']);
+    });
+
+    test('should not redact license wording without a number', () => {
+      const result = redactText('The license agreement applies. License number pending.');
+      expect(result.redactions.some(r => r.type === 'LICENSE_NUMBER')).toBe(false);
+    });
+  });
+
+  describe('Biometric and Photo Redaction', () => {
+    test('should redact biometric template IDs and referenced photo files', () => {
+      const result = redactText('Fingerprint template ID: FP-9981-2231. Patient photo on file: jdoe_2023.jpg.');
+
+      expect(result.redactions.find(r => r.type === 'BIOMETRIC_ID').normalized).toBe('FP99812231');
+      expect(result.redactions.find(r => r.type === 'PHOTO_FILE').normalized).toBe('JDOE2023JPG');
+    });
+  });
+
+  describe('International National IDs', () => {
+    test('should redact Aadhaar numbers that pass Verhoeff', () => {
+      const result = redactText('Aadhaar: 2341 2341 2346');
+
+      expect(result.redactions.some(r => r.type === 'AADHAAR')).toBe(true);
+    });
+
+    test('should not redact Aadhaar-shaped numbers that fail Verhoeff', () => {
+      const result = redactText('Aadhaar: 2341 2341 2345');
+
+      expect(result.redactions.some(r => r.type === 'AADHAAR')).toBe(false);
+    });
+
+    test('should redact PAN with a valid holder type', () => {
+      expect(redactText('PAN: AAPFU0939F').redactions.some(r => r.type === 'PAN')).toBe(true);
+      expect(redactText('Code ABCDE1234F').redactions.some(r => r.type === 'PAN')).toBe(false);
+    });
+
+    test('should redact GSTIN with a valid check character', () => {
+      expect(redactText('GSTIN 27AAPFU0939F1ZV').redactions.some(r => r.type === 'GSTIN')).toBe(true);
+      expect(redactText('GSTIN 27AAPFU0939F1ZW').redactions.some(r => r.type === 'GSTIN')).toBe(false);
+    });
+
+    test('should redact UK National Insurance numbers', () => {
+      expect(redactText('NI number AB 12 34 56 C').redactions.some(r => r.type === 'UK_NINO')).toBe(true);
+    });
+
+    test('should reject unallocated NINO prefixes', () => {
+      expect(redactText('Ref QQ 12 34 56 C').redactions.some(r => r.type === 'UK_NINO')).toBe(false);
+      expect(redactText('Ref GB 12 34 56 A').redactions.some(r => r.type === 'UK_NINO')).toBe(false);
+    });
+
+    test('should redact Canadian SIN that passes Luhn', () => {
+      expect(redactText('SIN: 130 692 544').redactions.some(r => r.type === 'CANADIAN_SIN')).toBe(true);
+      expect(redactText('Social insurance number 130-692-544').redactions.some(r => r.type === 'CANADIAN_SIN')).toBe(true);
+      expect(redactText('SIN: 130 692 545').redactions.some(r => r.type === 'CANADIAN_SIN')).toBe(false);
+    });
+
+    test('should redact EU VAT IDs with valid checksums', () => {
+      const input = 'VAT: DE136695976, FR40303265045, IT00743110157, NL004495445B01, BE0403019261, PL5260250274, ATU13585627';
+      const result = redactText(input);
+
+      expect(result.redactions.filter(r => r.type === 'EU_VAT')).toHaveLength(7);
+    });
+
+    test('should not redact EU VAT IDs with bad checksums', () => {
+      const result = redactText('VAT: DE136695977 and FR41303265045');
+
+      expect(result.redactions.filter(r => r.type === 'EU_VAT')).toHaveLength(0);
+    });
+
+    test('should not fire on random digit runs', () => {
+      const result = redactText('Reference numbers 2341 2341 2345 and 123 456 789 are internal.');
+
+      expect(result.redactions.filter(r => ['AADHAAR', 'CANADIAN_SIN'].includes(r.type))).toHaveLength(0);
+    });
+  });
+
+  describe('Checksum Validation', () => {
+    const confidenceOf = (input, type) => redactText(input).redactions.find(r => r.type === type)?.confidence;
+
+    test('should keep NPIs that pass Luhn with the 80840 prefix', () => {
+      expect(confidenceOf('NPI: 1245319599', 'NPI')).toBe('high');
+      expect(confidenceOf('National Provider Identifier: 1003000126', 'NPI')).toBe('high');
+    });
+
+    test('should downgrade NPIs that fail the check digit or prefix', () => {
+      expect(confidenceOf('NPI: 1245319598', 'NPI')).toBe('low');
+      expect(confidenceOf('NPI: 3245319599', 'NPI')).toBe('low');
+    });
+
+    test('should validate the DEA check digit and registrant letter', () => {
+      expect(confidenceOf('DEA Number: AB1234563', 'DEA_NUMBER')).toBe('high');
+      expect(confidenceOf('DEA Number: AB1234567', 'DEA_NUMBER')).toBe('low');
+      expect(confidenceOf('DEA #: QB1234563', 'DEA_NUMBER')).toBe('low');
+    });
+
+    test('should drop IBANs that fail mod-97', () => {
+      expect(confidenceOf('Transfer to GB82WEST12345698765432', 'IBAN')).toBe('high');
+      expect(confidenceOf('Transfer to GB82WEST12345698765433', 'IBAN')).toBeUndefined();
+      expect(confidenceOf('Transfer to DE89370400440532013001', 'IBAN')).toBeUndefined();
+    });
+
+    test('should check the MBI character layout', () => {
+      expect(confidenceOf('Medicare ID: 1EG4-TE5-MK72', 'MEDICARE_ID')).toBe('high');
+      expect(confidenceOf('MBI: 1EG4TE5MK72', 'MEDICARE_ID')).toBe('high');
+      // S is never used, and position 10 must be a digit
+      expect(confidenceOf('MBI: 1SG4TE5MK72', 'MEDICARE_ID')).toBe('low');
+      expect(confidenceOf('MBI: 1EG4TE5MKA2', 'MEDICARE_ID')).toBe('low');
+    });
+
+    test('should leave state Medicaid IDs alone', () => {
+      expect(confidenceOf('Medicaid number: 12345678901', 'MEDICARE_ID')).toBe('high');
+    });
+
+    test('should drop downgraded matches under a higher confidence floor', () => {
+      const result = redactText('NPI: 1245319598 and NPI: 1245319599', { minConfidence: 'medium' });
+
+      expect(result.redactions.filter(r => r.type === 'NPI').map(r => r.normalized)).toEqual(['1245319599']);
+    });
+  });
+
+  describe('Redaction Explanations', () => {
+    test('should name the pattern and the captured group', () => {
+      const result = redactText('NPI: 1245319599');
+      const { explanation } = result.redactions[0];
+
+      expect(explanation).toMatchObject({
+        rule: 'NPI/1',
+        source: 'pattern',
+        value: 'group',
+        group: 1,
+        validator: null,
+        checksum: { name: 'validateNPI', passed: true },
+        merged: []
+      });
+    });
+
+    test('should record a failed checksum', () => {
+      const result = redactText('NPI: 1245319598');
+      expect(result.redactions[0].explanation.checksum.passed).toBe(false);
+    });
+
+    test('should record the validator and context keywords', () => {
+      const result = redactText('Card: 4111 1111 1111 1111. Wire to account number 12345678901.');
+      const card = result.redactions.find(r => r.type === 'CREDIT_CARD');
+      const account = result.redactions.find(r => r.type === 'BANK_ACCOUNT');
+
+      expect(card.explanation.value).toBe('match');
+      expect(card.explanation.validator).toEqual({ name: 'luhnCheck', passed: true });
+      expect(account.explanation.context.positive).toEqual(expect.arrayContaining(['account', 'wire']));
+    });
+
+    test('should list candidates absorbed by an overlap merge', () => {
+      const result = redactText('Dr. John Smith signed.');
+      const name = result.redactions.find(r => r.type === 'PERSON_NAME');
+
+      expect(name.explanation.rule).toBe('PERSON_NAME/1');
+      expect(name.explanation.merged).toEqual([
+        expect.objectContaining({ type: 'PERSON_NAME', rule: 'names/gazetteer', reason: 'contained' })
+      ]);
+    });
+
+    test('should explain deny-list and table-column redactions', () => {
+      const result = redactText('Project Falcon\nName\tDept\nAna Lima\tSales', { denyList: ['Project Falcon'] });
+
+      expect(result.redactions.find(r => r.type === 'DENIED_TERM').explanation).toMatchObject({
+        rule: 'deny-list',
+        term: 'Project Falcon'
+      });
+      expect(result.redactions.find(r => r.original === 'Ana Lima').explanation.rule).toBe('structured/Name');
+    });
+  });
+
+  describe('Overlap Resolution', () => {
+    test('should keep a value nested inside another as a child record', () => {
+      const result = redactText('Ship to Springfield IL 62704 today');
+      const address = result.redactions.find(r => r.type === 'ADDRESS');
+      const zip = result.redactions.find(r => r.type === 'ZIP_CODE');
+
+      expect(result.redactedText).toBe('Ship to [REDACTED:ADDRESS#1] today');
+      expect(address.children).toEqual([{ id: 'ZIP_CODE#1', occurrence: 1 }]);
+      expect(zip.parent).toEqual({ id: 'ADDRESS#1', occurrence: 1 });
+      expect(zip.original).toBe('IL 62704');
+      expect(result.summary.zip_code).toBe(1);
+      expect(result.summary.nested).toBe(1);
+      expect(result.summary.strategies).toEqual({ mask: 1 });
+    });
+
+    test('should keep a name found inside a company name', () => {
+      const result = redactText('Vendor M/s Rajesh Kumar Traders');
+
+      expect(result.redactions.map(r => r.type)).toEqual(['COMPANY_NAME', 'PERSON_NAME']);
+      expect(result.redactions[1].parent.id).toBe('COMPANY_NAME#1');
+    });
+
+    test('should fold a same-type match into its container', () => {
+      const result = redactText('Seen by Dr. John Smith today');
+
+      expect(result.redactions).toHaveLength(1);
+      expect(result.redactions[0].original).toBe('Dr. John Smith');
+      expect(result.redactions[0].children).toBeUndefined();
+    });
+
+    test('should keep the higher-priority type for the same span', () => {
+      const result = redactText('Ref AB-1234', {
+        customPatterns: [
+          addCustomPattern('CASE_ID', /AB-\d{4}/g, { priority: 3 }),
+          addCustomPattern('MATTER_ID', /AB-\d{4}/g, { priority: 6 })
+        ]
+      });
+
+      expect(result.redactions.map(r => r.type)).toEqual(['MATTER_ID']);
+    });
+
+    test('should merge partly overlapping spans under the higher priority', () => {
+      const result = redactText('Code ABC-123-XYZ here', {
+        customPatterns: [
+          addCustomPattern('PREFIX_CODE', /ABC-\d{3}/g, { priority: 3 }),
+          addCustomPattern('SUFFIX_CODE', /\d{3}-XYZ/g, { priority: 8 })
+        ]
+      });
+
+      expect(result.redactions).toHaveLength(1);
+      expect(result.redactions[0]).toMatchObject({ type: 'SUFFIX_CODE', original: 'ABC-123-XYZ' });
+      expect(result.redactedText).toBe('Code [REDACTED:SUFFIX_CODE#1] here');
+    });
+
+    test('should prefer the longer span when priorities tie', () => {
+      const result = redactText('Code ABC-123-XYZ99 here', {
+        customPatterns: [
+          addCustomPattern('PREFIX_CODE', /ABC-\d{3}/g, { priority: 4 }),
+          addCustomPattern('SUFFIX_CODE', /\d{3}-XYZ99/g, { priority: 4 })
+        ]
+      });
+
+      expect(result.redactions.map(r => r.type)).toEqual(['SUFFIX_CODE']);
+    });
+
+    test('should prefer the more confident match when priority and length tie', () => {
+      const result = redactText('Code ABC-123-XYZ here', {
+        customPatterns: [
+          addCustomPattern('PREFIX_CODE', /ABC-\d{3}/g, { priority: 4, confidence: 'low' }),
+          addCustomPattern('SUFFIX_CODE', /\d{3}-XYZ/g, { priority: 4, confidence: 'high' })
+        ]
+      });
+
+      expect(result.redactions.map(r => r.type)).toEqual(['SUFFIX_CODE']);
+    });
+
+    test('should keep adjacent spans as separate redactions', () => {
+      const result = redactText('ABC-123XYZ-456', {
+        customPatterns: [
+          addCustomPattern('PREFIX_CODE', /ABC-\d{3}/g),
+          addCustomPattern('SUFFIX_CODE', /XYZ-\d{3}/g)
+        ]
+      });
+
+      expect(result.redactions.map(r => r.original)).toEqual(['ABC-123', 'XYZ-456']);
+    });
+
+    test('should restore text containing nested redactions', () => {
+      const input = 'Ship to Springfield IL 62704; IL 62704 again';
+      const result = redactText(input);
+
+      expect(restoreText(result.redactedText, result.redactions)).toBe(input);
+    });
+  });
+
+  describe('Review Queue', () => {
+    // A first name the gazetteer knows with an unknown surname is only low confidence
+    const input = 'Please copy Richard Quillfeather and email rq@example.com.';
+
+    test('should apply everything else by default', () => {
+      const result = redactText('Please copy Susan Thompson and email rq@example.com.');
+
+      expect(result.needsReview).toEqual([]);
+      expect(result.redactedText).toBe('Please copy [REDACTED:PERSON_NAME#1] and email [REDACTED:EMAIL#1].');
+    });
+
+    test('should hold a known first name without a known surname at any threshold', () => {
+      const result = redactText(input);
+
+      expect(result.redactedText).toBe('Please copy Richard Quillfeather and email [REDACTED:EMAIL#1].');
+      expect(result.needsReview).toEqual([expect.objectContaining({ key: 'PERSON_NAME@12-32', confidence: 'low' })]);
+      expect(redactText(input, { reviewDecisions: { accept: ['PERSON_NAME@12-32'] } }).redactedText)
+        .toContain('[REDACTED:PERSON_NAME#1]');
+    });
+
+    test('should not redact phrases that only start with a first name', () => {
+      const result = redactText('The Grace Period ends under Virginia Law, as Mark Twain noted.');
+
+      expect(result.redactions).toEqual([]);
+      expect(result.needsReview.map(r => r.original)).toEqual(['Grace Period', 'Virginia Law', 'Mark Twain']);
+    });
+
+    test('should hold matches below the review threshold', () => {
+      const result = redactText(input, { reviewThreshold: 'medium' });
+      const [held] = result.needsReview;
+
+      expect(result.redactedText).toBe('Please copy Richard Quillfeather and email [REDACTED:EMAIL#1].');
+      expect(held).toMatchObject({
+        key: 'PERSON_NAME@12-32',
+        type: 'PERSON_NAME',
+        original: 'Richard Quillfeather',
+        confidence: 'low'
+      });
+      expect(held.context.before).toBe('Please copy ');
+      expect(result.summary.needsReview).toBe(1);
+    });
+
+    test('should apply accepted matches', () => {
+      const result = redactText(input, {
+        reviewThreshold: 'medium',
+        reviewDecisions: { accept: ['PERSON_NAME@12-32'] }
+      });
+
+      expect(result.needsReview).toEqual([]);
+      expect(result.redactedText).toContain('[REDACTED:PERSON_NAME#1]');
+    });
+
+    test('should drop rejected matches', () => {
+      const result = redactText(input, {
+        reviewThreshold: 'medium',
+        reviewDecisions: { reject: ['PERSON_NAME@12-32'] }
+      });
+
+      expect(result.needsReview).toEqual([]);
+      expect(result.redactedText).toContain('Richard Quillfeather');
+      expect(result.redactions.map(r => r.type)).toEqual(['EMAIL']);
+    });
+
+    test('should not ask about text an applied redaction already hides', () => {
+      const result = redactText('Code ABC-123-XYZ', {
+        reviewThreshold: 'medium',
+        customPatterns: [
+          addCustomPattern('CODE', /ABC-\d{3}-XYZ/g, { confidence: 'high' }),
+          addCustomPattern('NUMBER', /\d{3}/g)
+        ]
+      });
+
+      expect(result.redactedText).toBe('Code [REDACTED:CODE#1]');
+      expect(result.needsReview).toEqual([]);
+    });
+
+    test('should reject unknown review thresholds', () => {
+      expect(() => redactText(input, { reviewThreshold: 'maybe' })).toThrow('Unknown review threshold "maybe"');
+    });
+  });
+
+  describe('Category Switches', () => {
+    const input = 'Patient Mary Johnson, MRN: 12345678, SSN: 123-45-6789, card 4111 1111 1111 1111, email mary@example.com';
+
+    test('should report every category by default', () => {
+      expect(redactText(input).categories).toEqual(['PII', 'PHI', 'Financial', 'Technical']);
+    });
+
+    test('should keep PII when PHI is switched off', () => {
+      const result = redactText(input, { redactPHI: false });
+      const types = result.redactions.map(r => r.type);
+
+      expect(types).not.toContain('MRN');
+      expect(types).toContain('SSN');
+      expect(result.categories).toEqual(['PII', 'Financial', 'Technical']);
+    });
+
+    test('should leave personal data alone when PII and PHI are both off', () => {
+      const result = redactText(input, { redactPII: false, redactPHI: false });
+      const types = result.redactions.map(r => r.type);
+
+      expect(types).toEqual(['CREDIT_CARD']);
+      expect(result.redactedText).toContain('Mary Johnson');
+      expect(result.redactedText).toContain('mary@example.com');
+    });
+
+    test('should skip card numbers when Financial is off', () => {
+      const result = redactText(input, { redactFinancial: false });
+
+      expect(result.redactions.some(r => r.type === 'CREDIT_CARD')).toBe(false);
+      expect(result.redactedText).toContain('4111 1111 1111 1111');
+    });
+
+    test('should accept an explicit category list', () => {
+      const result = redactText(input, { categories: ['PHI'] });
+
+      expect(result.categories).toEqual(['PHI']);
+      expect(result.redactions.some(r => r.type === 'MRN')).toBe(true);
+      expect(result.redactions.some(r => r.type === 'CREDIT_CARD')).toBe(false);
+    });
+
+    test('should reject unknown categories', () => {
+      expect(() => redactText(input, { categories: ['Secret'] })).toThrow('Unknown redaction categories: Secret');
+    });
+
+    test('should always run custom patterns outside the built-in categories', () => {
+      const pattern = addCustomPattern('CODENAME', /\bProject Falcon\b/g, { categories: ['Confidential'] });
+      const result = redactText('Project Falcon budget', {
+        customPatterns: [pattern],
+        redactPII: false,
+        redactPHI: false,
+        redactFinancial: false,
+        redactTechnical: false
+      });
+
+      expect(result.redactions.map(r => r.type)).toEqual(['CODENAME']);
+    });
+  });
+
   describe('HR Document Scenario', () => {
     test('should redact all sensitive HR information', () => {
       const input = `
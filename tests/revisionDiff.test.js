@@ -0,0 +1,77 @@
+/**
+ * Test suite for comparing redactions and flags across contract drafts
+ */
+
+import { diffRevisions } from '../lib/revisionDiff';
+
+describe('Revision Diff', () => {
+
+  const previous = [
+    '1. Parties. This Agreement is between Acme Holdings LLC and Jane Doe, reachable at jane.doe@example.com.',
+    '2. Payment. Fees are wired to Account Number: 000123456789 within thirty days of invoice.',
+    '3. Notices. All notices shall be delivered to 742 Evergreen Street by courier.',
+    '4. Confidentiality. Each party keeps the terms confidential.'
+  ].join('\n');
+
+  const current = [
+    '0. Definitions. Capitalized terms have the meanings given below.',
+    '1. Parties. This Agreement is between Acme Holdings LLC and Jane Doe, reachable at jane.doe@example.com.',
+    '2. Payment. Fees are paid by check within thirty days of invoice. Contractor SSN: 123-45-6789.',
+    '3. Notices. All notices shall be delivered by email.',
+    '4. Confidentiality. Each party keeps the terms confidential.',
+    '5. Site. The equipment remains at 742 Evergreen Street until removal.',
+    '6. Counsel. This memo reflects legal advice and is privileged.'
+  ].join('\n');
+
+  test('should report nothing changed between identical drafts', () => {
+    const diff = diffRevisions(previous, previous);
+
+    expect(diff.summary).toMatchObject({ added: 0, removed: 0, moved: 0, newFlags: 0, resolvedFlags: 0 });
+    expect(diff.summary.unchanged).toBeGreaterThan(0);
+  });
+
+  test('should ignore offsets shifted by an inserted clause', () => {
+    const diff = diffRevisions(previous, current);
+    const changed = [...diff.redactions.added, ...diff.redactions.removed, ...diff.redactions.moved];
+
+    expect(changed.some(r => r.type === 'EMAIL')).toBe(false);
+  });
+
+  test('should report added and removed values', () => {
+    const diff = diffRevisions(previous, current);
+
+    expect(diff.redactions.added.map(r => [r.type, r.original])).toEqual([['SSN', '123-45-6789']]);
+    expect(diff.redactions.removed.some(r => r.type === 'BANK_ACCOUNT')).toBe(true);
+  });
+
+  test('should report a value found in new surroundings as moved', () => {
+    const diff = diffRevisions(previous, current);
+    const [moved] = diff.redactions.moved;
+
+    expect(moved).toMatchObject({ type: 'ADDRESS', original: '742 Evergreen Street' });
+    expect(moved.previous.context.after).toContain('by courier');
+    expect(moved.context.after).toContain('until removal');
+  });
+
+  test('should list only flags that are new since the prior draft', () => {
+    const diff = diffRevisions(previous, current);
+
+    expect(diff.flags.new.map(f => f.type)).toEqual(['PRIVILEGE']);
+    expect(diff.flags.resolved.map(f => f.type)).toEqual(['FINANCIAL_SENSITIVE']);
+    expect(diff.flags.unchanged).toBe(1);
+  });
+
+  test('should pair repeated values by their context', () => {
+    const before = 'Buyer email: a@example.com. Seller email: a@example.com.';
+    const after = 'Buyer email: a@example.com. Seller contact: none. Seller email: a@example.com.';
+
+    expect(diffRevisions(before, after).summary).toMatchObject({ added: 0, removed: 0, moved: 0, unchanged: 2 });
+  });
+
+  test('should apply redaction options to both drafts', () => {
+    const diff = diffRevisions(previous, current, { redaction: { types: ['EMAIL'] } });
+
+    expect(diff.summary).toMatchObject({ added: 0, removed: 0, moved: 0, unchanged: 1 });
+    expect(diff.current.redactedText).toContain('[REDACTED:EMAIL#1]');
+  });
+});
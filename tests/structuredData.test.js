@@ -0,0 +1,164 @@
+/**
+ * Tests for table and key-value detection
+ */
+
+import { detectStructuredFields, detectTables, parseDelimitedLine, fieldTypeForLabel } from '../lib/structuredData';
+import { redactText } from '../lib/redact';
+import { cleanExtractedText } from '../lib/pdfExtractor';
+
+describe('Field Labels', () => {
+  test('maps common headers to redaction types', () => {
+    expect(fieldTypeForLabel('Name')).toBe('PERSON_NAME');
+    expect(fieldTypeForLabel('Employee Name')).toBe('PERSON_NAME');
+    expect(fieldTypeForLabel('SSN')).toBe('SSN');
+    expect(fieldTypeForLabel('DOB')).toBe('DATE');
+    expect(fieldTypeForLabel('Date of Birth:')).toBe('DATE');
+    expect(fieldTypeForLabel('Account No.')).toBe('BANK_ACCOUNT');
+    expect(fieldTypeForLabel('Amount')).toBeNull();
+  });
+});
+
+describe('Delimited Lines', () => {
+  test('splits quoted CSV cells with offsets', () => {
+    const line = 'Jane Doe,"Smith, John",42';
+    const cells = parseDelimitedLine(line, ',');
+
+    expect(cells.map(c => c.value)).toEqual(['Jane Doe', 'Smith, John', '42']);
+    expect(line.slice(cells[1].start, cells[1].end)).toBe('Smith, John');
+  });
+
+  test('drops the edges of pipe rows', () => {
+    const cells = parseDelimitedLine('| Name | SSN |', '|');
+    expect(cells.map(c => c.value)).toEqual(['Name', 'SSN']);
+  });
+});
+
+describe('Table Detection', () => {
+  test('finds a tab-separated roster', () => {
+    const text = 'Exhibit B - Roster\nName\tDepartment\tSSN\nPriya Raman\tSales\t123-45-6789\nTomas Okafor\tLegal\t987-65-4321\n\nEnd of exhibit.';
+    const tables = detectTables(text);
+
+    expect(tables).toHaveLength(1);
+    expect(tables[0].columns.map(c => c.type)).toEqual(['PERSON_NAME', null, 'SSN']);
+    expect(tables[0].rows).toHaveLength(2);
+  });
+
+  test('redacts every cell of a Name column as PERSON_NAME', () => {
+    const text = 'Name\tDepartment\nPriya Raman\tSales\nTomas Okafor\tLegal';
+    const matches = detectStructuredFields(text);
+
+    expect(matches.map(m => [m.type, m.original])).toEqual([
+      ['PERSON_NAME', 'Priya Raman'],
+      ['PERSON_NAME', 'Tomas Okafor']
+    ]);
+    expect(matches[0].field).toBe('Name');
+  });
+
+  test('reads markdown pipe tables and skips the separator row', () => {
+    const text = '| Name | DOB |\n|------|-----|\n| Ana Lima | 1980-04-02 |';
+    const matches = detectStructuredFields(text);
+
+    expect(matches.map(m => m.original)).toEqual(['Ana Lima', '1980-04-02']);
+  });
+
+  test('skips empty and placeholder cells', () => {
+    const text = 'Name,Account\nAna Lima,N/A\nBo Chen,';
+    const matches = detectStructuredFields(text);
+
+    expect(matches.map(m => m.original)).toEqual(['Ana Lima', 'Bo Chen']);
+  });
+
+  test('ignores prose with commas and no known header', () => {
+    const text = 'The parties, their affiliates, and agents agree.\nNothing here, really, is tabular.';
+    expect(detectTables(text)).toHaveLength(0);
+  });
+});
+
+describe('Key-Value Detection', () => {
+  test('redacts values after known labels', () => {
+    const text = 'Employee Name: Priya Raman, Director\nAccount: 00123456\nDepartment: Sales';
+    const matches = detectStructuredFields(text);
+
+    expect(matches.map(m => [m.type, m.original])).toEqual([
+      ['PERSON_NAME', 'Priya Raman'],
+      ['BANK_ACCOUNT', '00123456']
+    ]);
+    expect(text.slice(matches[1].start, matches[1].end)).toBe('00123456');
+  });
+
+  test('skips values that do not fit the label', () => {
+    const matches = detectStructuredFields('Account: Operating\nSSN: pending\nAccount #: 9876543210. Wire funds on receipt.');
+    expect(matches).toHaveLength(0);
+  });
+
+  test('skips prose after identifier labels', () => {
+    const text = 'Account: Schedule 4 below\nMRN: refer to chart 3\nAccount: 12345678 for review\nSSN: see HR file 2';
+    expect(detectStructuredFields(text)).toEqual([]);
+  });
+
+  test('skips phrases after role labels that are not names', () => {
+    const text = 'Employee: Engineering Department\nPatient: Refer To Attached\nClient: Acme Holdings Group\nMember: To Be Assigned';
+    expect(detectStructuredFields(text)).toEqual([]);
+  });
+
+  test('takes a known name after a role label', () => {
+    const matches = detectStructuredFields('Patient: John Smith\nEmployee Name: Priya Raman');
+    expect(matches.map(m => m.original)).toEqual(['John Smith', 'Priya Raman']);
+  });
+
+  test('Name columns follow the name detection switch', () => {
+    const result = redactText('Name\tDepartment\nPriya Raman\tSales', { detectNames: false });
+    expect(result.redactedText).toContain('Priya Raman');
+  });
+});
+
+describe('Redaction Integration', () => {
+  test('column values are redacted with the header recorded', () => {
+    const text = 'Name,SSN\nPriya Raman,123-45-6789\nTomas Okafor,987-65-4321';
+    const result = redactText(text);
+
+    expect(result.redactedText).not.toContain('Priya Raman');
+    expect(result.redactedText).not.toContain('Tomas Okafor');
+    expect(result.redactedText).not.toContain('123-45-6789');
+    const name = result.redactions.find(r => r.original === 'Priya Raman');
+    expect(name.type).toBe('PERSON_NAME');
+    expect(name.field).toBe('Name');
+  });
+
+  test('can be switched off', () => {
+    const text = 'Name\tAccount\nPriya Raman\t00123456';
+    const result = redactText(text, { detectStructuredData: false });
+
+    expect(result.redactedText).toContain('00123456');
+  });
+
+  test('follows category switches', () => {
+    const text = 'Name\tAccount\nPriya Raman\t00123456';
+    const result = redactText(text, { redactFinancial: false });
+
+    expect(result.redactedText).not.toContain('Priya Raman');
+    expect(result.redactedText).toContain('00123456');
+  });
+
+  test('space-aligned PDF tables survive cleaning', () => {
+    const extracted = 'Payment schedule follows.\n\nName            DOB           Amount\nPriya Raman     03/14/1975    $1,200\nTomas Okafor    11/02/1968    $950\n\nThe  end.';
+    const text = cleanExtractedText(extracted);
+
+    expect(text).toContain('Priya Raman\t03/14/1975\t$1,200');
+    expect(text).toContain('The end.');
+
+    const result = redactText(text);
+    expect(result.redactedText).not.toContain('Priya Raman');
+    expect(result.redactedText).not.toContain('Tomas Okafor');
+  });
+
+  test('double-spaced prose is not taken for a table', () => {
+    const extracted = 'Vendor shall deliver the goods by the agreed date.  Customer shall pay within thirty days.\n' +
+      'Late delivery entitles Customer to a credit.  Disputes go to the steering committee first.\n' +
+      'Each party bears its own costs.  Notices must be in writing.';
+    const text = cleanExtractedText(extracted);
+
+    expect(text).not.toContain('\t');
+    expect(text).toBe(extracted.replace(/ {2,}/g, ' '));
+  });
+});
@@ -0,0 +1,130 @@
+/**
+ * Test suite for redaction transform strategies
+ */
+
+import { resolveStrategies, hashValue, partialMask } from '../lib/transforms';
+import { redactText } from '../lib/redact';
+
+describe('Transform Strategies', () => {
+
+  describe('resolveStrategies', () => {
+    test('should prefer explicit strategies over Safe Harbor defaults and the mode', () => {
+      const strategyFor = resolveStrategies({
+        mode: 'pseudonymize',
+        safeHarbor: true,
+        strategies: { DATE: 'mask', SSN: 'hash' }
+      });
+
+      expect(strategyFor('DATE')).toBe('mask');
+      expect(strategyFor('SSN')).toBe('hash');
+      expect(strategyFor('ZIP_CODE')).toBe('truncate');
+      expect(strategyFor('EMAIL')).toBe('pseudonymize');
+    });
+
+    test('should reject unknown strategies', () => {
+      expect(() => resolveStrategies({ strategies: { SSN: 'shred' } })).toThrow('Unknown redaction strategy');
+    });
+  });
+
+  describe('Safe Harbor generalization', () => {
+    test('should keep only the year of dates', () => {
+      const result = redactText('Discharged on 2023-07-14 after surgery.', { safeHarbor: true });
+
+      expect(result.redactedText).toBe('Discharged on 2023 after surgery.');
+    });
+
+    test('should truncate ZIP codes to three digits', () => {
+      const result = redactText('Chicago, IL 60614-2201', { safeHarbor: true });
+      const zip = result.redactions.find(r => r.type === 'ZIP_CODE');
+
+      expect(zip.strategy).toBe('truncate');
+      expect(result.redactedText).toBe('Chicago, IL 606**');
+    });
+
+    test('should replace restricted ZIP3 areas with 000', () => {
+      const result = redactText('Zip code: 82301', { safeHarbor: true });
+
+      expect(result.redactedText).toBe('Zip code: 000**');
+    });
+
+    test('should bucket ages over 89 as 90+', () => {
+      const result = redactText('The patient, aged 93, and her 91-year-old sister.', { safeHarbor: true });
+
+      expect(result.redactedText).toBe('The patient, aged 90+, and her 90+-year-old sister.');
+    });
+
+    test('should not treat ages under 90 as identifiers', () => {
+      const result = redactText('The patient is 45 years old.', { safeHarbor: true });
+
+      expect(result.redactions.some(r => r.type === 'AGE')).toBe(false);
+    });
+
+    test('should mask ZIP codes and ages without Safe Harbor', () => {
+      const result = redactText('Austin, TX 78701; patient aged 95');
+
+      expect(result.redactedText).toBe('Austin, [REDACTED:ZIP_CODE#1]; patient [REDACTED:AGE#1]');
+      expect(result.summary.strategies).toEqual({ mask: 2 });
+    });
+  });
+
+  describe('Partial masking', () => {
+    test('should keep the last four characters and the separators', () => {
+      expect(partialMask('123-45-6789')).toBe('***-**-6789');
+      expect(partialMask('4242 4242 4242 4242')).toBe('**** **** **** 4242');
+    });
+
+    test('should star short values completely', () => {
+      expect(partialMask('1234')).toBe('****');
+    });
+
+    test('should apply per type and keep the full original on the redaction', () => {
+      const result = redactText('Card 4111 1111 1111 1111, SSN: 123-45-6789, email bob@test.org', {
+        strategies: { CREDIT_CARD: 'partial', SSN: 'partial' }
+      });
+      const card = result.redactions.find(r => r.type === 'CREDIT_CARD');
+
+      expect(result.redactedText).toBe('Card **** **** **** 1111, SSN: ***-**-6789, email [REDACTED:EMAIL#1]');
+      expect(card.original).toBe('4111 1111 1111 1111');
+      expect(card.strategy).toBe('partial');
+    });
+
+    test('should honor a per-type visible length', () => {
+      const result = redactText('Account Number: 000123456789', {
+        strategies: { BANK_ACCOUNT: 'partial' },
+        visibleCharacters: { BANK_ACCOUNT: 2 }
+      });
+
+      expect(result.redactedText).toBe('Account Number: **********89');
+    });
+  });
+
+  describe('Per-type strategies', () => {
+    test('should hash consistently with a key', () => {
+      const options = { strategies: { SSN: 'hash' }, pseudonymKey: 'matter-7' };
+      const first = redactText('SSN: 123-45-6789', options);
+      const second = redactText('Social security 123-45-6789', options);
+
+      const expected = `[REDACTED:SSN:${hashValue('SSN', '123456789', 'matter-7')}]`;
+      expect(first.redactedText).toContain(expected);
+      expect(second.redactedText).toContain(expected);
+      expect(first.redactions[0].strategy).toBe('hash');
+    });
+
+    test('should pseudonymize selected types only', () => {
+      const result = redactText('Email bob@test.org, SSN 123-45-6789', {
+        strategies: { EMAIL: 'pseudonymize' }
+      });
+
+      expect(result.redactedText).toMatch(/@example\.com/);
+      expect(result.redactedText).toContain('[REDACTED:SSN#1]');
+      expect(result.pseudonyms).toHaveLength(1);
+    });
+
+    test('should fall back to mask when a type has no generalization', () => {
+      const result = redactText('Email bob@test.org', { strategies: { EMAIL: 'generalize' } });
+
+      expect(result.redactedText).toBe('Email [REDACTED:EMAIL#1]');
+      expect(result.redactions[0].strategy).toBe('mask');
+    });
+  });
+});